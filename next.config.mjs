@@ -1,6 +1,20 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  async rewrites() {
+    return [
+      // The service worker must live at the root to control the whole app
+      { source: "/sw.js", destination: "/api/sw" },
+    ];
+  },
+  async headers() {
+    return [
+      {
+        source: "/sw-core.js",
+        headers: [{ key: "Cache-Control", value: "no-cache" }],
+      },
+    ];
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,103 @@
+// Service worker logic. Loaded by the generated /sw.js, which defines
+// self.__BUILD_ID and self.__PRECACHE_URLS for the current build first.
+
+const CACHE_PREFIX = 'attendance-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__BUILD_ID}`;
+const APP_SHELL_URL = '/';
+// How long a navigation waits for the network before falling back to the cached shell
+const NAVIGATION_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(self.__PRECACHE_URLS))
+  );
+  // No skipWaiting here: the page asks the user before switching versions
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Network first with a timeout, then the cached page or app shell.
+ */
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await Promise.race([
+      fetch(request),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Navigation timed out')), NAVIGATION_TIMEOUT_MS)),
+    ]);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match(APP_SHELL_URL)) || Response.error();
+  }
+};
+
+/**
+ * Cache first; build assets are content-hashed and never change.
+ */
+const handleStaticAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * Serve from cache right away and refresh the cached copy in the background.
+ */
+const handleStaleWhileRevalidate = async (event) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Leave API calls (sync) and cross-origin requests to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(handleStaticAsset(request));
+  } else {
+    event.respondWith(handleStaleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,240 @@
+import React from 'react';
+
+import {
+  CERTIFICATE_FONTS,
+  CERTIFICATE_FONT_STYLES,
+  CERTIFICATE_PLACEHOLDERS,
+  fillCertificateText,
+} from '@/lib/certificates';
+
+const smallInputClassName = 'w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm';
+const buttonClassName = 'text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition disabled:opacity-50';
+
+// A4 width in points (the unit of font sizes) and page shape, to scale the preview
+const A4_WIDTH_PT = { landscape: 841.89, portrait: 595.28 };
+const A4_ASPECT_RATIO = { landscape: '297 / 210', portrait: '210 / 297' };
+const SAMPLE_NAME = 'Juan Dela Cruz';
+
+const getFontFamily = (font) => (CERTIFICATE_FONTS.find(option => option.value === font) || CERTIFICATE_FONTS[0]).css;
+
+// Scaled-down page showing the template filled in for the first recipient
+const CertificatePreview = ({ template, name, eventConfig }) => {
+    const pageWidth = A4_WIDTH_PT[template.orientation];
+    const toPreviewSize = size => `${((Number(size) || 12) / pageWidth) * 100}cqw`;
+    const signatories = template.signatories.filter(signatory => signatory.name.trim());
+
+    return (
+        <div
+            className="relative w-full max-w-lg mx-auto bg-white border shadow-sm overflow-hidden text-black"
+            style={{
+                aspectRatio: A4_ASPECT_RATIO[template.orientation],
+                containerType: 'inline-size',
+                backgroundImage: template.background ? `url(${template.background})` : undefined,
+                backgroundSize: '100% 100%',
+            }}
+            aria-label="Certificate preview"
+        >
+            {template.blocks.map(block => (
+                <p
+                    key={block.id}
+                    className="absolute text-center leading-tight"
+                    style={{
+                        left: `${block.x}%`,
+                        top: `${block.y}%`,
+                        width: '80%',
+                        transform: 'translate(-50%, -50%)',
+                        fontFamily: getFontFamily(block.font),
+                        fontSize: toPreviewSize(block.size),
+                        fontWeight: block.style.includes('bold') ? 'bold' : 'normal',
+                        fontStyle: block.style.includes('italic') ? 'italic' : 'normal',
+                    }}
+                >
+                    {fillCertificateText(block.text, name, eventConfig)}
+                </p>
+            ))}
+            {signatories.map((signatory, i) => (
+                <div
+                    key={i}
+                    className="absolute text-center border-t border-black"
+                    style={{
+                        left: `${((i + 1) / (signatories.length + 1)) * 100}%`,
+                        top: `${template.signatoriesY}%`,
+                        width: '20%',
+                        transform: 'translateX(-50%)',
+                        fontFamily: getFontFamily(template.blocks[0]?.font),
+                        fontSize: toPreviewSize(10),
+                    }}
+                >
+                    <strong className="block" style={{ fontSize: toPreviewSize(12) }}>{signatory.name}</strong>
+                    {signatory.position}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Template editor and generator for certificates of attendance, below the saved records
+const CertificatesPanel = ({
+    template,
+    recipients,
+    hasSessions,
+    eventConfig,
+    handleTemplateChange,
+    handleBackgroundFileChange,
+    handleGenerateCertificates
+}) => {
+    const updateTemplate = changes => handleTemplateChange({ ...template, ...changes });
+    const updateBlock = (id, changes) => updateTemplate({
+        blocks: template.blocks.map(block => (block.id === id ? { ...block, ...changes } : block)),
+    });
+    const updateSignatory = (index, changes) => updateTemplate({
+        signatories: template.signatories.map((signatory, i) => (i === index ? { ...signatory, ...changes } : signatory)),
+    });
+
+    return (
+        <details className="mt-6 p-3 bg-gray-50 rounded-lg border text-sm text-gray-700">
+            <summary className="cursor-pointer font-medium text-gray-800">Certificates ({recipients.length} eligible)</summary>
+            <div className="mt-3 space-y-4">
+                <CertificatePreview template={template} name={recipients[0]?.name || SAMPLE_NAME} eventConfig={eventConfig} />
+
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2 text-xs text-gray-600">
+                        Page
+                        <select
+                            value={template.orientation}
+                            onChange={(e) => updateTemplate({ orientation: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                        >
+                            <option value="landscape">A4 landscape</option>
+                            <option value="portrait">A4 portrait</option>
+                        </select>
+                    </label>
+                    <label className="text-xs px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition cursor-pointer">
+                        {template.background ? 'Change Background' : 'Upload Background'}
+                        <input type="file" accept="image/png,image/jpeg" onChange={handleBackgroundFileChange} className="hidden" />
+                    </label>
+                    {template.background && (
+                        <button type="button" onClick={() => updateTemplate({ background: null })} className="text-xs text-red-600 hover:underline">
+                            Remove background
+                        </button>
+                    )}
+                    {hasSessions && (
+                        <label className="flex items-center gap-2 text-xs text-gray-600">
+                            Minimum attendance
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                value={template.minimumCompletion}
+                                onChange={(e) => updateTemplate({ minimumCompletion: Math.min(100, Math.max(0, Number(e.target.value) || 0)) })}
+                                className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                            />
+                            % of sessions
+                        </label>
+                    )}
+                </div>
+
+                <div className="space-y-2">
+                    <p className="text-xs text-gray-500">
+                        Positions are in percent of the page width (X) and height (Y), measured to the centre of the text. Placeholders: {CERTIFICATE_PLACEHOLDERS.join(', ')}.
+                    </p>
+                    {template.blocks.map(block => (
+                        <fieldset key={block.id} className="p-2 bg-white border border-gray-200 rounded-lg grid grid-cols-2 sm:grid-cols-6 gap-2 items-center">
+                            <legend className="px-1 text-xs font-medium text-gray-600">{block.label}</legend>
+                            <input
+                                type="text"
+                                value={block.text}
+                                onChange={(e) => updateBlock(block.id, { text: e.target.value })}
+                                aria-label={`${block.label} text`}
+                                className={`${smallInputClassName} col-span-2 sm:col-span-6`}
+                            />
+                            <label className="flex items-center gap-1 text-xs">
+                                X
+                                <input type="number" min="0" max="100" value={block.x} onChange={(e) => updateBlock(block.id, { x: Number(e.target.value) })} className={smallInputClassName} />
+                            </label>
+                            <label className="flex items-center gap-1 text-xs">
+                                Y
+                                <input type="number" min="0" max="100" value={block.y} onChange={(e) => updateBlock(block.id, { y: Number(e.target.value) })} className={smallInputClassName} />
+                            </label>
+                            <label className="flex items-center gap-1 text-xs">
+                                Size
+                                <input type="number" min="6" max="96" value={block.size} onChange={(e) => updateBlock(block.id, { size: Number(e.target.value) })} className={smallInputClassName} />
+                            </label>
+                            <select value={block.font} onChange={(e) => updateBlock(block.id, { font: e.target.value })} aria-label={`${block.label} font`} className={`${smallInputClassName} sm:col-span-2`}>
+                                {CERTIFICATE_FONTS.map(font => <option key={font.value} value={font.value}>{font.label}</option>)}
+                            </select>
+                            <select value={block.style} onChange={(e) => updateBlock(block.id, { style: e.target.value })} aria-label={`${block.label} style`} className={smallInputClassName}>
+                                {CERTIFICATE_FONT_STYLES.map(style => <option key={style.value} value={style.value}>{style.label}</option>)}
+                            </select>
+                        </fieldset>
+                    ))}
+                </div>
+
+                <div className="space-y-2">
+                    <div className="flex justify-between items-center">
+                        <h4 className="font-semibold text-gray-800">Signatories</h4>
+                        <label className="flex items-center gap-1 text-xs">
+                            Line at Y
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                value={template.signatoriesY}
+                                onChange={(e) => updateTemplate({ signatoriesY: Number(e.target.value) })}
+                                className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                            />
+                        </label>
+                    </div>
+                    {template.signatories.map((signatory, index) => (
+                        <div key={index} className="flex gap-2 items-center">
+                            <input
+                                type="text"
+                                value={signatory.name}
+                                onChange={(e) => updateSignatory(index, { name: e.target.value })}
+                                placeholder="Name"
+                                aria-label="Signatory name"
+                                className={smallInputClassName}
+                            />
+                            <input
+                                type="text"
+                                value={signatory.position}
+                                onChange={(e) => updateSignatory(index, { position: e.target.value })}
+                                placeholder="Position"
+                                aria-label="Signatory position"
+                                className={smallInputClassName}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => updateTemplate({ signatories: template.signatories.filter((_, i) => i !== index) })}
+                                aria-label="Remove signatory"
+                                className="text-red-500 hover:text-red-700 px-1"
+                            >
+                                &times;
+                            </button>
+                        </div>
+                    ))}
+                    {template.signatories.length < 3 && (
+                        <button
+                            type="button"
+                            onClick={() => updateTemplate({ signatories: [...template.signatories, { name: '', position: '' }] })}
+                            className={buttonClassName}
+                        >
+                            Add Signatory
+                        </button>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap justify-end gap-2 pt-2 border-t">
+                    <button type="button" onClick={() => handleGenerateCertificates(false)} disabled={recipients.length === 0} className={buttonClassName}>
+                        Combined PDF
+                    </button>
+                    <button type="button" onClick={() => handleGenerateCertificates(true)} disabled={recipients.length === 0} className={buttonClassName}>
+                        One PDF per Attendee
+                    </button>
+                </div>
+            </div>
+        </details>
+    );
+};
+
+export default CertificatesPanel;
@@ -0,0 +1,96 @@
+import React from 'react';
+
+import { getDuplicateGroupKey } from '@/lib/duplicates';
+
+const formatSignedAt = (record) => (record.timestamp ? new Date(record.timestamp).toLocaleString() : 'N/A');
+
+// Shown instead of saving when the attendee looks like someone who already signed.
+// A kiosk is used by the public, so it never lists other attendees' sign-ins.
+export const DuplicateWarning = ({ matches, isKiosk, handleConfirm, handleCancel }) => (
+    <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-300 space-y-3" role="alert">
+        <p className="font-semibold text-yellow-900">It looks like you may have already signed in.</p>
+        {isKiosk ? (
+            <p className="text-sm text-yellow-900">
+                If you signed in earlier, you do not need to sign again. Ask an organiser if you are not sure.
+            </p>
+        ) : (
+            <ul className="text-sm text-yellow-900 list-disc pl-5">
+                {matches.map(record => (
+                    <li key={record.id}>
+                        {record.completeName}{record.division ? ` (${record.division})` : ''}, signed {formatSignedAt(record)}
+                    </li>
+                ))}
+            </ul>
+        )}
+        <div className="flex flex-wrap gap-2 justify-end">
+            <button
+                type="button"
+                onClick={handleCancel}
+                className="text-sm px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+            >
+                That was me, don&apos;t save again
+            </button>
+            <button
+                type="button"
+                onClick={handleConfirm}
+                className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+            >
+                I am a different person, save
+            </button>
+        </div>
+    </div>
+);
+
+// Organiser report of records that look like the same person signing more than once
+export const DuplicatesReport = ({ groups, handleMergeDuplicates, confirmMergeKey, handleDelete, confirmDeleteId }) => (
+    <details className="mb-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200 text-sm text-gray-700">
+        <summary className="cursor-pointer font-medium text-yellow-900">
+            Possible duplicates ({groups.length} {groups.length === 1 ? 'group' : 'groups'})
+        </summary>
+        <p className="mt-2 text-xs text-gray-500">
+            Similar names in the same division. Merging keeps the earliest record (and its signature), fills its empty answers from the others, and moves the rest to the Trash.
+        </p>
+        <div className="mt-3 space-y-3">
+            {groups.map((group) => {
+                const groupKey = getDuplicateGroupKey(group);
+                const isPendingMerge = confirmMergeKey === groupKey;
+                return (
+                    <div key={groupKey} className="p-3 bg-white rounded-lg border space-y-2">
+                        <ul className="space-y-1">
+                            {group.map((record, index) => (
+                                <li key={record.id} className="flex justify-between items-center gap-2">
+                                    <span>
+                                        <span className="font-semibold text-indigo-700">{record.completeName}</span>
+                                        {record.division ? ` · ${record.division}` : ''}
+                                        <span className="text-xs text-gray-400 font-mono"> · {formatSignedAt(record)}</span>
+                                        {index === 0 && <span className="ml-2 text-xs text-green-700">(earliest)</span>}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDelete(record.id)}
+                                        className={`text-xs px-2 py-0.5 rounded-full font-medium transition ${
+                                            record.id === confirmDeleteId ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-red-100 text-red-600 hover:bg-red-200'
+                                        }`}
+                                    >
+                                        {record.id === confirmDeleteId ? 'Confirm' : 'Delete'}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="flex justify-end">
+                            <button
+                                type="button"
+                                onClick={() => handleMergeDuplicates(group)}
+                                className={`text-xs px-3 py-1 rounded-full font-medium transition ${
+                                    isPendingMerge ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                                }`}
+                            >
+                                {isPendingMerge ? 'CONFIRM MERGE' : `Merge into earliest (trash ${group.length - 1})`}
+                            </button>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    </details>
+);
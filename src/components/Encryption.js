@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+
+import { PASSPHRASE_MIN_LENGTH } from '@/lib/encryption';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+const buttonClassName = 'text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50';
+
+// Passphrase prompt shown while encrypted records are locked
+export const UnlockPrompt = ({ handleUnlock }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [error, setError] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsWorking(true);
+        try {
+            await handleUnlock(passphrase);
+        } catch (unlockError) {
+            setError(unlockError.message);
+            setPassphrase('');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 rounded-lg bg-yellow-50 border border-yellow-200 space-y-3">
+            <p className="text-sm text-yellow-800">
+                Records on this device are encrypted. Enter the passphrase to view and add records.
+            </p>
+            <div className="flex gap-2">
+                <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Passphrase"
+                    aria-label="Encryption passphrase"
+                    className={inputClassName}
+                />
+                <button type="submit" disabled={!passphrase || isWorking} className={buttonClassName}>
+                    {isWorking ? 'Unlocking...' : 'Unlock'}
+                </button>
+            </div>
+            {error && <p className="text-sm font-medium text-red-700">{error}</p>}
+        </form>
+    );
+};
+
+// New passphrase with a repeat field; calls handleSave once both match
+const NewPassphraseForm = ({ currentLabel, submitLabel, handleSave }) => {
+    const [currentPassphrase, setCurrentPassphrase] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [error, setError] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const isValid = passphrase.length >= PASSPHRASE_MIN_LENGTH
+        && passphrase === confirmPassphrase
+        && (!currentLabel || currentPassphrase);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsWorking(true);
+        setError('');
+        try {
+            await handleSave(passphrase, currentPassphrase);
+            setCurrentPassphrase('');
+            setPassphrase('');
+            setConfirmPassphrase('');
+        } catch (saveError) {
+            setError(saveError.message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3">
+            {currentLabel && (
+                <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={currentPassphrase}
+                    onChange={(e) => setCurrentPassphrase(e.target.value)}
+                    placeholder={currentLabel}
+                    aria-label={currentLabel}
+                    className={inputClassName}
+                />
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input
+                    type="password"
+                    autoComplete="new-password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder={`New passphrase (min. ${PASSPHRASE_MIN_LENGTH} characters)`}
+                    aria-label="New passphrase"
+                    className={inputClassName}
+                />
+                <input
+                    type="password"
+                    autoComplete="new-password"
+                    value={confirmPassphrase}
+                    onChange={(e) => setConfirmPassphrase(e.target.value)}
+                    placeholder="Repeat passphrase"
+                    aria-label="Repeat new passphrase"
+                    className={inputClassName}
+                />
+            </div>
+            {error && <p className="text-sm font-medium text-red-700">{error}</p>}
+            <button type="submit" disabled={!isValid || isWorking} className={buttonClassName}>
+                {isWorking ? 'Encrypting records...' : submitLabel}
+            </button>
+        </form>
+    );
+};
+
+// Event Setup section for turning on encryption at rest and re-keying
+export const EncryptionSettings = ({ encryptionStatus, handleEnableEncryption, handleChangePassphrase, handleLockEncryption, handleUnlock }) => (
+    <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+        <h2 className="text-xl font-bold text-gray-800">Data Encryption</h2>
+        <p className="text-gray-600 text-sm">
+            Encrypts names, signatures and every other form answer stored on this device. The passphrase is never saved: it must be entered again after the app is reloaded, and records cannot be recovered without it.
+        </p>
+        {!encryptionStatus.supported ? (
+            <p className="text-sm text-yellow-800">
+                Encryption needs a secure connection. Open the app over HTTPS (or on localhost) to turn it on.
+            </p>
+        ) : !encryptionStatus.enabled ? (
+            <NewPassphraseForm submitLabel="Encrypt Records" handleSave={handleEnableEncryption} />
+        ) : !encryptionStatus.unlocked ? (
+            <UnlockPrompt handleUnlock={handleUnlock} />
+        ) : (
+            <>
+                <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium text-green-700">Encryption is on and unlocked for this session.</span>
+                    <button
+                        type="button"
+                        onClick={handleLockEncryption}
+                        className="text-sm px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+                    >
+                        Lock Now
+                    </button>
+                </div>
+                <h3 className="text-sm font-semibold text-gray-700">Change Passphrase</h3>
+                <NewPassphraseForm
+                    currentLabel="Current passphrase"
+                    submitLabel="Re-encrypt Records"
+                    handleSave={(passphrase, currentPassphrase) => handleChangePassphrase(currentPassphrase, passphrase)}
+                />
+            </>
+        )}
+    </div>
+);
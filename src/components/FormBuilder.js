@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+
+import {
+  FIELD_TYPES,
+  createField,
+  hasOptions,
+  parseOptionsText,
+  formatOptionsText,
+} from '@/lib/formSchema';
+
+const smallInputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm';
+
+// Options are edited as text so typing a half-finished line does not get normalised away
+const OptionsEditor = ({ field, onChange }) => {
+    const [text, setText] = useState(() => formatOptionsText(field.options));
+    return (
+        <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">
+                Options (one per line, or value=Label)
+            </label>
+            <textarea
+                rows={Math.max(2, (field.options || []).length + 1)}
+                value={text}
+                onChange={(e) => {
+                    setText(e.target.value);
+                    onChange({ options: parseOptionsText(e.target.value) });
+                }}
+                className={smallInputClassName}
+            />
+        </div>
+    );
+};
+
+// Component for editing the per-event attendance form fields
+const FormBuilder = ({ fields, handleFormFieldsChange }) => {
+    const [newFieldType, setNewFieldType] = useState('text');
+
+    const updateField = (index, changes) => {
+        handleFormFieldsChange(fields.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+    };
+
+    const moveField = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= fields.length) return;
+        const reordered = [...fields];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        handleFormFieldsChange(reordered);
+    };
+
+    const removeField = (index) => {
+        handleFormFieldsChange(fields.filter((_, i) => i !== index));
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+            <h2 className="text-xl font-bold text-gray-800">Attendance Form Fields</h2>
+            <p className="text-gray-600 text-sm">
+                Choose what the Entry Form asks for this event. The digital signature is always collected last.
+            </p>
+
+            <ul className="space-y-2">
+                {fields.map((field, index) => (
+                    <li key={field.key} className="p-3 bg-white border border-gray-200 rounded-lg space-y-2">
+                        <div className="flex gap-2 items-center">
+                            <span className="text-sm font-semibold text-gray-500 w-6">{index + 1}.</span>
+                            <input
+                                type="text"
+                                value={field.label}
+                                onChange={(e) => updateField(index, { label: e.target.value })}
+                                aria-label="Field label"
+                                className={smallInputClassName}
+                            />
+                            <select
+                                value={field.type}
+                                onChange={(e) => updateField(index, {
+                                    type: e.target.value,
+                                    options: hasOptions({ type: e.target.value })
+                                        ? (field.options && field.options.length ? field.options : createField(e.target.value).options)
+                                        : undefined,
+                                })}
+                                disabled={field.builtin}
+                                aria-label="Field type"
+                                className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900 disabled:bg-gray-100"
+                            >
+                                {FIELD_TYPES.map(({ type, label }) => (
+                                    <option key={type} value={type}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="flex flex-wrap gap-2 items-center justify-between pl-8">
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={!!field.required}
+                                    onChange={(e) => updateField(index, { required: e.target.checked })}
+                                    disabled={field.locked}
+                                    className="rounded text-indigo-600 focus:ring-indigo-500"
+                                />
+                                <span>Required</span>
+                            </label>
+                            <div className="flex gap-2">
+                                <button
+                                    type="button"
+                                    onClick={() => moveField(index, -1)}
+                                    disabled={index === 0}
+                                    className="text-xs px-2 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition disabled:opacity-50"
+                                    aria-label={`Move ${field.label} up`}
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => moveField(index, 1)}
+                                    disabled={index === fields.length - 1}
+                                    className="text-xs px-2 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition disabled:opacity-50"
+                                    aria-label={`Move ${field.label} down`}
+                                >
+                                    ↓
+                                </button>
+                                {!field.locked && (
+                                    <button
+                                        type="button"
+                                        onClick={() => removeField(index)}
+                                        className="text-xs px-3 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white transition"
+                                    >
+                                        Remove
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        {hasOptions(field) && !field.builtin && (
+                            <div className="pl-8">
+                                <OptionsEditor
+                                    key={field.type}
+                                    field={field}
+                                    onChange={(changes) => updateField(index, changes)}
+                                />
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            <div className="flex gap-2">
+                <select
+                    value={newFieldType}
+                    onChange={(e) => setNewFieldType(e.target.value)}
+                    aria-label="New field type"
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900"
+                >
+                    {FIELD_TYPES.map(({ type, label }) => (
+                        <option key={type} value={type}>{label}</option>
+                    ))}
+                </select>
+                <button
+                    type="button"
+                    onClick={() => handleFormFieldsChange([...fields, createField(newFieldType)])}
+                    className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                >
+                    Add Field
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FormBuilder;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+
+const INPUT_TYPES = { text: 'text', email: 'email', phone: 'tel', date: 'date' };
+
+// Renders one numbered field of the attendance form from its schema definition
+const FormField = ({ field, number, value, handleInputChange, handleCheckboxGroupChange, disabled }) => {
+    const requiredMark = field.required && <span className="text-red-500">*</span>;
+    const options = field.options || [];
+
+    if (field.type === 'radio' || field.type === 'checkbox') {
+        const isCheckbox = field.type === 'checkbox';
+        const checkedValues = isCheckbox ? (value || {}) : {};
+        return (
+            <div>
+                <label className="block text-lg font-medium text-gray-700 mb-2">
+                    {number}. {field.label} {requiredMark}
+                </label>
+                <div className={isCheckbox ? 'flex flex-wrap gap-x-8 gap-y-2' : 'flex flex-wrap gap-x-6 gap-y-2'}>
+                    {options.map(option => (
+                        <label key={option.value} className="flex items-center space-x-2">
+                            <input
+                                type={field.type}
+                                name={field.key}
+                                value={option.value}
+                                checked={isCheckbox ? !!checkedValues[option.value] : value === option.value}
+                                onChange={isCheckbox ? handleCheckboxGroupChange : handleInputChange}
+                                className={`${isCheckbox ? 'rounded ' : ''}text-indigo-600 focus:ring-indigo-500`}
+                                disabled={disabled}
+                                required={!isCheckbox && field.required}
+                            />
+                            <span className="text-gray-700">{option.label}</span>
+                        </label>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    const inputId = `field-${field.key}`;
+    return (
+        <div>
+            <label htmlFor={inputId} className="block text-lg font-medium text-gray-700 mb-1">
+                {number}. {field.label} {requiredMark}
+            </label>
+            {field.type === 'select' ? (
+                <select
+                    id={inputId}
+                    name={field.key}
+                    value={value || ''}
+                    onChange={handleInputChange}
+                    className={inputClassName}
+                    disabled={disabled}
+                    required={field.required}
+                >
+                    <option value="">Select…</option>
+                    {options.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            ) : (
+                <input
+                    id={inputId}
+                    name={field.key}
+                    type={INPUT_TYPES[field.type] || 'text'}
+                    value={value || ''}
+                    onChange={handleInputChange}
+                    placeholder={field.placeholder || ''}
+                    className={inputClassName}
+                    disabled={disabled}
+                    required={field.required}
+                />
+            )}
+        </div>
+    );
+};
+
+export default FormField;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+
+import { KIOSK_PIN_PATTERN, KIOSK_RESET_DELAY_MS } from '@/lib/kiosk';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+
+// Event Setup section for choosing a PIN and starting kiosk mode
+export const KioskSetup = ({ handleStartKiosk }) => {
+    const [pin, setPin] = useState('');
+    const [confirmPin, setConfirmPin] = useState('');
+    const isPinValid = KIOSK_PIN_PATTERN.test(pin) && pin === confirmPin;
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+            <h2 className="text-xl font-bold text-gray-800">Kiosk Mode</h2>
+            <p className="text-gray-600 text-sm">
+                Lock this device to the Entry Form so attendees can sign in by themselves. The tabs are hidden and leaving kiosk mode requires the organiser PIN.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                    placeholder="Organiser PIN (4-8 digits)"
+                    aria-label="Organiser PIN"
+                    className={inputClassName}
+                />
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={confirmPin}
+                    onChange={(e) => setConfirmPin(e.target.value.replace(/\D/g, ''))}
+                    placeholder="Repeat PIN"
+                    aria-label="Repeat organiser PIN"
+                    className={inputClassName}
+                />
+            </div>
+            <button
+                type="button"
+                onClick={() => handleStartKiosk(pin)}
+                disabled={!isPinValid}
+                className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+                Start Kiosk Mode
+            </button>
+        </div>
+    );
+};
+
+// Full-screen confirmation shown after each kiosk submission; resets itself
+export const KioskThankYou = ({ name, handleDismiss }) => {
+    const [secondsLeft, setSecondsLeft] = useState(KIOSK_RESET_DELAY_MS / 1000);
+
+    useEffect(() => {
+        const timer = setTimeout(handleDismiss, KIOSK_RESET_DELAY_MS);
+        const countdown = setInterval(() => setSecondsLeft(prev => Math.max(0, prev - 1)), 1000);
+        return () => {
+            clearTimeout(timer);
+            clearInterval(countdown);
+        };
+    }, [handleDismiss]);
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-indigo-700 text-white p-8 text-center cursor-pointer"
+            onClick={handleDismiss}
+            role="status"
+        >
+            <p className="text-5xl font-extrabold mb-4">Thank you, {name}!</p>
+            <p className="text-xl">Your attendance has been recorded.</p>
+            <p className="text-sm mt-8 opacity-75">The form will be ready for the next attendee in {secondsLeft}s. Tap to continue now.</p>
+        </div>
+    );
+};
+
+// PIN prompt for leaving kiosk mode
+export const KioskExitDialog = ({ handleExitKiosk, handleCancel }) => {
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState('');
+    const [isChecking, setIsChecking] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsChecking(true);
+        const isUnlocked = await handleExitKiosk(pin);
+        if (!isUnlocked) {
+            setIsChecking(false);
+            setError('Incorrect PIN.');
+            setPin('');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow-2xl p-6 space-y-4">
+                <h2 className="text-xl font-bold text-gray-800">Exit Kiosk Mode</h2>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoFocus
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                    placeholder="Organiser PIN"
+                    aria-label="Organiser PIN"
+                    className={inputClassName}
+                />
+                {error && <p className="text-sm font-medium text-red-700">{error}</p>}
+                <div className="flex justify-end gap-2">
+                    <button
+                        type="button"
+                        onClick={handleCancel}
+                        className="text-sm px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isChecking}
+                        className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                    >
+                        Unlock
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
@@ -0,0 +1,102 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+import {
+  CAMERA_UNAVAILABLE_MESSAGE,
+  isCameraSupported,
+  getCameraErrorMessage,
+  startQRScanner,
+} from '@/lib/qrCheckIn';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+
+// Camera scanner for badge QR codes, with manual token entry as the fallback
+export const QRScanner = ({ handleCheckInCode, handleClose }) => {
+    const videoRef = useRef(null);
+    const lastCodeRef = useRef(null);
+    const [cameraError, setCameraError] = useState(isCameraSupported() ? '' : CAMERA_UNAVAILABLE_MESSAGE);
+    const [error, setError] = useState('');
+    const [token, setToken] = useState('');
+    // Read by the camera callback, which outlives the render it was created in
+    const handleCheckInCodeRef = useRef(handleCheckInCode);
+    handleCheckInCodeRef.current = handleCheckInCode;
+
+    // Stable, so the camera keeps running while the form around it re-renders
+    const submitCode = useCallback((text) => {
+        try {
+            handleCheckInCodeRef.current(text);
+        } catch (checkInError) {
+            setError(checkInError.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!isCameraSupported()) return undefined;
+        let stopScanner = null;
+        let cancelled = false;
+        startQRScanner(videoRef.current, (text) => {
+            // Codes are read on every frame; a rejected code only reports its error once
+            if (text === lastCodeRef.current) return;
+            lastCodeRef.current = text;
+            submitCode(text);
+        })
+            .then((stop) => {
+                if (cancelled) stop();
+                else stopScanner = stop;
+            })
+            .catch(cameraStartError => setCameraError(getCameraErrorMessage(cameraStartError)));
+        return () => {
+            cancelled = true;
+            if (stopScanner) stopScanner();
+        };
+    }, [submitCode]);
+
+    const handleSubmitToken = () => {
+        if (token.trim()) submitCode(token);
+    };
+
+    return (
+        <div className="p-4 rounded-lg bg-gray-50 border space-y-3">
+            <div className="flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-gray-800">Scan your badge</h3>
+                <button
+                    type="button"
+                    onClick={handleClose}
+                    className="text-xs px-3 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                >
+                    Close
+                </button>
+            </div>
+            {cameraError ? (
+                <p className="text-sm text-gray-600">{cameraError}</p>
+            ) : (
+                <video ref={videoRef} muted playsInline className="w-full max-h-72 bg-black rounded-lg object-cover" />
+            )}
+            {/* Not a <form>: the scanner is shown inside the Entry Form */}
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key !== 'Enter') return;
+                        e.preventDefault();
+                        handleSubmitToken();
+                    }}
+                    placeholder="Code under the QR code, e.g. K7QM2XPA"
+                    aria-label="Check-in code"
+                    autoCapitalize="characters"
+                    autoComplete="off"
+                    className={`${inputClassName} font-mono uppercase`}
+                />
+                <button
+                    type="button"
+                    onClick={handleSubmitToken}
+                    className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                >
+                    Check In
+                </button>
+            </div>
+            {error && <p className="text-sm font-medium text-red-700" role="alert">{error}</p>}
+        </div>
+    );
+};
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+import FormField from '@/components/FormField';
+import { validateFormData } from '@/lib/formSchema';
+import { getEditableValues, loadEditorName } from '@/lib/revisions';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+
+// Inline editor for a saved record's answers; the signature cannot be edited
+export const RecordEditor = ({ record, fields, handleSaveEdit, handleCancel }) => {
+    const [values, setValues] = useState(() => getEditableValues(record, fields));
+    const [editorName, setEditorName] = useState(loadEditorName);
+    const [error, setError] = useState('');
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setValues(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleCheckboxGroupChange = (e) => {
+        const { name, value, checked } = e.target;
+        setValues(prev => ({ ...prev, [name]: { ...prev[name], [value]: checked } }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationError = validateFormData(fields, values);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        if (!editorName.trim()) {
+            setError('Please enter your name so the change can be traced.');
+            return;
+        }
+        try {
+            await handleSaveEdit(record, values, editorName.trim());
+        } catch (saveError) {
+            setError(saveError.message);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 pt-3 border-t border-gray-100 space-y-4">
+            {fields.map((field, index) => (
+                <FormField
+                    key={field.key}
+                    field={field}
+                    number={index + 1}
+                    value={values[field.key]}
+                    handleInputChange={handleInputChange}
+                    handleCheckboxGroupChange={handleCheckboxGroupChange}
+                    disabled={false}
+                />
+            ))}
+            <div>
+                <label htmlFor={`editor-${record.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    Edited by <span className="text-red-500">*</span>
+                </label>
+                <input
+                    id={`editor-${record.id}`}
+                    type="text"
+                    value={editorName}
+                    onChange={(e) => setEditorName(e.target.value)}
+                    placeholder="Your name"
+                    className={inputClassName}
+                />
+            </div>
+            {error && <p className="text-sm font-medium text-red-700">{error}</p>}
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={handleCancel}
+                    className="text-sm px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+                >
+                    Cancel
+                </button>
+                <button type="submit" className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition">
+                    Save Changes
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// Collapsible list of the edits made to a record, newest first
+export const RevisionHistory = ({ revisions }) => (
+    <details className="mt-3 text-sm text-gray-700">
+        <summary className="cursor-pointer font-medium text-gray-600">Revision history ({revisions.length})</summary>
+        <ol className="mt-2 space-y-2">
+            {[...revisions].reverse().map(revision => (
+                <li key={revision.editedAt} className="p-2 bg-gray-50 rounded border">
+                    <p className="text-xs text-gray-500">
+                        {new Date(revision.editedAt).toLocaleString()} by <span className="font-medium text-gray-700">{revision.editedBy}</span>
+                    </p>
+                    <ul className="mt-1 text-xs space-y-0.5">
+                        {revision.changes.map(change => (
+                            <li key={change.key}>
+                                <span className="font-medium">{change.label}:</span>{' '}
+                                <span className="line-through text-red-600">{change.from || '(empty)'}</span>{' '}
+                                → <span className="text-green-700">{change.to || '(empty)'}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </li>
+            ))}
+        </ol>
+    </details>
+);
@@ -0,0 +1,53 @@
+import React from 'react';
+
+import { formatFieldValue } from '@/lib/formSchema';
+
+// Compact one-row-per-attendee alternative to the record cards
+const RecordsTable = ({ records, fields, handleDelete, confirmDeleteId }) => (
+    <div className="overflow-x-auto">
+        <table className="min-w-full text-sm text-left text-gray-700">
+            <thead className="bg-gray-100 text-xs uppercase text-gray-600 sticky top-0">
+                <tr>
+                    <th className="px-2 py-2">No.</th>
+                    {fields.map(field => (
+                        <th key={field.key} className="px-2 py-2 whitespace-nowrap">{field.label}</th>
+                    ))}
+                    <th className="px-2 py-2 whitespace-nowrap">Signed At</th>
+                    <th className="px-2 py-2"><span className="sr-only">Actions</span></th>
+                </tr>
+            </thead>
+            <tbody>
+                {records.map((record, index) => {
+                    const isPendingDelete = record.id === confirmDeleteId;
+                    return (
+                        <tr key={record.id} className="border-b border-gray-200 bg-white hover:bg-indigo-50/50">
+                            <td className="px-2 py-1.5 text-gray-400">{index + 1}</td>
+                            {fields.map(field => (
+                                <td key={field.key} className={`px-2 py-1.5 ${field.key === 'completeName' ? 'font-semibold text-indigo-700' : ''}`}>
+                                    {formatFieldValue(field, record[field.key])}
+                                </td>
+                            ))}
+                            <td className="px-2 py-1.5 whitespace-nowrap font-mono text-xs text-gray-500">
+                                {record.timestamp ? new Date(record.timestamp).toLocaleString() : 'N/A'}
+                            </td>
+                            <td className="px-2 py-1.5 text-right">
+                                <button
+                                    type="button"
+                                    onClick={() => handleDelete(record.id)}
+                                    className={`text-xs px-2 py-0.5 rounded-full font-medium transition ${
+                                        isPendingDelete ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-red-100 text-red-600 hover:bg-red-200'
+                                    }`}
+                                    aria-label={isPendingDelete ? `Confirm deletion for ${record.completeName}` : `Delete record for ${record.completeName}`}
+                                >
+                                    {isPendingDelete ? 'Confirm' : 'Delete'}
+                                </button>
+                            </td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    </div>
+);
+
+export default RecordsTable;
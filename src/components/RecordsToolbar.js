@@ -0,0 +1,111 @@
+import React from 'react';
+
+import { SORT_OPTIONS, INITIAL_RECORD_QUERY, isQueryActive } from '@/lib/recordQuery';
+import { getOptionShortLabel } from '@/lib/formSchema';
+import { formatSessionLabel } from '@/lib/sessions';
+
+const controlClassName = 'px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm';
+
+const VIEW_MODE_LABELS = { cards: 'Cards', table: 'Table', matrix: 'Sessions' };
+
+// Search, filter, sort and view controls above the saved records
+const RecordsToolbar = ({ query, handleQueryChange, fields, sessions, viewMode, handleViewModeChange }) => {
+    const sexField = fields.find(field => field.key === 'sex');
+    const statusField = fields.find(field => field.key === 'status');
+    const sortOptions = SORT_OPTIONS.filter(option => (
+        option.value === 'timestamp' || fields.some(field => field.key === option.value)
+    ));
+
+    const updateQuery = (e) => {
+        const { name, value } = e.target;
+        handleQueryChange({ ...query, [name]: value });
+    };
+
+    return (
+        <div className="mb-4 p-3 bg-gray-50 rounded-lg border space-y-3">
+            <input
+                type="search"
+                name="search"
+                value={query.search}
+                onChange={updateQuery}
+                placeholder="Search name, designation, division..."
+                aria-label="Search records"
+                className={`${controlClassName} w-full`}
+            />
+            <div className="flex flex-wrap gap-2 items-center">
+                {sexField && (
+                    <select name="sex" value={query.sex} onChange={updateQuery} aria-label="Filter by sex" className={controlClassName}>
+                        <option value="">All sexes</option>
+                        {(sexField.options || []).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                )}
+                {statusField && (
+                    <select name="status" value={query.status} onChange={updateQuery} aria-label="Filter by special status" className={controlClassName}>
+                        <option value="">Any status</option>
+                        {(statusField.options || []).map(option => (
+                            <option key={option.value} value={option.value}>{getOptionShortLabel(option)}</option>
+                        ))}
+                    </select>
+                )}
+                {sessions.length > 0 && (
+                    <select name="sessionId" value={query.sessionId} onChange={updateQuery} aria-label="Filter by session" className={controlClassName}>
+                        <option value="">All sessions</option>
+                        {sessions.map(session => (
+                            <option key={session.id} value={session.id}>{formatSessionLabel(session)}</option>
+                        ))}
+                    </select>
+                )}
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                    From
+                    <input type="datetime-local" name="from" value={query.from} onChange={updateQuery} className={controlClassName} />
+                </label>
+                <label className="text-sm text-gray-600 flex items-center gap-1">
+                    To
+                    <input type="datetime-local" name="to" value={query.to} onChange={updateQuery} className={controlClassName} />
+                </label>
+            </div>
+            <div className="flex flex-wrap gap-2 items-center justify-between">
+                <div className="flex gap-2 items-center">
+                    <select name="sortBy" value={query.sortBy} onChange={updateQuery} aria-label="Sort by" className={controlClassName}>
+                        {sortOptions.map(option => (
+                            <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => handleQueryChange({ ...query, sortDirection: query.sortDirection === 'asc' ? 'desc' : 'asc' })}
+                        className="text-sm px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition"
+                        aria-label="Toggle sort direction"
+                    >
+                        {query.sortDirection === 'asc' ? '↑ Ascending' : '↓ Descending'}
+                    </button>
+                    {isQueryActive(query) && (
+                        <button
+                            type="button"
+                            onClick={() => handleQueryChange({ ...INITIAL_RECORD_QUERY, sortBy: query.sortBy, sortDirection: query.sortDirection })}
+                            className="text-sm text-indigo-600 hover:text-indigo-800"
+                        >
+                            Clear filters
+                        </button>
+                    )}
+                </div>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                    {(sessions.length > 0 ? ['cards', 'table', 'matrix'] : ['cards', 'table']).map(mode => (
+                        <button
+                            key={mode}
+                            type="button"
+                            onClick={() => handleViewModeChange(mode)}
+                            className={`px-3 py-1.5 transition ${viewMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                        >
+                            {VIEW_MODE_LABELS[mode]}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecordsToolbar;
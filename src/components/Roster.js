@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+
+import { searchRoster } from '@/lib/roster';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+
+// Event Setup section for importing the list of expected attendees
+export const RosterImport = ({ roster, handleRosterFileChange, handleClearRoster, handleDownloadBadges }) => (
+    <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+        <h2 className="text-xl font-bold text-gray-800">Pre-registration Roster</h2>
+        <p className="text-gray-600 text-sm">
+            Import the expected attendees from a CSV or Excel file with a name column. Columns named like the form fields (Designation, Division, Sex...) are used to prefill the form when an attendee picks their name. Importing again replaces the roster and issues new QR codes.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+            <label className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition cursor-pointer">
+                Import Roster
+                <input
+                    type="file"
+                    accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+                    onChange={handleRosterFileChange}
+                    className="hidden"
+                />
+            </label>
+            {roster.length > 0 && (
+                <>
+                    <span className="text-sm text-gray-700">{roster.length} expected attendees</span>
+                    <button
+                        type="button"
+                        onClick={handleDownloadBadges}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition"
+                    >
+                        Download QR Badges (PDF)
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleClearRoster}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                    >
+                        Remove Roster
+                    </button>
+                </>
+            )}
+        </div>
+    </div>
+);
+
+// Type-ahead over the roster at the top of the Entry Form
+export const RosterSearch = ({ roster, checkedInIds, selectedEntry, handleSelectRosterEntry, handleClearRosterEntry, disabled }) => {
+    const [query, setQuery] = useState('');
+    const suggestions = searchRoster(roster, query);
+
+    if (selectedEntry) {
+        return (
+            <div className="p-3 rounded-lg bg-indigo-50 border border-indigo-200 flex justify-between items-center gap-2 text-sm text-indigo-900">
+                <span>Checking in as <strong>{selectedEntry.completeName}</strong>. Check your details below, then sign.</span>
+                <button
+                    type="button"
+                    onClick={handleClearRosterEntry}
+                    className="text-xs px-3 py-1 rounded-full font-medium bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-100 transition"
+                >
+                    Not me
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="relative">
+            <label htmlFor="roster-search" className="block text-lg font-medium text-gray-700 mb-1">
+                Find your name in the invitation list
+            </label>
+            <input
+                id="roster-search"
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Start typing your name..."
+                autoComplete="off"
+                disabled={disabled}
+                className={inputClassName}
+            />
+            {query.trim() && (
+                <ul className="mt-1 border border-gray-200 rounded-lg bg-white shadow-sm divide-y" role="listbox" aria-label="Matching names">
+                    {suggestions.length === 0 ? (
+                        <li className="px-4 py-2 text-sm text-gray-500 italic">Not on the list? Fill in the form below.</li>
+                    ) : suggestions.map(entry => (
+                        <li key={entry.id}>
+                            <button
+                                type="button"
+                                role="option"
+                                aria-selected="false"
+                                onClick={() => {
+                                    setQuery('');
+                                    handleSelectRosterEntry(entry);
+                                }}
+                                className="w-full text-left px-4 py-2 text-sm hover:bg-indigo-50 transition"
+                            >
+                                <span className="font-semibold text-gray-800">{entry.completeName}</span>
+                                {entry.division && <span className="text-gray-500"> · {entry.division}</span>}
+                                {checkedInIds.has(entry.id) && <span className="ml-2 text-xs text-green-700">(already signed in)</span>}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Expected vs. present vs. walk-in counts above the saved records
+export const RosterSummary = ({ attendance }) => (
+    <details className="mb-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200 text-sm text-gray-700">
+        <summary className="cursor-pointer font-medium text-indigo-900">
+            Expected {attendance.expected} · Present {attendance.presentIds.size} · Walk-in {attendance.walkIns.length} · No-show {attendance.noShows.length}
+        </summary>
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+                <h4 className="font-semibold text-gray-800 mb-1">No-shows ({attendance.noShows.length})</h4>
+                {attendance.noShows.length === 0 ? (
+                    <p className="text-gray-500 italic">Everyone on the roster has signed in.</p>
+                ) : (
+                    <ul className="list-disc pl-5 space-y-0.5">
+                        {attendance.noShows.map(entry => (
+                            <li key={entry.id}>
+                                {entry.completeName}{entry.division ? ` (${entry.division})` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+            <div>
+                <h4 className="font-semibold text-gray-800 mb-1">Walk-ins ({attendance.walkIns.length})</h4>
+                {attendance.walkIns.length === 0 ? (
+                    <p className="text-gray-500 italic">No one outside the roster has signed in.</p>
+                ) : (
+                    <ul className="list-disc pl-5 space-y-0.5">
+                        {attendance.walkIns.map(record => (
+                            <li key={record.id}>
+                                {record.completeName}{record.division ? ` (${record.division})` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    </details>
+);
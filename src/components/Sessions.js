@@ -0,0 +1,176 @@
+import React from 'react';
+
+import { createNextSession, formatSessionLabel, buildAttendanceMatrix } from '@/lib/sessions';
+
+const smallInputClassName = 'w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm';
+
+// Event Setup section listing the days and sessions attendance is signed for
+export const SessionsEditor = ({ sessions, eventDate, handleSessionsChange }) => {
+    const updateSession = (id, changes) => {
+        handleSessionsChange(sessions.map(session => (session.id === id ? { ...session, ...changes } : session)));
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+            <h2 className="text-xl font-bold text-gray-800">Sessions</h2>
+            <p className="text-gray-600 text-sm">
+                For multi-day trainings, add one session per half-day (or per day). Attendees then sign once per session and the Entry Form picks the session running now. Leave empty for a single sign-in.
+            </p>
+            {sessions.length > 0 && (
+                <ul className="space-y-2">
+                    {sessions.map(session => (
+                        <li key={session.id} className="p-3 bg-white border border-gray-200 rounded-lg grid grid-cols-2 sm:grid-cols-5 gap-2 items-center">
+                            <input
+                                type="date"
+                                value={session.date}
+                                onChange={(e) => updateSession(session.id, { date: e.target.value })}
+                                aria-label="Session date"
+                                className={smallInputClassName}
+                            />
+                            <input
+                                type="text"
+                                value={session.label}
+                                onChange={(e) => updateSession(session.id, { label: e.target.value })}
+                                placeholder="Label, e.g. AM"
+                                aria-label="Session label"
+                                className={smallInputClassName}
+                            />
+                            <input
+                                type="time"
+                                value={session.startTime}
+                                onChange={(e) => updateSession(session.id, { startTime: e.target.value })}
+                                aria-label="Session start time"
+                                className={smallInputClassName}
+                            />
+                            <input
+                                type="time"
+                                value={session.endTime}
+                                onChange={(e) => updateSession(session.id, { endTime: e.target.value })}
+                                aria-label="Session end time"
+                                className={smallInputClassName}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => handleSessionsChange(sessions.filter(other => other.id !== session.id))}
+                                className="text-xs px-3 py-1 rounded-full font-medium bg-red-100 text-red-600 hover:bg-red-200 transition"
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <button
+                type="button"
+                onClick={() => handleSessionsChange([...sessions, createNextSession(sessions, eventDate)])}
+                className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+            >
+                Add Session
+            </button>
+        </div>
+    );
+};
+
+// Session selector on the Entry Form: follows the clock unless overridden
+export const SessionPicker = ({ sessions, currentSession, overrideId, handleOverrideChange, canOverride }) => {
+    const selectedSession = sessions.find(session => session.id === overrideId) || currentSession;
+
+    if (!canOverride) {
+        return (
+            <p className="p-3 rounded-lg bg-indigo-50 border border-indigo-200 text-sm text-indigo-900">
+                {selectedSession ? <>Signing in for <strong>{formatSessionLabel(selectedSession)}</strong></> : 'No session is scheduled right now.'}
+            </p>
+        );
+    }
+
+    return (
+        <div>
+            <label htmlFor="session-picker" className="block text-lg font-medium text-gray-700 mb-1">
+                Session <span className="text-red-500">*</span>
+            </label>
+            <select
+                id="session-picker"
+                value={overrideId || ''}
+                onChange={(e) => handleOverrideChange(e.target.value || null)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+            >
+                <option value="">
+                    {currentSession ? `Automatic: ${formatSessionLabel(currentSession)}` : 'Automatic: no session scheduled now'}
+                </option>
+                {sessions.map(session => (
+                    <option key={session.id} value={session.id}>{formatSessionLabel(session)}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+// Participants x sessions, with the share of sessions each participant attended
+export const AttendanceMatrix = ({ records, sessions, handleExportMatrix }) => {
+    const matrix = buildAttendanceMatrix(records, sessions);
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-center gap-2">
+                <p className="text-sm text-gray-500">
+                    {matrix.rows.length} participants across {sessions.length} sessions
+                    {matrix.unassigned > 0 && ` · ${matrix.unassigned} record(s) without a session not shown`}
+                </p>
+                <button
+                    type="button"
+                    onClick={handleExportMatrix}
+                    disabled={matrix.rows.length === 0}
+                    className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition disabled:opacity-50"
+                >
+                    Export Matrix CSV
+                </button>
+            </div>
+            <div className="overflow-x-auto bg-white rounded-lg border">
+                <table className="min-w-full text-sm text-gray-700">
+                    <thead>
+                        <tr className="border-b bg-gray-50 text-left">
+                            <th className="py-2 px-3 font-medium">Participant</th>
+                            {sessions.map(session => (
+                                <th key={session.id} className="py-2 px-2 font-medium text-center text-xs whitespace-nowrap" title={formatSessionLabel(session)}>
+                                    {session.date ? new Date(`${session.date}T00:00`).toLocaleDateString([], { month: 'numeric', day: 'numeric' }) : '?'}
+                                    <br />
+                                    {session.label}
+                                </th>
+                            ))}
+                            <th className="py-2 px-3 font-medium text-right">Completion</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {matrix.rows.map(row => (
+                            <tr key={row.key} className="border-b last:border-0">
+                                <td className="py-1.5 px-3">
+                                    <span className="font-semibold text-indigo-700">{row.name}</span>
+                                    {row.division && <span className="block text-xs text-gray-500">{row.division}</span>}
+                                </td>
+                                {sessions.map(session => (
+                                    <td key={session.id} className="py-1.5 px-2 text-center">
+                                        {row.sessionIds.has(session.id)
+                                            ? <span className="text-green-600 font-bold" aria-label="Attended">✓</span>
+                                            : <span className="text-gray-300" aria-label="Absent">–</span>}
+                                    </td>
+                                ))}
+                                <td className={`py-1.5 px-3 text-right font-mono ${row.completion === 100 ? 'text-green-700 font-semibold' : ''}`}>
+                                    {row.completion}%
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr className="border-t bg-gray-50 font-medium">
+                            <td className="py-1.5 px-3">Present</td>
+                            {matrix.sessionTotals.map((total, index) => (
+                                <td key={sessions[index].id} className="py-1.5 px-2 text-center font-mono">{total}</td>
+                            ))}
+                            <td />
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,83 @@
+import React from 'react';
+
+import { SIGNATURE_CHECK_MODES } from '@/lib/signature';
+
+const numberInputClassName = 'w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm';
+
+// Thresholds below which a drawn signature is treated as a stray tap or scribble
+const THRESHOLD_FIELDS = [
+    { key: 'minCoverage', label: 'Minimum ink', unit: '% of the box', step: '0.1' },
+    { key: 'minWidth', label: 'Minimum width', unit: 'of 400', step: '1' },
+    { key: 'minHeight', label: 'Minimum height', unit: 'of 150', step: '1' },
+    { key: 'minStrokes', label: 'Minimum strokes', unit: '', step: '1' },
+    { key: 'minDuration', label: 'Minimum drawing time', unit: 'ms', step: '50' },
+];
+
+// Event Setup section for the checks run on signatures before saving
+export const SignatureCheckSettings = ({ checks, handleChecksChange }) => (
+    <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+        <h2 className="text-xl font-bold text-gray-800">Signature Checks</h2>
+        <p className="text-gray-600 text-sm">
+            Catches taps and specks before they are saved as signatures. Sizes are measured on the 400 x 150 signature box.
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+            When a signature fails
+            <select
+                value={checks.mode}
+                onChange={(e) => handleChecksChange({ ...checks, mode: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+            >
+                {SIGNATURE_CHECK_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+            </select>
+        </label>
+        {checks.mode !== 'off' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {THRESHOLD_FIELDS.map(field => (
+                    <label key={field.key} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                        {field.label}
+                        <span className="flex items-center gap-1 text-xs text-gray-500">
+                            <input
+                                type="number"
+                                min="0"
+                                step={field.step}
+                                value={checks[field.key]}
+                                onChange={(e) => handleChecksChange({ ...checks, [field.key]: Math.max(0, Number(e.target.value) || 0) })}
+                                className={numberInputClassName}
+                            />
+                            {field.unit}
+                        </span>
+                    </label>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+// Shown instead of saving when the signature looks incomplete; keeping it is only offered when the event just warns
+export const SignatureWarning = ({ issues, canSave, handleConfirm, handleCancel }) => (
+    <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-300 space-y-3" role="alert">
+        <p className="font-semibold text-yellow-900">
+            {canSave ? 'Your signature may be incomplete' : 'Please sign again'}: {issues.join(', ')}.
+        </p>
+        <div className="flex flex-wrap gap-2 justify-end">
+            <button
+                type="button"
+                onClick={handleCancel}
+                className="text-sm px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+            >
+                Sign again
+            </button>
+            {canSave && (
+                <button
+                    type="button"
+                    onClick={handleConfirm}
+                    className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                >
+                    Save this signature
+                </button>
+            )}
+        </div>
+    </div>
+);
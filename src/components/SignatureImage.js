@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+import { loadSignature, formatBytes } from '@/lib/storage';
+
+// Start loading a little before the card reaches the screen
+const PRELOAD_MARGIN = '200px';
+
+// A record card's signature, read from the signatures store only once the card scrolls into view
+const SignatureImage = ({ record }) => {
+    const containerRef = useRef(null);
+    const [isVisible, setIsVisible] = useState(false);
+    const [image, setImage] = useState(null); // { url, type, size } once loaded
+    const [isMissing, setIsMissing] = useState(false);
+    // Only these locate a signature; a record patched for other reasons (sync, edits) keeps its image
+    const { id: recordId, signature: legacySignature } = record;
+
+    useEffect(() => {
+        if (isVisible) return undefined;
+        if (typeof IntersectionObserver === 'undefined') {
+            setIsVisible(true);
+            return undefined;
+        }
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                setIsVisible(true);
+                observer.disconnect();
+            }
+        }, { rootMargin: PRELOAD_MARGIN });
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, [isVisible]);
+
+    useEffect(() => {
+        if (!isVisible) return undefined;
+        let cancelled = false;
+        let url = null;
+        loadSignature({ id: recordId, signature: legacySignature })
+            .then((signature) => {
+                if (cancelled) return;
+                if (!signature) {
+                    setIsMissing(true);
+                    return;
+                }
+                url = URL.createObjectURL(signature.image);
+                setImage({ url, type: signature.image.type, size: signature.image.size });
+            })
+            .catch((error) => {
+                console.error("Failed to load signature:", error);
+                if (!cancelled) setIsMissing(true);
+            });
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [isVisible, recordId, legacySignature]);
+
+    if (isMissing) return null;
+
+    return (
+        <div ref={containerRef} className="mt-3 pt-3 border-t border-gray-100">
+            <p className="text-sm font-medium text-gray-700 mb-1">Digital Signature:</p>
+            {image ? (
+                <>
+                    <img
+                        src={image.url}
+                        alt={`Signature for ${record.completeName}`}
+                        className="w-full max-w-xs h-auto border border-gray-300 rounded-md bg-gray-50"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Stored as a {image.type === 'image/webp' ? 'WebP' : 'PNG'} image ({formatBytes(image.size)}).
+                    </p>
+                </>
+            ) : (
+                <div className="w-full max-w-xs h-24 border border-gray-200 rounded-md bg-gray-50 animate-pulse" aria-label="Loading signature" />
+            )}
+        </div>
+    );
+};
+
+export default SignatureImage;
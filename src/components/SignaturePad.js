@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useRef } from 'react';
+
+import {
+  SIGNATURE_WIDTH,
+  SIGNATURE_HEIGHT,
+  createSignaturePoint,
+  appendSignaturePoint,
+  renderSignature,
+} from '@/lib/signature';
+
+// Signature box drawn with Pointer Events (mouse, finger or stylus) at the screen's pixel density
+const SignaturePad = ({ strokes, handleStrokesChange, canvasRef, disabled }) => {
+    const activeStrokeRef = useRef(null); // { pointerId, stroke } while the pen is down
+    const startTimeRef = useRef(0);
+    const frameRef = useRef(null);
+    // Read by the resize observer, which outlives the render it was created in
+    const strokesRef = useRef(strokes);
+    strokesRef.current = strokes;
+
+    // Reads everything through refs, so it stays the same function across renders
+    const redraw = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const active = activeStrokeRef.current;
+        renderSignature(canvas, active ? [...strokesRef.current, active.stroke] : strokesRef.current);
+    }, [canvasRef]);
+
+    // Match the canvas pixels to its displayed size so lines stay sharp on high-DPI screens
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const resize = () => {
+            const rect = canvas.getBoundingClientRect();
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.round((rect.width || SIGNATURE_WIDTH) * ratio);
+            canvas.height = Math.round((rect.height || SIGNATURE_HEIGHT) * ratio);
+            redraw();
+        };
+        resize();
+        if (typeof ResizeObserver === 'undefined') {
+            window.addEventListener('resize', resize);
+            return () => window.removeEventListener('resize', resize);
+        }
+        const observer = new ResizeObserver(resize);
+        observer.observe(canvas);
+        return () => observer.disconnect();
+    }, [canvasRef, redraw]);
+
+    // Undo, clear and finished strokes arrive as new props
+    useEffect(() => {
+        redraw();
+    }, [strokes, redraw]);
+
+    useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+    const toPoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        // Mice report 0.5 while a button is down; some pens report 0 on the first contact
+        return createSignaturePoint(
+            ((e.clientX - rect.left) / (rect.width || SIGNATURE_WIDTH)) * SIGNATURE_WIDTH,
+            ((e.clientY - rect.top) / (rect.height || SIGNATURE_HEIGHT)) * SIGNATURE_HEIGHT,
+            Date.now() - startTimeRef.current,
+            e.pressure || 0.5
+        );
+    };
+
+    const handlePointerDown = (e) => {
+        if (disabled || activeStrokeRef.current || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        e.preventDefault();
+        canvasRef.current.setPointerCapture?.(e.pointerId);
+        if (strokes.length === 0) startTimeRef.current = Date.now();
+        const stroke = { pointerType: e.pointerType || 'mouse', points: [] };
+        appendSignaturePoint(stroke, toPoint(e));
+        activeStrokeRef.current = { pointerId: e.pointerId, stroke };
+        redraw();
+    };
+
+    const handlePointerMove = (e) => {
+        const active = activeStrokeRef.current;
+        if (!active || active.pointerId !== e.pointerId) return;
+        // Browsers batch fast movements into one event; the coalesced ones keep every point
+        const events = e.nativeEvent.getCoalescedEvents?.() || [];
+        const added = (events.length > 0 ? events : [e]).filter(event => appendSignaturePoint(active.stroke, toPoint(event)));
+        if (added.length > 0 && frameRef.current === null) {
+            frameRef.current = requestAnimationFrame(() => {
+                frameRef.current = null;
+                redraw();
+            });
+        }
+    };
+
+    const handlePointerUp = (e) => {
+        const active = activeStrokeRef.current;
+        if (!active || active.pointerId !== e.pointerId) return;
+        activeStrokeRef.current = null;
+        handleStrokesChange([...strokes, active.stroke]);
+    };
+
+    return (
+        <>
+            <div className="border border-gray-400 rounded-lg overflow-hidden bg-white relative shadow-inner">
+                <canvas
+                    ref={canvasRef}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    style={{ aspectRatio: `${SIGNATURE_WIDTH} / ${SIGNATURE_HEIGHT}` }}
+                    className="block w-full cursor-crosshair touch-none border-b-2 border-indigo-500/50"
+                />
+                {strokes.length === 0 && (
+                    <div className="absolute inset-0 flex items-center justify-center text-gray-400 pointer-events-none bg-gray-50 bg-opacity-70">
+                        Draw your signature here using mouse, touch or stylus.
+                    </div>
+                )}
+            </div>
+            <div className="flex justify-end gap-2 mt-2">
+                <button
+                    type="button"
+                    onClick={() => handleStrokesChange(strokes.slice(0, -1))}
+                    className="text-sm px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"
+                    disabled={disabled || strokes.length === 0}
+                >
+                    Undo Stroke
+                </button>
+                <button
+                    type="button"
+                    onClick={() => handleStrokesChange([])}
+                    className="text-sm px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+                    disabled={disabled}
+                >
+                    Clear Signature
+                </button>
+            </div>
+        </>
+    );
+};
+
+export default SignaturePad;
@@ -0,0 +1,157 @@
+import React from 'react';
+
+import { computeStatistics, formatArrivalSlot } from '@/lib/statistics';
+import { getSessions } from '@/lib/sessions';
+
+const cardClassName = 'p-4 bg-white rounded-xl border border-gray-200 shadow-sm';
+const buttonClassName = 'text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out disabled:opacity-50';
+
+// Horizontal bars scaled to the largest count of the chart
+const BarChart = ({ title, items, total }) => {
+    const max = Math.max(1, ...items.map(item => item.count));
+    return (
+        <div className={cardClassName}>
+            <h4 className="font-semibold text-gray-800 mb-3">{title}</h4>
+            {items.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">Not collected by this event&apos;s form.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {items.map(item => (
+                        <li key={item.label} className="text-sm">
+                            <div className="flex justify-between text-gray-700">
+                                <span className="truncate pr-2">{item.label}</span>
+                                <span className="font-mono">
+                                    {item.count}{total > 0 && <span className="text-gray-400"> ({Math.round((item.count / total) * 100)}%)</span>}
+                                </span>
+                            </div>
+                            <div className="h-2 bg-gray-100 rounded-full">
+                                <div className="h-2 bg-indigo-500 rounded-full" style={{ width: `${(item.count / max) * 100}%` }} />
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Vertical bars, one per time slot, from the first to the last signing
+const ArrivalsChart = ({ arrivals }) => {
+    const max = Math.max(1, ...arrivals.buckets.map(bucket => bucket.count));
+    return (
+        <div className={cardClassName}>
+            <h4 className="font-semibold text-gray-800 mb-3">
+                Arrivals over time{arrivals.bucketMinutes > 0 && <span className="text-sm font-normal text-gray-500"> ({arrivals.bucketMinutes}-minute slots)</span>}
+            </h4>
+            <div className="flex items-end gap-1 h-40 overflow-x-auto">
+                {arrivals.buckets.map(bucket => (
+                    <div key={bucket.start} className="flex-1 min-w-6 h-full flex flex-col justify-end items-center">
+                        <span className="text-xs text-gray-600 font-mono">{bucket.count || ''}</span>
+                        <div
+                            className="w-full bg-indigo-500 rounded-t"
+                            style={{ height: `${(bucket.count / max) * 100}%` }}
+                            title={`${formatArrivalSlot(bucket, arrivals.bucketMinutes)}: ${bucket.count}`}
+                        />
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-1 overflow-x-hidden">
+                {arrivals.buckets.map(bucket => (
+                    <span key={bucket.start} className="flex-1 min-w-6 text-[10px] text-gray-500 text-center truncate">
+                        {formatArrivalSlot(bucket, arrivals.bucketMinutes)}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Statistics tab: sex-disaggregated and sectoral breakdowns of the active event
+const StatisticsView = ({ records, isLoading, fields, eventConfig, handleCopyStatistics, handleExportStatistics }) => {
+    // Totals of a partly loaded event would be wrong, so wait for every record
+    if (isLoading) {
+        return (
+            <div className="mt-8">
+                <h2 className="text-2xl font-bold text-gray-800">Statistics for {eventConfig.activityName || "Unconfigured Activity"}</h2>
+                <p className="text-gray-500 italic p-3 text-center bg-gray-50 rounded-lg border mt-4">Loading every record of this event...</p>
+            </div>
+        );
+    }
+
+    const stats = computeStatistics(records, fields, getSessions(eventConfig));
+    const { columns, rows } = stats.bySexAndStatus;
+
+    return (
+        <div className="mt-8 space-y-4">
+            <div className="pb-4 border-b border-gray-200">
+                <h2 className="text-2xl font-bold text-gray-800">Statistics for {eventConfig.activityName || "Unconfigured Activity"}</h2>
+                <p className="text-md italic text-indigo-600">
+                    Total attendees: {stats.total}
+                    {stats.signIns !== stats.total && <span className="text-gray-500"> ({stats.signIns} sign-ins across sessions)</span>}
+                </p>
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+                <button type="button" onClick={handleCopyStatistics} disabled={stats.total === 0} className={buttonClassName}>
+                    Copy Summary Table
+                </button>
+                <button type="button" onClick={() => handleExportStatistics('csv')} disabled={stats.total === 0} className={buttonClassName}>
+                    Export Statistics CSV
+                </button>
+                <button type="button" onClick={() => handleExportStatistics('xlsx')} disabled={stats.total === 0} className={buttonClassName}>
+                    Export Excel (with attendance sheet)
+                </button>
+            </div>
+
+            {stats.total === 0 ? (
+                <p className="text-gray-500 italic p-3 text-center bg-gray-50 rounded-lg border">No records saved yet.</p>
+            ) : (
+                <>
+                    {stats.bySession.length > 0 && (
+                        <BarChart title="By session" items={stats.bySession} total={stats.total} />
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <BarChart title="By sex" items={stats.bySex} total={stats.total} />
+                        <BarChart title="By special status" items={stats.byStatus} total={stats.total} />
+                    </div>
+
+                    {rows.length > 0 && (
+                        <div className={`${cardClassName} overflow-x-auto`}>
+                            <h4 className="font-semibold text-gray-800 mb-3">By sex and special status</h4>
+                            <table className="min-w-full text-sm text-gray-700">
+                                <thead>
+                                    <tr className="border-b text-left">
+                                        <th className="py-1 pr-4 font-medium">Status</th>
+                                        {columns.map(column => <th key={column} className="py-1 px-2 font-medium text-right">{column}</th>)}
+                                        <th className="py-1 pl-2 font-medium text-right">Total</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map(row => (
+                                        <tr key={row.label} className="border-b last:border-0">
+                                            <td className="py-1 pr-4">{row.label}</td>
+                                            {row.counts.map((count, index) => (
+                                                <td key={columns[index]} className="py-1 px-2 text-right font-mono">{count}</td>
+                                            ))}
+                                            <td className="py-1 pl-2 text-right font-mono font-semibold">{row.total}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <BarChart title="By division" items={stats.byDivision} total={stats.total} />
+                        <BarChart title="By designation" items={stats.byDesignation} total={stats.total} />
+                    </div>
+
+                    <ArrivalsChart arrivals={stats.arrivals} />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StatisticsView;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+import { formatBytes } from '@/lib/storage';
+
+// Event Setup section showing how much of the browser's quota this device uses
+const StorageUsage = ({ storageUsage, handleRequestPersistence }) => {
+    const percent = storageUsage && storageUsage.quota > 0 ? (storageUsage.usage / storageUsage.quota) * 100 : 0;
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+            <h2 className="text-xl font-bold text-gray-800">Storage</h2>
+            {!storageUsage ? (
+                <p className="text-gray-600 text-sm">This browser does not report how much storage the app uses.</p>
+            ) : (
+                <>
+                    <p className="text-gray-600 text-sm">
+                        Using <strong>{formatBytes(storageUsage.usage)}</strong> of about <strong>{formatBytes(storageUsage.quota)}</strong> available to this app ({percent < 0.1 ? '<0.1' : percent.toFixed(1)}%).
+                    </p>
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-valuenow={Math.round(percent)} aria-valuemin={0} aria-valuemax={100}>
+                        <div className="h-full bg-indigo-600" style={{ width: `${Math.min(100, Math.max(1, percent))}%` }} />
+                    </div>
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                        <p className={`text-sm ${storageUsage.persisted ? 'text-green-700' : 'text-yellow-800'}`}>
+                            {storageUsage.persisted
+                                ? 'Persistent: the browser will not clear this data on its own.'
+                                : 'Not persistent: the browser may clear this data when the device runs low on space.'}
+                        </p>
+                        {!storageUsage.persisted && (
+                            <button
+                                type="button"
+                                onClick={handleRequestPersistence}
+                                className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                            >
+                                Keep Data Persistent
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StorageUsage;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900';
+const buttonClassName = 'text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50';
+
+// Event Setup section for the token the sync server expects; the saved token is never shown again
+const SyncSettings = ({ syncStatus, handleSaveSyncToken, handleRemoveSyncToken }) => {
+    const [token, setToken] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        handleSaveSyncToken(token);
+        setToken('');
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+            <h2 className="text-xl font-bold text-gray-800">Server Sync</h2>
+            <p className="text-gray-600 text-sm">
+                Records are sent to this app&apos;s server only once the sync token set on the server (<code>ATTENDANCE_SYNC_TOKEN</code>) has been entered on this device.
+            </p>
+            <p className={`text-sm ${syncStatus.hasToken ? 'text-green-700' : 'text-yellow-800'}`}>
+                {syncStatus.hasToken ? 'A sync token is saved on this device.' : 'No sync token: records stay on this device.'}
+            </p>
+            {syncStatus.error && <p className="text-sm font-medium text-red-700">{syncStatus.error}</p>}
+            <form onSubmit={handleSubmit} className="flex gap-2">
+                <input
+                    type="password"
+                    autoComplete="off"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    placeholder={syncStatus.hasToken ? 'Replace the sync token' : 'Sync token'}
+                    aria-label="Sync token"
+                    className={inputClassName}
+                />
+                <button type="submit" disabled={!token.trim()} className={buttonClassName}>
+                    Save
+                </button>
+            </form>
+            {syncStatus.hasToken && (
+                <button
+                    type="button"
+                    onClick={handleRemoveSyncToken}
+                    className="text-sm px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition"
+                >
+                    Remove Token
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default SyncSettings;
@@ -0,0 +1,108 @@
+import React, { useEffect } from 'react';
+
+import { TRASH_RETENTION_OPTIONS, UNDO_TIMEOUT_MS } from '@/lib/trash';
+
+// Toast shown right after records are moved to the Trash; hides itself
+export const UndoToast = ({ label, handleUndo, handleDismiss }) => {
+    useEffect(() => {
+        const timer = setTimeout(handleDismiss, UNDO_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [label, handleDismiss]);
+
+    return (
+        <div
+            className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 px-4 py-3 bg-gray-900 text-white text-sm rounded-lg shadow-lg"
+            role="status"
+        >
+            <span>{label}</span>
+            <button type="button" onClick={handleUndo} className="font-bold text-indigo-300 hover:text-indigo-100 transition">
+                Undo
+            </button>
+            <button type="button" onClick={handleDismiss} aria-label="Dismiss" className="text-gray-400 hover:text-white transition">
+                &times;
+            </button>
+        </div>
+    );
+};
+
+// Deleted records of the active event, with restore and permanent purge
+export const TrashPanel = ({
+    records,
+    retentionDays,
+    handleRetentionChange,
+    handleRestore,
+    handlePurge,
+    confirmPurgeId,
+    handleEmptyTrash,
+    confirmEmptyTrash
+}) => (
+    <details className="mt-6 p-3 bg-gray-50 rounded-lg border text-sm text-gray-700">
+        <summary className="cursor-pointer font-medium text-gray-800">Trash ({records.length})</summary>
+        <div className="mt-3 flex flex-wrap justify-between items-center gap-2">
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+                Delete permanently
+                <select
+                    value={retentionDays}
+                    onChange={(e) => handleRetentionChange(Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-gray-900"
+                >
+                    {TRASH_RETENTION_OPTIONS.map(option => (
+                        <option key={option.days} value={option.days}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            <div className="flex gap-2">
+                <button
+                    type="button"
+                    onClick={() => handleRestore(records.map(record => record.id))}
+                    disabled={records.length === 0}
+                    className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition disabled:opacity-50"
+                >
+                    Restore All
+                </button>
+                <button
+                    type="button"
+                    onClick={handleEmptyTrash}
+                    disabled={records.length === 0}
+                    className={`text-xs px-3 py-1 rounded-full font-medium transition disabled:opacity-50 ${
+                        confirmEmptyTrash ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white'
+                    }`}
+                >
+                    {confirmEmptyTrash ? 'CONFIRM EMPTY TRASH' : 'Empty Trash'}
+                </button>
+            </div>
+        </div>
+        {records.length === 0 ? (
+            <p className="mt-3 text-gray-500 italic">The Trash is empty.</p>
+        ) : (
+            <ul className="mt-3 space-y-2">
+                {records.map(record => (
+                    <li key={record.id} className="p-2 bg-white rounded border flex justify-between items-center gap-2">
+                        <span>
+                            <span className="font-semibold text-gray-800">{record.completeName || 'Missing Name'}</span>
+                            <span className="text-xs text-gray-400 font-mono"> · deleted {new Date(record.deletedAt).toLocaleString()}</span>
+                        </span>
+                        <span className="flex gap-2">
+                            <button
+                                type="button"
+                                onClick={() => handleRestore([record.id])}
+                                className="text-xs px-2 py-0.5 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition"
+                            >
+                                Restore
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => handlePurge(record.id)}
+                                className={`text-xs px-2 py-0.5 rounded-full font-medium transition ${
+                                    record.id === confirmPurgeId ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-red-100 text-red-600 hover:bg-red-200'
+                                }`}
+                            >
+                                {record.id === confirmPurgeId ? 'Confirm' : 'Delete forever'}
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </details>
+);
@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Height assumed for items not measured yet
+const DEFAULT_ESTIMATED_HEIGHT = 280;
+// Pixels rendered beyond the visible area, so fast scrolling rarely shows blank space
+const OVERSCAN_PX = 800;
+// Visible height assumed until the scroll container has been measured
+const FALLBACK_VIEWPORT_HEIGHT = 800;
+// onEndReached fires once this few items are left below the rendered ones
+const END_REACHED_THRESHOLD = 10;
+
+/**
+ * Index of the item covering `position`, given each item's top offset
+ * (`offsets` has one extra entry: the total height).
+ */
+const findItemIndex = (offsets, position) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= position) low = middle;
+        else high = middle - 1;
+    }
+    return Math.max(0, low);
+};
+
+// Renders only the items near the visible part of a scroll container. Items
+// are measured once rendered; the rest take their estimated height.
+// `onEndReached` is called as the rendered items near the end, to load more.
+const VirtualList = ({ items, getKey, renderItem, scrollContainerRef, onEndReached, estimatedHeight = DEFAULT_ESTIMATED_HEIGHT }) => {
+    const listRef = useRef(null);
+    const heightsRef = useRef(new Map()); // key -> measured height in pixels
+    const observerRef = useRef(null);
+    const observedRef = useRef(new Set());
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+    const [, setMeasureCount] = useState(0);
+
+    const offsets = [0];
+    items.forEach((item, i) => {
+        offsets.push(offsets[i] + (heightsRef.current.get(String(getKey(item))) ?? estimatedHeight));
+    });
+
+    // Track which part of the list is inside the scroll container
+    useEffect(() => {
+        const container = scrollContainerRef.current;
+        if (!container) return undefined;
+        let frame = null;
+        const update = () => {
+            frame = null;
+            const list = listRef.current;
+            if (!list) return;
+            const listTop = list.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+            const next = { top: container.scrollTop - listTop, height: container.clientHeight || window.innerHeight };
+            setViewport(prev => (prev.top === next.top && prev.height === next.height ? prev : next));
+        };
+        const scheduleUpdate = () => {
+            if (frame === null) frame = requestAnimationFrame(update);
+        };
+        update();
+        container.addEventListener('scroll', scheduleUpdate, { passive: true });
+        window.addEventListener('resize', scheduleUpdate);
+        return () => {
+            cancelAnimationFrame(frame);
+            container.removeEventListener('scroll', scheduleUpdate);
+            window.removeEventListener('resize', scheduleUpdate);
+        };
+    }, [scrollContainerRef]);
+
+    // Measure rendered items; heights change when a signature loads or an editor opens
+    useEffect(() => {
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver((entries) => {
+            let changed = false;
+            entries.forEach((entry) => {
+                const height = entry.target.offsetHeight;
+                const key = entry.target.dataset.key;
+                if (height > 0 && heightsRef.current.get(key) !== height) {
+                    heightsRef.current.set(key, height);
+                    changed = true;
+                }
+            });
+            if (changed) setMeasureCount(count => count + 1);
+        });
+        observerRef.current = observer;
+        return () => {
+            observer.disconnect();
+            observedRef.current = new Set();
+        };
+    }, []);
+
+    // Observe the items rendered this time and let go of the ones scrolled away
+    useEffect(() => {
+        const observer = observerRef.current;
+        if (!observer || !listRef.current) return;
+        const rendered = new Set(listRef.current.querySelectorAll(':scope > [data-key]'));
+        observedRef.current.forEach((element) => {
+            if (!rendered.has(element)) observer.unobserve(element);
+        });
+        rendered.forEach((element) => {
+            if (!observedRef.current.has(element)) observer.observe(element);
+        });
+        observedRef.current = rendered;
+    });
+
+    const start = findItemIndex(offsets, viewport.top - OVERSCAN_PX);
+    const end = Math.min(items.length, findItemIndex(offsets, viewport.top + (viewport.height || FALLBACK_VIEWPORT_HEIGHT) + OVERSCAN_PX) + 1);
+    const isNearEnd = items.length > 0 && end >= items.length - END_REACHED_THRESHOLD;
+
+    useEffect(() => {
+        if (isNearEnd && onEndReached) onEndReached();
+    }, [isNearEnd, items.length, onEndReached]);
+
+    return (
+        <div ref={listRef} className="relative" style={{ height: offsets[items.length] }}>
+            {items.slice(start, end).map((item, i) => (
+                <div
+                    key={getKey(item)}
+                    data-key={getKey(item)}
+                    className="absolute inset-x-0 pb-3"
+                    style={{ top: offsets[start + i] }}
+                >
+                    {renderItem(item)}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default VirtualList;
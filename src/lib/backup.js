@@ -0,0 +1,190 @@
+// --- Full Backup and Restore ---
+
+import {
+  DB_VERSION,
+  createUid,
+  dataURLToBlob,
+  splitLegacySignature,
+  getAllData,
+  getSetting,
+  replaceAllData,
+  mergeAllData,
+} from '@/lib/db';
+import { ENCRYPTION_SETTING_KEY, adoptEncryptionSettings, sealRestoredData } from '@/lib/encryption';
+import { downloadBlob } from '@/lib/export';
+import { blobToDataURL } from '@/lib/storage';
+
+export const BACKUP_FORMAT = 'web-attendance-backup';
+// v2: signatures are listed separately, keyed by record ID, instead of inline on each record
+export const BACKUP_VERSION = 2;
+export const BACKUP_SUCCESS_MESSAGE = 'Backup file downloaded successfully.';
+export const RESTORE_MODES = { MERGE: 'merge', REPLACE: 'replace' };
+
+/**
+ * JSON cannot hold Blobs: signature images (sealed or not) travel as data URLs.
+ */
+const serialiseSignature = async ({ recordId, image, vector, encrypted }) => {
+  if (encrypted) {
+    return { recordId, encrypted: { ...encrypted, image: { ...encrypted.image, data: await blobToDataURL(encrypted.image.data) } } };
+  }
+  return { recordId, image: await blobToDataURL(image), vector };
+};
+
+const deserialiseSignature = ({ recordId, image, vector, encrypted }) => {
+  if (encrypted) {
+    return { recordId, encrypted: { ...encrypted, image: { ...encrypted.image, data: dataURLToBlob(encrypted.image.data) } } };
+  }
+  return { recordId, image: dataURLToBlob(image), vector };
+};
+
+/**
+ * Downloads every event, record and signature as one JSON file.
+ * Encrypted records stay encrypted; the key parameters travel with them so
+ * the backup can be unlocked with the same passphrase elsewhere.
+ */
+export const downloadBackup = async () => {
+  const { events, records, signatures: storedSignatures } = await getAllData();
+  const signatures = [];
+  for (const signature of storedSignatures) {
+    signatures.push(await serialiseSignature(signature));
+  }
+  const encryption = await getSetting(ENCRYPTION_SETTING_KEY);
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion: DB_VERSION,
+    exportedAt: new Date().toISOString(),
+    events,
+    records,
+    signatures,
+    ...(encryption ? { encryption } : {}),
+  };
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const date = backup.exportedAt.split('T')[0];
+  downloadBlob(blob, `attendance-backup-${date}.json`);
+  return { events: events.length, records: records.length };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses and validates a backup file. Throws an Error with a readable
+ * message when the file is not a backup this version can restore.
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The selected file is not valid JSON.');
+  }
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error('The selected file is not an attendance backup.');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version "${backup.version}". Please update the app.`);
+  }
+  if (!Array.isArray(backup.events) || !Array.isArray(backup.records)) {
+    throw new Error('The backup is missing its events or records.');
+  }
+  if (backup.signatures !== undefined && !Array.isArray(backup.signatures)) {
+    throw new Error('The backup has an invalid signatures list.');
+  }
+
+  const eventIds = new Set();
+  backup.events.forEach((event, i) => {
+    if (!isPlainObject(event) || typeof event.id !== 'number') {
+      throw new Error(`Event #${i + 1} in the backup has no valid ID.`);
+    }
+    eventIds.add(event.id);
+  });
+
+  if (backup.encryption !== undefined && !isPlainObject(backup.encryption)) {
+    throw new Error('The backup has invalid encryption settings.');
+  }
+
+  backup.records.forEach((record, i) => {
+    const isEncrypted = isPlainObject(record) && isPlainObject(record.encrypted);
+    if (!isPlainObject(record) || (typeof record.completeName !== 'string' && !isEncrypted) || typeof record.timestamp !== 'number') {
+      throw new Error(`Record #${i + 1} in the backup is missing its name or timestamp.`);
+    }
+    if (isEncrypted && !backup.encryption) {
+      throw new Error(`Record #${i + 1} in the backup is encrypted, but the backup has no encryption settings.`);
+    }
+    if (!eventIds.has(record.eventId)) {
+      const label = isEncrypted ? 'encrypted' : record.completeName;
+      throw new Error(`Record #${i + 1} ("${label}") belongs to an event that is not in the backup.`);
+    }
+  });
+
+  (backup.signatures || []).forEach((signature, i) => {
+    const image = isPlainObject(signature) && (isPlainObject(signature.encrypted) ? signature.encrypted.image?.data : signature.image);
+    if (!isPlainObject(signature) || typeof signature.recordId !== 'number' || typeof image !== 'string' || !image.startsWith('data:')) {
+      throw new Error(`Signature #${i + 1} in the backup has no valid record ID or image.`);
+    }
+  });
+
+  return backup;
+};
+
+/**
+ * Short description of what a parsed backup contains.
+ */
+export const summarizeBackup = (backup) => ({
+  events: backup.events.length,
+  records: backup.records.length,
+  exportedAt: backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'Unknown date',
+});
+
+const hasPlainData = ({ records, signatures }) => (
+  records.some(record => !record.encrypted) || signatures.some(signature => !signature.encrypted)
+);
+
+/**
+ * Restores a parsed backup, either merging it into or replacing the local database.
+ * Backups taken before sync existed get the sync fields the database now expects,
+ * and v1 backups have their plain-text signatures moved out of the records.
+ * Nothing is left unencrypted in an encrypted database: plain-text records
+ * restored into one are sealed with the session key, so it must be unlocked.
+ */
+export const restoreBackup = async (backup, mode) => {
+  const localEncryption = await getSetting(ENCRYPTION_SETTING_KEY);
+  const backupEncryption = backup.encryption || null;
+  const isOtherKey = backupEncryption !== null && localEncryption !== null
+    && backupEncryption.salt !== localEncryption.salt;
+  // Merged records must all open with the same key
+  if (isOtherKey && mode === RESTORE_MODES.MERGE) {
+    throw new Error('This backup was encrypted with a different passphrase. Use "Replace" to restore it instead.');
+  }
+  const adoptsEncryption = backupEncryption !== null && (localEncryption === null || isOtherKey);
+
+  const signatures = (backup.signatures || []).map(deserialiseSignature);
+  const records = backup.records.map((backupRecord) => {
+    const { record, signature } = splitLegacySignature(backupRecord);
+    if (signature) signatures.push(signature);
+    return record.uid ? record : { ...record, uid: createUid(), pendingSync: 1 };
+  });
+  let data = {
+    events: backup.events.map(event => (event.uid ? event : { ...event, uid: createUid() })),
+    records,
+    signatures,
+  };
+
+  if (adoptsEncryption) {
+    // The backup's key stays locked until its passphrase is entered, so nothing can be sealed with it
+    if (hasPlainData(data)) {
+      throw new Error('This backup holds both encrypted and unencrypted records and cannot be restored.');
+    }
+    if (mode === RESTORE_MODES.MERGE && hasPlainData(await getAllData())) {
+      throw new Error('This backup is encrypted, but the records on this device are not. Use "Replace" to restore it instead.');
+    }
+  } else if (localEncryption !== null && hasPlainData(data)) {
+    data = await sealRestoredData(data);
+  }
+  const summary = mode === RESTORE_MODES.REPLACE ? await replaceAllData(data) : await mergeAllData(data);
+  if (adoptsEncryption) {
+    await adoptEncryptionSettings(backupEncryption);
+  }
+  return summary;
+};
@@ -0,0 +1,180 @@
+// --- Certificates of Attendance / Participation ---
+//
+// The certificate template lives on the event (`event.certificateTemplate`):
+// an optional background image, text blocks positioned in percent of the
+// page, and the signatories. Certificates are drawn with jsPDF in the browser.
+
+import { formatEventDate, getExportFileName } from '@/lib/export';
+import { getSessions, buildAttendanceMatrix } from '@/lib/sessions';
+import { normaliseName } from '@/lib/duplicates';
+
+export const CERTIFICATES_SUCCESS_MESSAGE = 'Certificates generated successfully.';
+export const CERTIFICATES_NONE_ELIGIBLE_MESSAGE = 'No attendee meets the certificate requirements yet.';
+export const CERTIFICATE_BACKGROUND_TOO_LARGE_MESSAGE = 'The background image is too large. Please use an image under 3 MB.';
+export const CERTIFICATE_BACKGROUND_TYPE_MESSAGE = 'The background must be a PNG or JPEG image.';
+
+const MAX_BACKGROUND_BYTES = 3 * 1024 * 1024;
+// Browsers drop downloads started in quick succession
+const SEPARATE_DOWNLOAD_DELAY_MS = 400;
+const SIGNATORY_LINE_WIDTH = 60;
+
+// The standard PDF fonts, available without embedding a font file
+export const CERTIFICATE_FONTS = [
+  { value: 'times', label: 'Times (serif)', css: '"Times New Roman", Times, serif' },
+  { value: 'helvetica', label: 'Helvetica (sans-serif)', css: 'Helvetica, Arial, sans-serif' },
+  { value: 'courier', label: 'Courier (monospace)', css: '"Courier New", Courier, monospace' },
+];
+
+export const CERTIFICATE_FONT_STYLES = [
+  { value: 'normal', label: 'Regular' },
+  { value: 'bold', label: 'Bold' },
+  { value: 'italic', label: 'Italic' },
+  { value: 'bolditalic', label: 'Bold italic' },
+];
+
+// Words in a block's text replaced for each certificate
+export const CERTIFICATE_PLACEHOLDERS = ['{name}', '{activity}', '{venue}', '{date}'];
+
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  orientation: 'landscape',
+  background: null, // PNG or JPEG data URL stretched over the whole page
+  minimumCompletion: 100, // Percent of the sessions attended, for events with sessions
+  blocks: [
+    { id: 'title', label: 'Title', text: 'CERTIFICATE OF PARTICIPATION', x: 50, y: 22, size: 32, font: 'times', style: 'bold' },
+    { id: 'preamble', label: 'Preamble', text: 'is hereby awarded to', x: 50, y: 35, size: 14, font: 'times', style: 'italic' },
+    { id: 'name', label: 'Attendee name', text: '{name}', x: 50, y: 47, size: 30, font: 'times', style: 'bold' },
+    { id: 'body', label: 'Body', text: 'for attending {activity} held at {venue} on {date}.', x: 50, y: 60, size: 14, font: 'times', style: 'normal' },
+  ],
+  signatoriesY: 82,
+  signatories: [{ name: '', position: '' }],
+};
+
+/**
+ * The event's certificate template, completed with the defaults.
+ */
+export const getCertificateTemplate = (event) => ({
+  ...DEFAULT_CERTIFICATE_TEMPLATE,
+  ...(event && event.certificateTemplate),
+});
+
+/**
+ * Replaces the placeholders of a text block for one attendee.
+ */
+export const fillCertificateText = (text, name, eventConfig) => String(text || '')
+  .replace(/\{name\}/g, name)
+  .replace(/\{activity\}/g, eventConfig.activityName || '')
+  .replace(/\{venue\}/g, eventConfig.venue || '')
+  .replace(/\{date\}/g, formatEventDate(eventConfig.eventDate));
+
+/**
+ * Attendees who get a certificate, sorted by name. Withdrawn records never
+ * do; with sessions, only participants whose completion reaches the
+ * template's minimum. Each attendee appears once.
+ */
+export const getCertificateRecipients = (records, eventConfig, template) => {
+  const sessions = getSessions(eventConfig);
+  if (sessions.length > 0) {
+    return buildAttendanceMatrix(records, sessions).rows
+      .filter(row => row.completion >= (Number(template.minimumCompletion) || 0))
+      .map(row => ({ key: row.key, name: row.name, completion: row.completion }));
+  }
+
+  const recipientsByName = new Map();
+  records.forEach((record) => {
+    if (record.consent && record.consent.withdrawnAt) return;
+    const key = normaliseName(record.completeName);
+    if (key && !recipientsByName.has(key)) recipientsByName.set(key, { key, name: record.completeName.trim(), completion: null });
+  });
+  return [...recipientsByName.values()].sort((a, b) => a.key.localeCompare(b.key));
+};
+
+/**
+ * Reads an uploaded background image as a data URL, rejecting other file
+ * types and images too large to keep on the event.
+ */
+export const readCertificateBackground = (file) => new Promise((resolve, reject) => {
+  if (!/^image\/(png|jpeg)$/.test(file.type)) {
+    reject(new Error(CERTIFICATE_BACKGROUND_TYPE_MESSAGE));
+    return;
+  }
+  if (file.size > MAX_BACKGROUND_BYTES) {
+    reject(new Error(CERTIFICATE_BACKGROUND_TOO_LARGE_MESSAGE));
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const getImageFormat = (dataURL) => (dataURL.startsWith('data:image/png') ? 'PNG' : 'JPEG');
+
+/**
+ * Draws one certificate on the current page of `doc`.
+ */
+const drawCertificate = (doc, template, name, eventConfig) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  if (template.background) {
+    // The alias lets jsPDF embed the image once for every page
+    doc.addImage(template.background, getImageFormat(template.background), 0, 0, pageWidth, pageHeight, 'certificate-background', 'FAST');
+  }
+
+  doc.setTextColor(0);
+  template.blocks.forEach((block) => {
+    const text = fillCertificateText(block.text, name, eventConfig);
+    if (!text.trim()) return;
+    doc.setFont(block.font, block.style);
+    doc.setFontSize(Number(block.size) || 12);
+    const lines = doc.splitTextToSize(text, pageWidth * 0.8);
+    doc.text(lines, (pageWidth * block.x) / 100, (pageHeight * block.y) / 100, { align: 'center', baseline: 'middle' });
+  });
+
+  const signatories = template.signatories.filter(signatory => signatory.name.trim());
+  const lineY = (pageHeight * template.signatoriesY) / 100;
+  const font = template.blocks[0]?.font || 'times';
+  signatories.forEach((signatory, i) => {
+    const centerX = (pageWidth * (i + 1)) / (signatories.length + 1);
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.3);
+    doc.line(centerX - SIGNATORY_LINE_WIDTH / 2, lineY, centerX + SIGNATORY_LINE_WIDTH / 2, lineY);
+    doc.setFont(font, 'bold');
+    doc.setFontSize(12);
+    doc.text(signatory.name, centerX, lineY + 5, { align: 'center' });
+    doc.setFont(font, 'normal');
+    doc.setFontSize(10);
+    if (signatory.position) doc.text(signatory.position, centerX, lineY + 10, { align: 'center' });
+  });
+};
+
+const createCertificateDocument = (jsPDF, template) => new jsPDF({ orientation: template.orientation, unit: 'mm', format: 'a4' });
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Generates the certificates of `recipients`, either as one PDF with a page
+ * per attendee or as one PDF download per attendee.
+ */
+export const exportCertificatesToPDF = async (recipients, eventConfig, template, { separate = false } = {}) => {
+  // Loaded on demand so the PDF library stays out of the main bundle
+  const { jsPDF } = await import('jspdf');
+  const fileName = `${getExportFileName(eventConfig)}-certificate`;
+
+  if (!separate) {
+    const doc = createCertificateDocument(jsPDF, template);
+    recipients.forEach((recipient, i) => {
+      if (i > 0) doc.addPage();
+      drawCertificate(doc, template, recipient.name, eventConfig);
+    });
+    doc.save(`${fileName}s.pdf`);
+    return;
+  }
+
+  for (let i = 0; i < recipients.length; i += 1) {
+    const doc = createCertificateDocument(jsPDF, template);
+    drawCertificate(doc, template, recipients[i].name, eventConfig);
+    doc.save(`${fileName}-${slugify(recipients[i].name) || i + 1}.pdf`);
+    await new Promise(resolve => setTimeout(resolve, SEPARATE_DOWNLOAD_DELAY_MS));
+  }
+};
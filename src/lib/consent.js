@@ -0,0 +1,83 @@
+// --- Privacy Notice Consent ---
+
+import { hasOptions } from '@/lib/formSchema';
+
+export const DEFAULT_PRIVACY_NOTICE = 'The data and information provided in this form are solely intended for the designated activity. Any use of this data for purposes other than those intended by the process owner constitutes a violation of the Data Privacy Act of 2023. By voluntarily providing this data and information, the Data Subject explicitly consents to its use by the office for its intended purpose. This includes, but is not limited to, documentation processes related to the activity and sharing on social media platforms for promotional or informational purposes. Your likeness in event photos may be used. You can withdraw consent by contacting us at region9basulta@dict.gov.ph';
+export const INITIAL_CONSENT = { privacy: false, photo: false };
+export const CONSENT_REQUIRED_MESSAGE = 'Please read the privacy notice and tick the consent box before saving.';
+export const WITHDRAWN_NAME = 'Consent withdrawn';
+export const WITHDRAW_SUCCESS_MESSAGE = 'Consent withdrawn successfully. The record was anonymised.';
+
+/**
+ * Privacy notice shown on an event's form.
+ */
+export const getPrivacyNotice = (event) => (
+  event && typeof event.privacyNotice === 'string' && event.privacyNotice.trim()
+    ? event.privacyNotice
+    : DEFAULT_PRIVACY_NOTICE
+);
+
+/**
+ * Short fingerprint of a notice text (32-bit FNV-1a). Synchronous and
+ * available without Web Crypto, so it also works on plain-http LAN addresses.
+ * Records keep it to show exactly which wording the attendee agreed to.
+ */
+export const hashNotice = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Consent details stored on a new record.
+ */
+export const buildConsentRecord = (consent, noticeText, consentedAt = Date.now()) => ({
+  privacy: consent.privacy,
+  photo: consent.photo,
+  noticeHash: hashNotice(noticeText),
+  consentedAt,
+});
+
+/**
+ * Strips everything that identifies the attendee from a record. Choice
+ * fields (sex, special status, dropdowns...) are kept so totals still add
+ * up; free text and the signature are dropped.
+ */
+export const anonymiseRecord = (record, fields, withdrawnAt = Date.now()) => {
+  const { id, eventId, uid, timestamp, sessionId, rosterId, syncedAt, consent } = record;
+  const keptValues = Object.fromEntries(
+    fields.filter(field => hasOptions(field) && field.key in record).map(field => [field.key, record[field.key]])
+  );
+  return {
+    id,
+    eventId,
+    uid,
+    timestamp,
+    // Session and roster entry keep the record in per-session and per-participant counts
+    ...(sessionId ? { sessionId } : {}),
+    ...(rosterId ? { rosterId } : {}),
+    // The server still holds the named copy; purging this one must delete it there
+    ...(syncedAt ? { syncedAt } : {}),
+    ...keptValues,
+    completeName: WITHDRAWN_NAME,
+    consent: { ...consent, privacy: false, photo: false, withdrawnAt },
+    // The server replaces its older copy with this one
+    updatedAt: withdrawnAt,
+    pendingSync: 1,
+  };
+};
+
+/**
+ * Audit log entry for a withdrawal. It names the record by uid only, since
+ * the name is exactly what was just removed.
+ */
+export const buildWithdrawalLogEntry = (record, withdrawnAt) => ({
+  action: 'consent-withdrawn',
+  recordUid: record.uid,
+  signedAt: record.timestamp,
+  noticeHash: record.consent ? record.consent.noticeHash : null,
+  at: withdrawnAt,
+});
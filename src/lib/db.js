@@ -0,0 +1,1170 @@
+// --- IndexedDB Configuration and Utility Functions ---
+
+// Committed writes are announced to the app's other open tabs
+import { CHANGE_TYPES, announceChange } from '@/lib/liveUpdates';
+
+export const DB_NAME = 'SimpleNameDB';
+export const STORE_NAME = 'names';
+export const EVENTS_STORE_NAME = 'events';
+// Device-wide settings kept next to the data they describe (e.g. encryption parameters)
+export const SETTINGS_STORE_NAME = 'settings';
+// Signature images (Blobs) and stroke data, keyed by the ID of their record
+export const SIGNATURES_STORE_NAME = 'signatures';
+// Index on the records store used to scope records to a single event
+export const EVENT_INDEX = 'eventId';
+// Sparse index: only records not yet pushed to the sync server carry `pendingSync`
+export const PENDING_SYNC_INDEX = 'pendingSync';
+// Sparse index: only records in the Trash carry `deletedAt`
+export const DELETED_INDEX = 'deletedAt';
+// Compound index ordering each event's records by the time they were signed, for paging
+export const EVENT_TIMESTAMP_INDEX = 'eventTimestamp';
+export const DB_VERSION = 7;
+// Records read per cursor page; the first page shows while the rest load
+export const RECORDS_PAGE_SIZE = 200;
+// Settings store key for purged records whose deletion the server has not heard about yet
+export const PENDING_TOMBSTONES_KEY = 'pendingTombstones';
+export const IDB_SUCCESS_MESSAGE = 'Record saved successfully to IndexedDB.';
+export const IDB_ERROR_MESSAGE = 'Could not access IndexedDB. Check console for details.';
+export const DB_BLOCKED_MESSAGE = 'The app was updated, but another tab still has the old version open. Close or reload the other tabs of this app, then reload this page.';
+export const DB_OUTDATED_MESSAGE = 'A newer version of the app was opened in another tab. Reload this page to keep working.';
+// localStorage key for the pre-v2 single event metadata (only read during migration)
+export const EVENT_CONFIG_KEY = 'eventConfig';
+// localStorage key for the ID of the event currently selected on this device
+export const ACTIVE_EVENT_KEY = 'activeEventId';
+export const LEGACY_EVENT_NAME = 'Legacy event';
+
+/**
+ * Creates a random RFC 4122 v4 UUID. Uses getRandomValues because
+ * crypto.randomUUID is missing on plain-http LAN addresses (not a secure context).
+ */
+export const createUid = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Reads the single event config that v1 of the app kept in localStorage.
+ */
+export const readLegacyEventConfig = () => {
+  try {
+    const savedConfig = localStorage.getItem(EVENT_CONFIG_KEY);
+    return savedConfig ? JSON.parse(savedConfig) : {};
+  } catch (e) {
+    console.error("Failed to parse event config from localStorage:", e);
+    return {};
+  }
+};
+
+/**
+ * v1 -> v2: creates a "Legacy event" from the localStorage config and
+ * assigns every existing record to it. Runs inside the upgrade transaction.
+ */
+const migrateLegacyRecords = (transaction, done) => {
+  const legacyConfig = readLegacyEventConfig();
+  const legacyEvent = {
+    activityName: legacyConfig.activityName || LEGACY_EVENT_NAME,
+    venue: legacyConfig.venue || '',
+    eventDate: legacyConfig.eventDate || '',
+    archived: false,
+    legacy: true,
+    createdAt: Date.now(),
+  };
+
+  const addRequest = transaction.objectStore(EVENTS_STORE_NAME).add(legacyEvent);
+  addRequest.onsuccess = () => {
+    const legacyEventId = addRequest.result;
+    const cursorRequest = transaction.objectStore(STORE_NAME).openCursor();
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        console.log(`IndexedDB: Existing records moved to event ${legacyEventId}.`);
+        done();
+        return;
+      }
+      if (cursor.value.eventId === undefined) {
+        cursor.update({ ...cursor.value, eventId: legacyEventId });
+      }
+      cursor.continue();
+    };
+  };
+};
+
+/**
+ * v2 -> v3: gives every event and record a globally unique `uid` so they can
+ * be synced between devices, and flags every existing record as pending sync.
+ */
+const addSyncFields = (transaction, done) => {
+  const backfill = (storeName, update, next) => {
+    transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        next();
+        return;
+      }
+      if (!cursor.value.uid) {
+        cursor.update(update(cursor.value));
+      }
+      cursor.continue();
+    };
+  };
+  backfill(EVENTS_STORE_NAME, value => ({ ...value, uid: createUid() }), () => (
+    backfill(STORE_NAME, value => ({ ...value, uid: createUid(), pendingSync: 1 }), done)
+  ));
+};
+
+/**
+ * Decodes a base64 data URL into a Blob. Synchronous, so it can run inside
+ * an upgrade transaction, which closes while waiting on fetch() or a FileReader.
+ */
+export const dataURLToBlob = (dataURL) => {
+  const [header, base64] = dataURL.split(',');
+  const type = header.slice('data:'.length).split(';')[0];
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+/**
+ * Splits a record that still carries its signature as a data URL (saved
+ * before v6) into the bare record and its signatures store entry. Records
+ * without one come back unchanged, with a null signature.
+ */
+export const splitLegacySignature = (record) => {
+  if (typeof record.signature !== 'string') return { record, signature: null };
+  const { signature, signatureVector, ...bareRecord } = record;
+  return {
+    record: bareRecord,
+    signature: { recordId: record.id, image: dataURLToBlob(signature), vector: signatureVector || null },
+  };
+};
+
+/**
+ * v5 -> v6: moves signature data URLs out of the records into the
+ * signatures store as Blobs, so listing records no longer reads every image.
+ * Encrypted records keep theirs until they are re-encrypted (see encryption.js).
+ */
+const moveSignaturesToStore = (transaction, done) => {
+  const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+  let moved = 0;
+  transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      if (moved > 0) console.log(`IndexedDB: ${moved} signatures moved to '${SIGNATURES_STORE_NAME}'.`);
+      done();
+      return;
+    }
+    const { record, signature } = splitLegacySignature(cursor.value);
+    if (signature) {
+      signatureStore.put(signature);
+      cursor.update(record);
+      moved += 1;
+    }
+    cursor.continue();
+  };
+};
+
+/**
+ * Runs data migrations one after another inside the upgrade transaction.
+ * Each step calls `done` when its cursors finish, so later steps always see
+ * the values written by earlier ones.
+ */
+const runDataMigrations = (transaction, steps) => {
+  const [step, ...remainingSteps] = steps;
+  if (!step) return;
+  step(transaction, () => runDataMigrations(transaction, remainingSteps));
+};
+
+// --- Connection ---
+
+// One connection per tab, opened on first use
+let connectionPromise = null;
+// Set once another tab upgraded the database; this tab's code is then out of date
+let isOutdated = false;
+const outdatedHandlers = new Set();
+
+/**
+ * Calls `handler()` when another tab upgrades the database and this tab has
+ * to be reloaded. Returns a function that stops listening.
+ */
+export const onDatabaseOutdated = (handler) => {
+  outdatedHandlers.add(handler);
+  return () => outdatedHandlers.delete(handler);
+};
+
+/**
+ * The message to show for a failed operation: connection problems the user
+ * can fix (other tabs blocking an upgrade, an outdated tab) are passed on.
+ */
+const getDBErrorMessage = (error) => (
+  error && [DB_BLOCKED_MESSAGE, DB_OUTDATED_MESSAGE].includes(error.message) ? error.message : IDB_ERROR_MESSAGE
+);
+
+/**
+ * Opens a new connection, creating or upgrading the object stores if necessary.
+ */
+const openConnection = () => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new Error("IndexedDB is not supported by this browser."));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  let isBlocked = false;
+
+  request.onupgradeneeded = (event) => {
+    const db = event.target.result;
+    const transaction = event.target.transaction;
+    const { oldVersion } = event;
+    // Schema changes happen right away; data migrations are queued and run in order
+    const dataMigrations = [];
+
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      console.log(`IndexedDB: Object store '${STORE_NAME}' created.`);
+    }
+
+    if (oldVersion < 2) {
+      if (!db.objectStoreNames.contains(EVENTS_STORE_NAME)) {
+        db.createObjectStore(EVENTS_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        console.log(`IndexedDB: Object store '${EVENTS_STORE_NAME}' created.`);
+      }
+      const recordStore = transaction.objectStore(STORE_NAME);
+      if (!recordStore.indexNames.contains(EVENT_INDEX)) {
+        recordStore.createIndex(EVENT_INDEX, 'eventId', { unique: false });
+      }
+      // Only databases created by v1 have records without an event
+      if (oldVersion === 1) {
+        dataMigrations.push(migrateLegacyRecords);
+      }
+    }
+
+    if (oldVersion < 3) {
+      transaction.objectStore(STORE_NAME).createIndex(PENDING_SYNC_INDEX, 'pendingSync', { unique: false });
+      dataMigrations.push(addSyncFields);
+    }
+
+    if (oldVersion < 4) {
+      db.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'key' });
+      console.log(`IndexedDB: Object store '${SETTINGS_STORE_NAME}' created.`);
+    }
+
+    if (oldVersion < 5) {
+      transaction.objectStore(STORE_NAME).createIndex(DELETED_INDEX, 'deletedAt', { unique: false });
+    }
+
+    if (oldVersion < 6) {
+      db.createObjectStore(SIGNATURES_STORE_NAME, { keyPath: 'recordId' });
+      console.log(`IndexedDB: Object store '${SIGNATURES_STORE_NAME}' created.`);
+      dataMigrations.push(moveSignaturesToStore);
+    }
+
+    if (oldVersion < 7) {
+      transaction.objectStore(STORE_NAME).createIndex(EVENT_TIMESTAMP_INDEX, ['eventId', 'timestamp'], { unique: false });
+    }
+
+    runDataMigrations(transaction, dataMigrations);
+  };
+
+  // Tabs still running an older version have the database open and have not let go of it
+  request.onblocked = () => {
+    isBlocked = true;
+    console.error("IndexedDB: Upgrade blocked by another open tab.");
+    reject(new Error(DB_BLOCKED_MESSAGE));
+  };
+
+  request.onsuccess = (event) => {
+    const db = event.target.result;
+    if (isBlocked) {
+      // The other tabs closed after all; the next call opens a fresh connection
+      db.close();
+      return;
+    }
+    // The browser may close it (e.g. when the user clears site data); reopen on the next call
+    db.onclose = () => {
+      connectionPromise = null;
+    };
+    // Another tab needs a newer version: let go so its upgrade can run
+    db.onversionchange = () => {
+      db.close();
+      isOutdated = true;
+      connectionPromise = null;
+      outdatedHandlers.forEach(handler => handler());
+    };
+    resolve(db);
+  };
+
+  request.onerror = (event) => {
+    console.error("IndexedDB: Error opening database:", event.target.error);
+    reject(event.target.error);
+  };
+});
+
+/**
+ * Returns the tab's connection to IndexedDB, opening it (and creating or
+ * upgrading the object stores) on first use.
+ */
+export const openDB = () => {
+  if (isOutdated) return Promise.reject(new Error(DB_OUTDATED_MESSAGE));
+  if (!connectionPromise) {
+    connectionPromise = openConnection().catch((error) => {
+      connectionPromise = null; // Try again on the next call
+      throw error;
+    });
+  }
+  return connectionPromise;
+};
+
+// --- Records ---
+
+/**
+ * Adds a new record to the object store, scoped to the given event, and its
+ * signature (an entry without `recordId`) to the signatures store in the
+ * same transaction.
+ */
+export const addRecord = async (recordData, eventId, signature = null) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, SIGNATURES_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    // Add timestamp to the record using Date.now(); new records wait for the next sync
+    const recordObject = { ...recordData, eventId, uid: createUid(), pendingSync: 1, timestamp: Date.now() };
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(recordObject);
+
+      request.onsuccess = () => {
+        if (signature) {
+          transaction.objectStore(SIGNATURES_STORE_NAME).put({ ...signature, recordId: request.result });
+        }
+      };
+
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.RECORDS, { ids: [request.result] });
+        resolve(request.result);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error adding record:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Save Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Reads one page of an event's records, newest first, with a cursor on the
+ * event/timestamp index. Pass the `next` position of the previous page to
+ * continue after it; `next` is null once the event has no more records.
+ */
+export const getRecordsPage = async (eventId, after = null, limit = RECORDS_PAGE_SIZE) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const index = transaction.objectStore(STORE_NAME).index(EVENT_TIMESTAMP_INDEX);
+    const upper = after ? [eventId, after.timestamp] : [eventId, Infinity];
+    const records = [];
+
+    return new Promise((resolve, reject) => {
+      const request = index.openCursor(IDBKeyRange.bound([eventId, -Infinity], upper), 'prev');
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve({ records, next: null });
+          return;
+        }
+        const record = cursor.value;
+        // Records signed in the same millisecond come by descending ID; skip the ones already read
+        if (!after || record.timestamp < after.timestamp || record.id < after.id) {
+          records.push(record);
+        }
+        if (records.length === limit) {
+          resolve({ records, next: { timestamp: record.timestamp, id: record.id } });
+          return;
+        }
+        cursor.continue();
+      };
+
+      request.onerror = (event) => {
+        console.error("IndexedDB: Error getting records:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Load Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Retrieves the given records in one transaction, leaving out IDs that no
+ * longer exist. Used to refresh the list after a write without reloading it.
+ */
+export const getRecordsByIds = async (ids) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const requests = ids.map(id => store.get(id));
+
+      transaction.oncomplete = () => {
+        resolve(requests.map(request => request.result).filter(Boolean));
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error getting records:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Load Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Retrieves the stored signatures of the given record IDs in one
+ * transaction, in the same order; null where a record has none.
+ */
+export const getSignatures = async (recordIds) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SIGNATURES_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SIGNATURES_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const requests = recordIds.map(recordId => store.get(recordId));
+
+      transaction.oncomplete = () => {
+        resolve(requests.map(request => request.result || null));
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error getting signatures:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Load Signatures Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Permanently deletes a record by its ID. The UI moves records to the Trash
+ * first (see trashRecords); this is only used to purge them.
+ */
+export const deleteRecord = async (id) => {
+  await deleteRecords([id]);
+  return true;
+};
+
+/**
+ * Remembers, inside an open transaction that includes the settings store,
+ * the purged records the server still holds a live copy of (synced once,
+ * but moved to the Trash since), so the next sync deletes them there too.
+ * Edits, merges and consent withdrawals keep `syncedAt` for this reason.
+ */
+const queueTombstones = (transaction, records) => {
+  const tombstones = records
+    .filter(record => record.syncedAt && record.pendingSync)
+    .map(({ eventId, uid, timestamp, deletedAt }) => ({ eventId, uid, timestamp, deletedAt: deletedAt || Date.now() }));
+  if (tombstones.length === 0) return;
+  const settingsStore = transaction.objectStore(SETTINGS_STORE_NAME);
+  const request = settingsStore.get(PENDING_TOMBSTONES_KEY);
+  request.onsuccess = () => {
+    const queued = request.result ? request.result.value : [];
+    settingsStore.put({ key: PENDING_TOMBSTONES_KEY, value: [...queued, ...tombstones] });
+  };
+};
+
+/**
+ * Permanently deletes several records in one transaction (emptying the Trash).
+ */
+export const deleteRecords = async (ids) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, SIGNATURES_STORE_NAME, SETTINGS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+    const purgedRecords = [];
+    let remaining = ids.length;
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.RECORDS, { ids });
+        resolve(ids.length);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error deleting records:", event.target.error);
+        reject(event.target.error);
+      };
+
+      ids.forEach((id) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) purgedRecords.push(request.result);
+          store.delete(id);
+          signatureStore.delete(id);
+          remaining -= 1;
+          if (remaining === 0) queueTombstones(transaction, purgedRecords);
+        };
+      });
+    });
+  } catch (error) {
+    console.error("IDB Delete Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Overwrites an existing record (same ID) with new contents. With
+ * `removeSignature` its stored signature is erased in the same transaction.
+ */
+export const updateRecord = async (recordObject, { removeSignature = false } = {}) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, SIGNATURES_STORE_NAME], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore(STORE_NAME).put(recordObject);
+      if (removeSignature) transaction.objectStore(SIGNATURES_STORE_NAME).delete(recordObject.id);
+
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.RECORDS, { ids: [recordObject.id] });
+        resolve(request.result);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error updating record:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Update Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Sets or clears `deletedAt` on records inside an open transaction. Both are
+ * changes the server has to hear about, so the records are queued for sync.
+ */
+const setDeletedAt = (store, ids, deletedAt) => {
+  const updatedAt = deletedAt ?? Date.now();
+  ids.forEach((id) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      const record = { ...request.result, deletedAt, updatedAt, pendingSync: 1 };
+      if (deletedAt === null) delete record.deletedAt;
+      store.put(record);
+    };
+  });
+};
+
+/**
+ * Runs setDeletedAt in its own transaction and resolves with the number of IDs.
+ */
+const updateDeletedAt = async (ids, deletedAt) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.RECORDS, { ids });
+        resolve(ids.length);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error moving records to or from the Trash:", event.target.error);
+        reject(event.target.error);
+      };
+
+      setDeletedAt(transaction.objectStore(STORE_NAME), ids, deletedAt);
+    });
+  } catch (error) {
+    console.error("IDB Trash Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Moves records to the Trash. They keep all their data until purged.
+ */
+export const trashRecords = (ids, deletedAt = Date.now()) => updateDeletedAt(ids, deletedAt);
+
+/**
+ * Takes records back out of the Trash.
+ */
+export const restoreRecords = (ids) => updateDeletedAt(ids, null);
+
+/**
+ * Permanently deletes every record that was moved to the Trash at or before
+ * `cutoff`, across all events. Resolves with the number of records purged.
+ */
+export const purgeTrashedRecords = async (cutoff) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, SIGNATURES_STORE_NAME, SETTINGS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+    const purgedRecords = [];
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        if (purgedRecords.length > 0) announceChange(CHANGE_TYPES.RECORDS, { ids: purgedRecords.map(record => record.id) });
+        resolve(purgedRecords.length);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error purging the Trash:", event.target.error);
+        reject(event.target.error);
+      };
+
+      const request = store.index(DELETED_INDEX).openCursor(IDBKeyRange.upperBound(cutoff));
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          queueTombstones(transaction, purgedRecords);
+          return;
+        }
+        store.delete(cursor.primaryKey);
+        signatureStore.delete(cursor.primaryKey);
+        purgedRecords.push(cursor.value);
+        cursor.continue();
+      };
+    });
+  } catch (error) {
+    console.error("IDB Purge Trash Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Saves a merged record and moves the records merged into it to the Trash,
+ * in one transaction.
+ */
+export const mergeRecords = async (recordObject, removedIds, deletedAt = Date.now()) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.RECORDS, { ids: [recordObject.id, ...removedIds] });
+        resolve(removedIds.length);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error merging records:", event.target.error);
+        reject(event.target.error);
+      };
+
+      store.put(recordObject);
+      setDeletedAt(store, removedIds, deletedAt);
+    });
+  } catch (error) {
+    console.error("IDB Merge Records Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Retrieves every record, across all events, that has not been synced yet.
+ */
+export const getPendingSyncRecords = async () => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const index = transaction.objectStore(STORE_NAME).index(PENDING_SYNC_INDEX);
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll();
+
+      request.onsuccess = (event) => {
+        resolve(event.target.result);
+      };
+
+      request.onerror = (event) => {
+        console.error("IndexedDB: Error getting unsynced records:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Load Unsynced Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Marks pushed records as synced, which also drops them from the pendingSync
+ * index. `pushedRecords` are the stored records as they were read for the
+ * push; one edited, trashed or deleted since then stays queued, so its newer
+ * change is sent next time. Resolves with the IDs marked synced.
+ */
+export const markRecordsSynced = async (pushedRecords, syncedAt = Date.now()) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const markedIds = [];
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        if (markedIds.length > 0) announceChange(CHANGE_TYPES.RECORDS, { ids: markedIds });
+        resolve(markedIds);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error marking records synced:", event.target.error);
+        reject(event.target.error);
+      };
+
+      pushedRecords.forEach(({ id, updatedAt }) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          // The record may have been deleted or changed while the sync request was in flight
+          if (!request.result || request.result.updatedAt !== updatedAt) return;
+          const { pendingSync, ...record } = request.result;
+          store.put({ ...record, syncedAt });
+          markedIds.push(id);
+        };
+      });
+    });
+  } catch (error) {
+    console.error("IDB Mark Synced Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Deletions of purged records still to be pushed to the server, as
+ * { eventId, uid, timestamp, deletedAt }.
+ */
+export const getPendingTombstones = async () => (await getSetting(PENDING_TOMBSTONES_KEY)) || [];
+
+/**
+ * Drops the tombstones the server has accepted from the queue.
+ */
+export const removePendingTombstones = async (uids) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SETTINGS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SETTINGS_STORE_NAME);
+    const removedUids = new Set(uids);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        resolve(removedUids.size);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error updating pending deletions:", event.target.error);
+        reject(event.target.error);
+      };
+
+      const request = store.get(PENDING_TOMBSTONES_KEY);
+      request.onsuccess = () => {
+        const remaining = (request.result ? request.result.value : []).filter(tombstone => !removedUids.has(tombstone.uid));
+        if (remaining.length > 0) store.put({ key: PENDING_TOMBSTONES_KEY, value: remaining });
+        else store.delete(PENDING_TOMBSTONES_KEY);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Remove Pending Deletions Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Deletes every record that matches a key on the eventId index, with its signature.
+ * Completion is reported through the surrounding transaction.
+ */
+const deleteRecordsByEvent = (transaction, eventId) => {
+  const store = transaction.objectStore(STORE_NAME);
+  const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+  const request = store.index(EVENT_INDEX).openKeyCursor(IDBKeyRange.only(eventId));
+
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    store.delete(cursor.primaryKey);
+    signatureStore.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+};
+
+// --- Events ---
+
+/**
+ * Retrieves all events, oldest first.
+ */
+export const getAllEvents = async () => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(EVENTS_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+
+      request.onsuccess = (event) => {
+        resolve(event.target.result);
+      };
+
+      request.onerror = (event) => {
+        console.error("IndexedDB: Error getting events:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Load Events Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Creates a new event and returns it with its generated ID.
+ */
+export const addEvent = async (eventData) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(EVENTS_STORE_NAME);
+
+    const eventObject = { archived: false, ...eventData, uid: createUid(), createdAt: Date.now() };
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(eventObject);
+
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.EVENTS);
+        resolve({ ...eventObject, id: request.result });
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error adding event:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Save Event Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Saves changes to an existing event (details or archived flag).
+ */
+export const updateEvent = async (eventObject) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(EVENTS_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      store.put(eventObject);
+
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.EVENTS);
+        resolve(eventObject);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error updating event:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Update Event Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Deletes an event together with all of its records.
+ */
+export const deleteEvent = async (eventId) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME, STORE_NAME, SIGNATURES_STORE_NAME], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        // Its records went with it; tabs showing that event switch to another one
+        announceChange(CHANGE_TYPES.EVENTS);
+        resolve(true);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error deleting event:", event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.objectStore(EVENTS_STORE_NAME).delete(eventId);
+      deleteRecordsByEvent(transaction, eventId);
+    });
+  } catch (error) {
+    console.error("IDB Delete Event Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+// --- Settings ---
+
+/**
+ * Reads a device-wide setting, or null if it has never been saved.
+ */
+export const getSetting = async (key) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SETTINGS_STORE_NAME], 'readonly');
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore(SETTINGS_STORE_NAME).get(key);
+
+      request.onsuccess = () => {
+        resolve(request.result ? request.result.value : null);
+      };
+
+      request.onerror = (event) => {
+        console.error("IndexedDB: Error reading setting:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Read Setting Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Saves a device-wide setting; a null value removes it.
+ */
+export const saveSetting = async (key, value) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SETTINGS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SETTINGS_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.SETTINGS, { key });
+        resolve();
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error saving setting:", event.target.error);
+        reject(event.target.error);
+      };
+
+      if (value === null) store.delete(key);
+      else store.put({ key, value });
+    });
+  } catch (error) {
+    console.error("IDB Save Setting Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Overwrites existing records and signatures and saves a setting in one
+ * transaction, so a re-key never leaves them and the key parameters out of step.
+ */
+export const rewriteRecords = async (records, signatures, key, value) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, SIGNATURES_STORE_NAME, SETTINGS_STORE_NAME], 'readwrite');
+    const recordStore = transaction.objectStore(STORE_NAME);
+    const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.SETTINGS, { key });
+        announceChange(CHANGE_TYPES.RECORDS);
+        resolve(records.length);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error rewriting records:", event.target.error);
+        reject(event.target.error);
+      };
+
+      records.forEach(record => recordStore.put(record));
+      signatures.forEach(signature => signatureStore.put(signature));
+      transaction.objectStore(SETTINGS_STORE_NAME).put({ key, value });
+    });
+  } catch (error) {
+    console.error("IDB Rewrite Records Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+// --- Whole Database (Backup / Restore) ---
+
+/**
+ * Key used to recognise the same attendee record across devices and backups.
+ */
+export const getRecordDedupKey = (record) => (
+  `${record.timestamp}|${(record.completeName || '').trim().toLowerCase()}`
+);
+
+/**
+ * Reads every event, record and signature in a single transaction.
+ */
+export const getAllData = async () => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME, STORE_NAME, SIGNATURES_STORE_NAME], 'readonly');
+
+    return new Promise((resolve, reject) => {
+      const eventsRequest = transaction.objectStore(EVENTS_STORE_NAME).getAll();
+      const recordsRequest = transaction.objectStore(STORE_NAME).getAll();
+      const signaturesRequest = transaction.objectStore(SIGNATURES_STORE_NAME).getAll();
+
+      transaction.oncomplete = () => {
+        resolve({ events: eventsRequest.result, records: recordsRequest.result, signatures: signaturesRequest.result });
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error reading database:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Read All Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Replaces the whole database with the given events, records and signatures, keeping their IDs.
+ */
+export const replaceAllData = async ({ events, records, signatures }) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME, STORE_NAME, SIGNATURES_STORE_NAME], 'readwrite');
+    const eventStore = transaction.objectStore(EVENTS_STORE_NAME);
+    const recordStore = transaction.objectStore(STORE_NAME);
+    const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.EVENTS);
+        announceChange(CHANGE_TYPES.RECORDS);
+        resolve({ eventsAdded: events.length, recordsAdded: records.length, recordsSkipped: 0 });
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error replacing database:", event.target.error);
+        reject(event.target.error);
+      };
+
+      eventStore.clear();
+      recordStore.clear();
+      signatureStore.clear();
+      events.forEach(event => eventStore.put(event));
+      records.forEach(record => recordStore.put(record));
+      signatures.forEach(signature => signatureStore.put(signature));
+    });
+  } catch (error) {
+    console.error("IDB Replace All Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
+
+/**
+ * Merges events, records and signatures into the database in a single
+ * transaction. Events already present (same creation time and name) are
+ * reused, new ones get fresh IDs, and records already present (same uid, or
+ * same timestamp and name) are skipped. Signatures follow their record to its new ID.
+ */
+export const mergeAllData = async ({ events, records, signatures }) => {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([EVENTS_STORE_NAME, STORE_NAME, SIGNATURES_STORE_NAME], 'readwrite');
+    const eventStore = transaction.objectStore(EVENTS_STORE_NAME);
+    const recordStore = transaction.objectStore(STORE_NAME);
+    const signatureStore = transaction.objectStore(SIGNATURES_STORE_NAME);
+    const signaturesByRecordId = new Map(signatures.map(signature => [signature.recordId, signature]));
+    const summary = { eventsAdded: 0, recordsAdded: 0, recordsSkipped: 0 };
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        announceChange(CHANGE_TYPES.EVENTS);
+        announceChange(CHANGE_TYPES.RECORDS);
+        resolve(summary);
+      };
+
+      transaction.onerror = (event) => {
+        console.error("IndexedDB: Error merging database:", event.target.error);
+        reject(event.target.error);
+      };
+
+      const eventIdMap = new Map();
+
+      const addRecords = (existingRecords) => {
+        const knownKeys = new Set(existingRecords.map(getRecordDedupKey));
+        // Matching by uid too keeps an old backup from restoring an anonymised record's name
+        const knownUids = new Set(existingRecords.map(record => record.uid));
+        records.forEach(({ id, ...record }) => {
+          const key = getRecordDedupKey(record);
+          const eventId = eventIdMap.get(record.eventId);
+          if (knownKeys.has(key) || knownUids.has(record.uid) || eventId === undefined) {
+            summary.recordsSkipped += 1;
+            return;
+          }
+          knownKeys.add(key);
+          knownUids.add(record.uid);
+          const addRequest = recordStore.add({ ...record, eventId });
+          const signature = signaturesByRecordId.get(id);
+          if (signature) {
+            addRequest.onsuccess = () => signatureStore.put({ ...signature, recordId: addRequest.result });
+          }
+          summary.recordsAdded += 1;
+        });
+      };
+
+      const eventsRequest = eventStore.getAll();
+      eventsRequest.onsuccess = () => {
+        const existingEvents = eventsRequest.result;
+        events.forEach(({ id, ...event }) => {
+          const match = existingEvents.find(existing => (
+            (event.uid && existing.uid === event.uid)
+            || (existing.createdAt === event.createdAt && existing.activityName === event.activityName)
+          ));
+          if (match) {
+            eventIdMap.set(id, match.id);
+            return;
+          }
+          const addRequest = eventStore.add(event);
+          addRequest.onsuccess = () => {
+            eventIdMap.set(id, addRequest.result);
+            summary.eventsAdded += 1;
+          };
+        });
+
+        // Queued after the event adds, so every new event ID is known by then
+        const recordsRequest = recordStore.getAll();
+        recordsRequest.onsuccess = () => addRecords(recordsRequest.result);
+      };
+    });
+  } catch (error) {
+    console.error("IDB Merge Operation Failed:", error);
+    throw new Error(getDBErrorMessage(error));
+  }
+};
@@ -0,0 +1,70 @@
+// --- Public Display ---
+//
+// The /display page faces the audience (a projector, a lobby screen), so
+// only what it shows is copied out of the database: the event's title, venue
+// and date, and each record's name, sex, signing time and participant key.
+// Signatures, special status, consent and sync flags never reach its state.
+
+import { WITHDRAWN_NAME } from '@/lib/consent';
+import { getFormFields } from '@/lib/formSchema';
+import { getParticipantKey } from '@/lib/sessions';
+import { SEX_FIELD_KEY } from '@/lib/statistics';
+
+// Names in the ticker, newest first
+export const TICKER_NAME_COUNT = 20;
+// Seconds each name adds to one full pass of the ticker
+export const TICKER_SECONDS_PER_NAME = 3;
+
+/**
+ * The public part of an event. Only the sex field of its form is kept, for the
+ * male/female split; the roster, notices and templates are left behind.
+ */
+export const toDisplayEvent = (event) => ({
+  id: event.id,
+  activityName: event.activityName || '',
+  venue: event.venue || '',
+  eventDate: event.eventDate || '',
+  fields: getFormFields(event).filter(field => field.key === SEX_FIELD_KEY),
+});
+
+/**
+ * The public part of a record. Encrypted records cannot be read without the
+ * passphrase, which a display never has: they are counted but stay anonymous,
+ * like records whose attendee withdrew consent. Without their answers they
+ * cannot be matched to a participant, so each one counts on its own.
+ */
+export const toDisplayEntry = (record) => {
+  const isSealed = Boolean(record.encrypted);
+  const isWithdrawn = Boolean(record.consent && record.consent.withdrawnAt);
+  const name = typeof record.completeName === 'string' ? record.completeName.trim() : '';
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    isSealed,
+    participantKey: isSealed ? `sealed:${record.id}` : getParticipantKey(record),
+    name: isSealed || isWithdrawn || name === WITHDRAWN_NAME ? '' : name,
+    [SEX_FIELD_KEY]: isSealed ? null : record[SEX_FIELD_KEY],
+  };
+};
+
+/**
+ * One entry per participant (their latest sign-in), so someone who signed
+ * for several sessions is counted once. Participants are told apart the way
+ * Statistics does it (getParticipantKey), so namesakes from different
+ * divisions both count.
+ */
+export const getParticipantEntries = (entries) => {
+  const seenKeys = new Set();
+  return entries.filter((entry) => {
+    if (seenKeys.has(entry.participantKey)) return false;
+    seenKeys.add(entry.participantKey);
+    return true;
+  });
+};
+
+/**
+ * The latest named entries for the ticker (entries are kept newest first).
+ */
+export const getTickerEntries = (entries, limit = TICKER_NAME_COUNT) => (
+  entries.filter(entry => entry.name).slice(0, limit)
+);
@@ -0,0 +1,134 @@
+// --- Duplicate Attendee Detection ---
+
+import { formatFieldValue } from '@/lib/formSchema';
+
+/**
+ * Lowercases, strips accents and punctuation, and collapses spaces, so
+ * "José  Dela-Cruz" and "jose dela cruz" compare equal.
+ */
+export const normaliseName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Allows one typo in longer words; short words must match exactly
+const isSimilarWord = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && levenshtein(a, b) <= 1);
+
+// A middle initial ("d") is compatible with any middle name starting with it ("dela")
+const areMiddleNamesCompatible = (a, b) => {
+  if (a.length === 0 || b.length === 0) return true;
+  const [first, second] = [a[0], b[0]];
+  if (first.length === 1 || second.length === 1) return first[0] === second[0];
+  return isSimilarWord(first, second);
+};
+
+/**
+ * Whether two names probably belong to the same person. First and last
+ * names must match (allowing a typo); middle names may be missing,
+ * abbreviated to an initial, or spelled out.
+ */
+export const isLikelySameName = (nameA, nameB) => {
+  const a = normaliseName(nameA);
+  const b = normaliseName(nameB);
+  if (!a || !b) return false;
+  if (a === b) return true;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  if (tokensA.length < 2 || tokensB.length < 2) return false;
+
+  return isSimilarWord(tokensA[0], tokensB[0])
+    && isSimilarWord(tokensA[tokensA.length - 1], tokensB[tokensB.length - 1])
+    && areMiddleNamesCompatible(tokensA.slice(1, -1), tokensB.slice(1, -1));
+};
+
+const isSameDivision = (a, b) => normaliseName(a.division) === normaliseName(b.division);
+
+/**
+ * Exact key of a person by normalised name and division, for telling apart
+ * namesakes from different divisions (roster rows, participant counts).
+ */
+export const getNameDivisionKey = (record) => `${normaliseName(record.completeName)}|${normaliseName(record.division)}`;
+
+// On multi-session events everyone signs once per session
+const isSameSession = (a, b) => (a.sessionId || null) === (b.sessionId || null);
+
+// Anonymised records no longer carry a name worth comparing
+const isComparable = (record) => !(record.consent && record.consent.withdrawnAt);
+
+/**
+ * Likely duplicates of a new record among an event's records: similar name,
+ * the same division and the same session.
+ */
+export const findDuplicateCandidates = (newRecord, records) => records.filter(record => (
+  isComparable(record)
+  && isSameSession(record, newRecord)
+  && isSameDivision(record, newRecord)
+  && isLikelySameName(record.completeName, newRecord.completeName)
+));
+
+/**
+ * Groups records that look like the same person, oldest first. Only groups
+ * with more than one record are returned.
+ */
+export const findDuplicateGroups = (records) => {
+  const candidates = records.filter(isComparable).sort((a, b) => a.timestamp - b.timestamp);
+  const groups = [];
+  const grouped = new Set();
+
+  candidates.forEach((record, i) => {
+    if (grouped.has(record.id)) return;
+    const group = [record, ...candidates.slice(i + 1).filter(other => (
+      !grouped.has(other.id)
+      && isSameSession(record, other)
+      && isSameDivision(record, other)
+      && isLikelySameName(record.completeName, other.completeName)
+    ))];
+    if (group.length < 2) return;
+    group.forEach(member => grouped.add(member.id));
+    groups.push(group);
+  });
+
+  return groups;
+};
+
+/**
+ * Key identifying a duplicate group, stable while its members stay the same.
+ */
+export const getDuplicateGroupKey = (group) => group.map(record => record.id).join('-');
+
+/**
+ * Merges a group into its earliest record, which keeps its signature and
+ * consent; fields it left empty are filled from the later records. Like an
+ * edit, the merged record is queued for sync again with a newer `updatedAt`
+ * and keeps `syncedAt`, since the server still holds its older copy.
+ */
+export const mergeDuplicateGroup = (group, fields, mergedAt = Date.now()) => {
+  const [kept, ...extras] = group;
+  const merged = { ...kept, updatedAt: mergedAt, pendingSync: 1 };
+  fields.forEach((field) => {
+    if (formatFieldValue(field, merged[field.key])) return;
+    const donor = extras.find(record => formatFieldValue(field, record[field.key]));
+    if (donor) merged[field.key] = donor[field.key];
+  });
+  return { merged, removedIds: extras.map(record => record.id) };
+};
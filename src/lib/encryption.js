@@ -0,0 +1,276 @@
+// --- Encryption at Rest ---
+//
+// When the organiser sets a passphrase, every form value of a record (name,
+// answers, ...) and its signature are sealed with AES-GCM before they are
+// written to IndexedDB.
+// The key is derived from the passphrase with PBKDF2 and only kept in memory,
+// so after a reload the records stay unreadable until the passphrase is
+// entered again. Bookkeeping fields stay in the clear so indexes, sync and
+// backups keep working.
+
+import { getAllData, getSetting, saveSetting, rewriteRecords, splitLegacySignature } from '@/lib/db';
+
+// Settings store key holding { salt, iterations, check }
+export const ENCRYPTION_SETTING_KEY = 'encryption';
+export const PASSPHRASE_MIN_LENGTH = 8;
+export const WRONG_PASSPHRASE_MESSAGE = 'Incorrect passphrase.';
+export const LOCKED_MESSAGE = 'Records are encrypted. Enter the passphrase to unlock them first.';
+export const ENCRYPTION_ENABLED_MESSAGE = 'Encryption enabled successfully. Records are now stored encrypted.';
+export const REKEY_SUCCESS_MESSAGE = 'Passphrase changed successfully. All records were re-encrypted.';
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// Known plaintext sealed with the key; failing to open it means a wrong passphrase
+const KEY_CHECK_TEXT = 'web-attendance-key-check';
+const RECORD_META_FIELDS = ['id', 'eventId', 'uid', 'timestamp', 'updatedAt', 'pendingSync', 'syncedAt', 'deletedAt'];
+
+// Derived key for this page session; never persisted
+let sessionKey = null;
+
+/**
+ * crypto.subtle only exists in secure contexts (HTTPS or localhost).
+ */
+export const isEncryptionSupported = () => (
+  typeof window !== 'undefined' && Boolean(window.crypto && window.crypto.subtle)
+);
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Chunked: spreading a whole signature into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptJSON = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+};
+
+// AES-GCM rejects a wrong key with an OperationError, surfaced as a readable message
+const decryptJSON = async (key, { iv, data }) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw new Error(WRONG_PASSPHRASE_MESSAGE);
+  }
+};
+
+// Signature images stay Blobs when sealed, so they cost no base64 overhead
+const encryptBlob = async (key, blob) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { iv: bytesToBase64(iv), type: blob.type, data: new Blob([ciphertext]) };
+};
+
+const decryptBlob = async (key, { iv, type, data }) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, await data.arrayBuffer()
+    );
+    return new Blob([plaintext], { type });
+  } catch (error) {
+    throw new Error(WRONG_PASSPHRASE_MESSAGE);
+  }
+};
+
+/**
+ * Derives a key from the passphrase with fresh parameters.
+ */
+const createKeySettings = async (passphrase) => {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const settings = { salt, iterations: PBKDF2_ITERATIONS, check: await encryptJSON(key, KEY_CHECK_TEXT) };
+  return { key, settings };
+};
+
+/**
+ * Derives the key for the stored parameters, failing cleanly on a wrong passphrase.
+ */
+const openKey = async (passphrase, settings) => {
+  const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+  if (await decryptJSON(key, settings.check) !== KEY_CHECK_TEXT) {
+    throw new Error(WRONG_PASSPHRASE_MESSAGE);
+  }
+  return key;
+};
+
+const splitRecord = (record) => {
+  const meta = {};
+  const fields = {};
+  Object.entries(record).forEach(([name, value]) => {
+    if (RECORD_META_FIELDS.includes(name)) meta[name] = value;
+    else fields[name] = value;
+  });
+  return { meta, fields };
+};
+
+const sealRecord = async (key, record) => {
+  const { meta, fields } = splitRecord(record);
+  return { ...meta, encrypted: await encryptJSON(key, fields) };
+};
+
+// Fields stored next to the sealed ones win: moving to and from the Trash updates them without the key
+const openRecord = async (key, { encrypted, ...meta }) => ({ ...(await decryptJSON(key, encrypted)), ...meta });
+
+const sealSignature = async (key, { recordId, image, vector }) => ({
+  recordId,
+  encrypted: { image: await encryptBlob(key, image), vector: await encryptJSON(key, vector) },
+});
+
+const openSignature = async (key, { recordId, encrypted }) => ({
+  recordId,
+  image: await decryptBlob(key, encrypted.image),
+  vector: await decryptJSON(key, encrypted.vector),
+});
+
+/**
+ * Whether encryption is set up on this device and whether this session has the key.
+ */
+export const getEncryptionStatus = async () => ({
+  supported: isEncryptionSupported(),
+  enabled: (await getSetting(ENCRYPTION_SETTING_KEY)) !== null,
+  unlocked: sessionKey !== null,
+});
+
+/**
+ * Checks the passphrase and keeps the derived key for this session.
+ */
+export const unlockEncryption = async (passphrase) => {
+  const settings = await getSetting(ENCRYPTION_SETTING_KEY);
+  if (!settings) return;
+  sessionKey = await openKey(passphrase, settings);
+};
+
+export const lockEncryption = () => {
+  sessionKey = null;
+};
+
+/**
+ * Re-encrypts every stored record and signature with a new key and saves the
+ * new key parameters in the same transaction. `currentKey` is null when the
+ * records are still plain text. Encrypted records that still carry their
+ * signature inline (saved before v6) have it moved to the signatures store.
+ */
+const reencryptAllRecords = async (currentKey, passphrase) => {
+  const { key, settings } = await createKeySettings(passphrase);
+  const { records, signatures } = await getAllData();
+  const resealed = [];
+  const resealedSignatures = [];
+  for (const storedRecord of records) {
+    const openedRecord = storedRecord.encrypted ? await openRecord(currentKey, storedRecord) : storedRecord;
+    const { record, signature } = splitLegacySignature(openedRecord);
+    resealed.push(await sealRecord(key, record));
+    if (signature) resealedSignatures.push(await sealSignature(key, signature));
+  }
+  for (const storedSignature of signatures) {
+    const signature = storedSignature.encrypted ? await openSignature(currentKey, storedSignature) : storedSignature;
+    resealedSignatures.push(await sealSignature(key, signature));
+  }
+  await rewriteRecords(resealed, resealedSignatures, ENCRYPTION_SETTING_KEY, settings);
+  sessionKey = key;
+  return resealed.length;
+};
+
+/**
+ * Turns encryption on and encrypts the records already stored.
+ */
+export const enableEncryption = (passphrase) => reencryptAllRecords(null, passphrase);
+
+/**
+ * Re-keys the database: checks the current passphrase, then re-encrypts
+ * every record under a key derived from the new one.
+ */
+export const changePassphrase = async (currentPassphrase, newPassphrase) => {
+  const settings = await getSetting(ENCRYPTION_SETTING_KEY);
+  if (!settings) throw new Error('Encryption is not enabled.');
+  const currentKey = await openKey(currentPassphrase, settings);
+  return reencryptAllRecords(currentKey, newPassphrase);
+};
+
+/**
+ * Prepares form values for storage: sealed when encryption is on, unchanged otherwise.
+ */
+export const sealRecordData = async (recordData) => {
+  if ((await getSetting(ENCRYPTION_SETTING_KEY)) === null) return recordData;
+  if (!sessionKey) throw new Error(LOCKED_MESSAGE);
+  return sealRecord(sessionKey, recordData);
+};
+
+/**
+ * Prepares a signature ({ image, vector }) for storage the same way.
+ */
+export const sealSignatureData = async (signature) => {
+  if ((await getSetting(ENCRYPTION_SETTING_KEY)) === null) return signature;
+  if (!sessionKey) throw new Error(LOCKED_MESSAGE);
+  return sealSignature(sessionKey, signature);
+};
+
+/**
+ * Returns a stored signature decrypted, or null while it cannot be read in this session.
+ */
+export const getReadableSignature = async (signature) => {
+  if (!signature.encrypted) return signature;
+  return sessionKey ? openSignature(sessionKey, signature) : null;
+};
+
+/**
+ * Returns the records that can be read in this session, decrypted. Encrypted
+ * records are left out until the passphrase has been entered.
+ */
+export const getReadableRecords = async (records) => {
+  const readable = [];
+  for (const record of records) {
+    if (!record.encrypted) readable.push(record);
+    else if (sessionKey) readable.push(await openRecord(sessionKey, record));
+  }
+  return readable;
+};
+
+/**
+ * Seals the plain-text records and signatures of a backup with this session's
+ * key before they are restored into an encrypted database.
+ */
+export const sealRestoredData = async ({ records, signatures, ...data }) => {
+  if (!sessionKey) throw new Error(LOCKED_MESSAGE);
+  const sealedRecords = [];
+  for (const record of records) {
+    sealedRecords.push(record.encrypted ? record : await sealRecord(sessionKey, record));
+  }
+  const sealedSignatures = [];
+  for (const signature of signatures) {
+    sealedSignatures.push(signature.encrypted ? signature : await sealSignature(sessionKey, signature));
+  }
+  return { ...data, records: sealedRecords, signatures: sealedSignatures };
+};
+
+/**
+ * Adopts the key parameters of a restored backup. The session is locked
+ * because the backup may have been encrypted with another passphrase.
+ */
+export const adoptEncryptionSettings = async (settings) => {
+  await saveSetting(ENCRYPTION_SETTING_KEY, settings);
+  sessionKey = null;
+};
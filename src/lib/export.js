@@ -0,0 +1,200 @@
+// --- Attendance Sheet Export (CSV / XLSX) ---
+
+import { getFormFields, formatFieldValue, getOptionShortLabel } from '@/lib/formSchema';
+import { computeStatistics, buildStatisticsRows } from '@/lib/statistics';
+import { getSessions, formatSessionLabel, buildAttendanceMatrix, buildAttendanceMatrixRows } from '@/lib/sessions';
+
+export const EXPORT_SUCCESS_MESSAGE = 'Attendance sheet exported successfully.';
+export const STATS_EXPORT_SUCCESS_MESSAGE = 'Statistics exported successfully.';
+export const MATRIX_EXPORT_SUCCESS_MESSAGE = 'Attendance matrix exported successfully.';
+// Activity, venue, date, blank line and the column titles
+const HEADER_ROW_COUNT = 5;
+// Characters that make Excel or Sheets read a cell as a formula
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Formats the event date the same way the app headers do.
+ */
+export const formatEventDate = (eventDate) => (eventDate ? new Date(eventDate).toLocaleDateString() : '');
+
+/**
+ * Returns a copy of the records in signing order (oldest first).
+ */
+export const sortRecordsBySigningOrder = (records) => (
+  [...records].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+);
+
+/**
+ * Sheet columns for an event's form: one per field, and one per option for
+ * checkbox groups (e.g. PWD / Senior / OSY) so they can be filtered in Excel.
+ */
+export const buildAttendanceColumns = (fields) => fields.flatMap((field) => {
+  if (field.type !== 'checkbox') {
+    return [{ title: field.label, getValue: record => formatFieldValue(field, record[field.key]) }];
+  }
+  return (field.options || []).map(option => ({
+    // Built-in status columns keep their familiar PWD / Senior / OSY headers
+    title: field.builtin ? getOptionShortLabel(option) : `${field.label}: ${getOptionShortLabel(option)}`,
+    getValue: record => ((record[field.key] || {})[option.value] ? 'Yes' : ''),
+  }));
+});
+
+/**
+ * Activity, venue and date rows that head every exported sheet, followed by a blank row.
+ */
+const buildEventHeaderRows = (eventConfig) => [
+  ['Activity', eventConfig.activityName || ''],
+  ['Venue', eventConfig.venue || ''],
+  ['Date', formatEventDate(eventConfig.eventDate)],
+  [],
+];
+
+/**
+ * Builds the sheet as an array of rows: the event header, a blank row,
+ * the column titles and one row per record (oldest first). Events with
+ * sessions get a Session column.
+ */
+export const buildAttendanceRows = (records, eventConfig) => {
+  const columns = buildAttendanceColumns(getFormFields(eventConfig));
+  const sessions = getSessions(eventConfig);
+  const getSessionLabel = (record) => {
+    const session = sessions.find(candidate => candidate.id === record.sessionId);
+    return session ? formatSessionLabel(session) : '';
+  };
+  const header = [
+    ...buildEventHeaderRows(eventConfig),
+    ['No.', ...columns.map(column => column.title), ...(sessions.length > 0 ? ['Session'] : []), 'Signed At'],
+  ];
+
+  const rows = sortRecordsBySigningOrder(records).map((record, i) => [
+    i + 1,
+    ...columns.map(column => column.getValue(record)),
+    ...(sessions.length > 0 ? [getSessionLabel(record)] : []),
+    record.timestamp ? new Date(record.timestamp).toLocaleString() : '',
+  ]);
+
+  return [...header, ...rows];
+};
+
+/**
+ * Builds the statistics sheet: the event header followed by every breakdown.
+ */
+export const buildStatisticsSheetRows = (records, eventConfig) => [
+  ...buildEventHeaderRows(eventConfig),
+  ...buildStatisticsRows(computeStatistics(records, getFormFields(eventConfig), getSessions(eventConfig))),
+];
+
+/**
+ * Builds the attendance matrix sheet: the event header followed by one row per participant.
+ */
+export const buildAttendanceMatrixSheetRows = (records, eventConfig) => {
+  const sessions = getSessions(eventConfig);
+  return [
+    ...buildEventHeaderRows(eventConfig),
+    ...buildAttendanceMatrixRows(buildAttendanceMatrix(records, sessions), sessions),
+  ];
+};
+
+/**
+ * Builds a file name like "regional-tech-summit-2025-01-31" for the export.
+ */
+export const getExportFileName = (eventConfig) => {
+  const slug = (eventConfig.activityName || 'attendance')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return [slug || 'attendance', eventConfig.eventDate].filter(Boolean).join('-');
+};
+
+/**
+ * Triggers a browser download for a Blob.
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Keeps typed-in answers such as "=HYPERLINK(...)" from running as formulas
+ * when a CSV file is opened: text starting with a formula character gets a
+ * leading apostrophe. Numbers are left alone.
+ */
+const neutraliseFormula = (value) => (
+  typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(value) ? `'${value}` : value
+);
+
+const escapeCSVCell = (value) => {
+  const text = String(neutraliseFormula(value) ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows to CSV text (RFC 4180 quoting), with formula-like text neutralised.
+ */
+export const rowsToCSV = (rows) => rows.map(row => row.map(escapeCSVCell).join(',')).join('\r\n');
+
+/**
+ * Downloads the event's records as a CSV file.
+ */
+export const exportRecordsToCSV = (records, eventConfig) => {
+  const csv = rowsToCSV(buildAttendanceRows(records, eventConfig));
+  // The BOM makes Excel open the file as UTF-8 (names with ñ, accents, etc.)
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${getExportFileName(eventConfig)}.csv`);
+};
+
+/**
+ * Downloads the event's statistics as a CSV file next to the attendance sheet.
+ */
+export const exportStatisticsToCSV = (records, eventConfig) => {
+  const csv = rowsToCSV(buildStatisticsSheetRows(records, eventConfig));
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${getExportFileName(eventConfig)}-statistics.csv`);
+};
+
+/**
+ * Downloads who attended which sessions as a CSV file.
+ */
+export const exportAttendanceMatrixToCSV = (records, eventConfig) => {
+  const csv = rowsToCSV(buildAttendanceMatrixSheetRows(records, eventConfig));
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${getExportFileName(eventConfig)}-attendance-matrix.csv`);
+};
+
+/**
+ * Downloads the event's records as an .xlsx workbook generated in the browser,
+ * with the statistics on a second sheet and, for events with sessions, the
+ * attendance matrix on a third.
+ */
+export const exportRecordsToXLSX = async (records, eventConfig) => {
+  // Loaded on demand so the spreadsheet library stays out of the main bundle
+  const XLSX = await import('xlsx');
+  // SheetJS writes strings as text cells, never as formulas, so unlike the CSV
+  // export the cells need no neutralising (it would only show the apostrophe)
+  const rows = buildAttendanceRows(records, eventConfig);
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  // Size each column to its longest cell (ignoring the event header rows)
+  const columnCount = rows[HEADER_ROW_COUNT - 1].length;
+  worksheet['!cols'] = Array.from({ length: columnCount }, (_, col) => ({
+    wch: Math.min(40, Math.max(5, ...rows.slice(HEADER_ROW_COUNT - 1).map(row => String(row[col] ?? '').length + 2))),
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Attendance');
+  const statisticsSheet = XLSX.utils.aoa_to_sheet(buildStatisticsSheetRows(records, eventConfig));
+  statisticsSheet['!cols'] = [{ wch: 30 }, { wch: 10 }, { wch: 10 }, { wch: 10 }];
+  XLSX.utils.book_append_sheet(workbook, statisticsSheet, 'Statistics');
+  if (getSessions(eventConfig).length > 0) {
+    const matrixSheet = XLSX.utils.aoa_to_sheet(buildAttendanceMatrixSheetRows(records, eventConfig));
+    matrixSheet['!cols'] = [{ wch: 30 }, { wch: 20 }];
+    XLSX.utils.book_append_sheet(workbook, matrixSheet, 'Sessions');
+  }
+  XLSX.writeFile(workbook, `${getExportFileName(eventConfig)}.xlsx`);
+};
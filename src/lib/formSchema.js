@@ -0,0 +1,158 @@
+// --- Per-event Attendance Form Schema ---
+
+export const FIELD_TYPES = [
+  { type: 'text', label: 'Text' },
+  { type: 'email', label: 'Email' },
+  { type: 'phone', label: 'Phone' },
+  { type: 'select', label: 'Dropdown' },
+  { type: 'radio', label: 'Single choice' },
+  { type: 'checkbox', label: 'Checkbox group' },
+  { type: 'date', label: 'Date' },
+];
+
+const TYPES_WITH_OPTIONS = ['select', 'radio', 'checkbox'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]{7,}$/;
+
+/**
+ * The form every event had before forms became configurable. Built-in fields
+ * keep their type and options so stored records and reports stay consistent;
+ * the name field cannot be removed because records are identified by it.
+ */
+export const DEFAULT_FORM_FIELDS = [
+  { key: 'completeName', label: 'Complete Name', type: 'text', required: true, placeholder: 'First Name MI. Last Name', builtin: true, locked: true },
+  {
+    key: 'sex',
+    label: 'Sex',
+    type: 'radio',
+    required: true,
+    defaultValue: 'M',
+    options: [{ value: 'M', label: 'Male (M)' }, { value: 'F', label: 'Female (F)' }],
+    builtin: true,
+  },
+  { key: 'designation', label: 'Designation', type: 'text', required: true, placeholder: 'e.g., Software Engineer', builtin: true },
+  { key: 'division', label: 'Division', type: 'text', required: true, placeholder: 'e.g., Cloud Services', builtin: true },
+  {
+    key: 'status',
+    label: 'Check if Applicable (Special Status)',
+    type: 'checkbox',
+    required: false,
+    options: [
+      { value: 'pwd', label: 'PWD (Person with Disability)', shortLabel: 'PWD' },
+      { value: 'senior', label: 'Senior', shortLabel: 'Senior' },
+      { value: 'osy', label: 'OSY (Out-of-School Youth)', shortLabel: 'OSY' },
+    ],
+    builtin: true,
+  },
+];
+
+/**
+ * Returns the form fields of an event, falling back to the default form.
+ */
+export const getFormFields = (event) => (
+  event && Array.isArray(event.formFields) ? event.formFields : DEFAULT_FORM_FIELDS
+);
+
+export const hasOptions = (field) => TYPES_WITH_OPTIONS.includes(field.type);
+
+/**
+ * Creates a new custom field. The key is generated once and never follows
+ * the label, so renaming a field does not orphan values already collected.
+ */
+export const createField = (type = 'text') => ({
+  key: `field_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  label: 'New Field',
+  type,
+  required: false,
+  ...(TYPES_WITH_OPTIONS.includes(type) ? { options: [{ value: 'Option 1', label: 'Option 1' }] } : {}),
+});
+
+/**
+ * Options are edited one per line, either "Label" or "value=Label".
+ */
+export const parseOptionsText = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const separator = line.indexOf('=');
+    if (separator <= 0) return { value: line, label: line };
+    return { value: line.slice(0, separator).trim(), label: line.slice(separator + 1).trim() };
+  });
+
+export const formatOptionsText = (options = []) => options
+  .map(option => (option.value === option.label ? option.label : `${option.value}=${option.label}`))
+  .join('\n');
+
+/**
+ * Blank form values for a set of fields.
+ */
+export const buildInitialFormData = (fields) => fields.reduce((formData, field) => {
+  if (field.type === 'checkbox') {
+    formData[field.key] = Object.fromEntries((field.options || []).map(option => [option.value, false]));
+  } else {
+    formData[field.key] = field.defaultValue || '';
+  }
+  return formData;
+}, {});
+
+const isEmptyValue = (field, value) => {
+  if (field.type === 'checkbox') return !value || !Object.values(value).some(Boolean);
+  return typeof value !== 'string' || !value.trim();
+};
+
+/**
+ * Required fields that have no value yet.
+ */
+export const getMissingRequiredFields = (fields, formData) => (
+  fields.filter(field => field.required && isEmptyValue(field, formData[field.key]))
+);
+
+/**
+ * Validates the form and returns an error message, or null when it can be saved.
+ */
+export const validateFormData = (fields, formData) => {
+  if (getMissingRequiredFields(fields, formData).length > 0) {
+    return 'Please fill in all required fields (indicated by *).';
+  }
+  for (const field of fields) {
+    const value = formData[field.key];
+    if (isEmptyValue(field, value)) continue;
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value.trim())) {
+      return `Please enter a valid email address for "${field.label}".`;
+    }
+    if (field.type === 'phone' && !PHONE_PATTERN.test(value.trim())) {
+      return `Please enter a valid phone number for "${field.label}".`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Compact label of an option for badges and sheet columns.
+ */
+export const getOptionShortLabel = (option) => option.shortLabel || option.label;
+
+/**
+ * Short labels of the checked options of a checkbox group value.
+ */
+export const getCheckedOptionLabels = (field, value) => {
+  const safeValue = value || {};
+  const options = field.options || [];
+  return options.filter(option => safeValue[option.value]).map(getOptionShortLabel);
+};
+
+/**
+ * Human-readable value of a field for cards and exports.
+ */
+export const formatFieldValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'checkbox') return getCheckedOptionLabels(field, value).join(', ');
+  if (field.type === 'select' || field.type === 'radio') {
+    const option = (field.options || []).find(opt => opt.value === value);
+    // Built-in codes like "M"/"F" read better than their long labels in sheets
+    return field.builtin || !option ? String(value) : option.label;
+  }
+  if (field.type === 'date' && value) return new Date(value).toLocaleDateString();
+  return String(value);
+};
@@ -0,0 +1,84 @@
+import { isEncryptionSupported, bytesToBase64, base64ToBytes } from '@/lib/encryption';
+
+// --- Kiosk (Self-service) Mode ---
+
+// localStorage key; kiosk mode survives reloads so a refresh cannot unlock the UI
+export const KIOSK_KEY = 'kioskMode';
+export const KIOSK_RESET_DELAY_MS = 5000;
+export const KIOSK_PIN_PATTERN = /^\d{4,8}$/;
+
+// PIN hashing; a 4-8 digit PIN is weak, so the hash only keeps it out of plain sight
+const PIN_HASH_ITERATIONS = 100000;
+const PIN_SALT_BYTES = 16;
+
+export const KIOSK_UNSUPPORTED_MESSAGE = 'Kiosk mode needs a secure connection (HTTPS) to protect the organiser PIN.';
+
+const hashPin = async (pin, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    256
+  );
+  return bytesToBase64(new Uint8Array(bits));
+};
+
+/**
+ * Builds the stored form of an organiser PIN: `{ salt, iterations, hash }`.
+ */
+export const createKioskLock = async (pin) => {
+  if (!isEncryptionSupported()) throw new Error(KIOSK_UNSUPPORTED_MESSAGE);
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(PIN_SALT_BYTES)));
+  return { salt, iterations: PIN_HASH_ITERATIONS, hash: await hashPin(pin, salt, PIN_HASH_ITERATIONS) };
+};
+
+/**
+ * Whether `pin` is the organiser PIN behind `lock`.
+ * Locks saved before PINs were hashed still hold the plain `pin`.
+ */
+export const verifyKioskPin = async (pin, lock) => {
+  if (typeof lock.pin === 'string') return pin === lock.pin;
+  if (!isEncryptionSupported()) return false;
+  return (await hashPin(pin, lock.salt, lock.iterations)) === lock.hash;
+};
+
+/**
+ * Returns the saved PIN lock if this device is in kiosk mode, otherwise null.
+ * The PIN only locks the UI of a shared tablet; it is not a security boundary.
+ */
+export const loadKioskLock = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KIOSK_KEY));
+    if (!saved) return null;
+    if (typeof saved.hash === 'string' || typeof saved.pin === 'string') return saved;
+    return null;
+  } catch (e) {
+    console.error("Failed to parse kiosk mode from localStorage:", e);
+    return null;
+  }
+};
+
+export const saveKioskLock = (lock) => {
+  if (lock === null) {
+    localStorage.removeItem(KIOSK_KEY);
+  } else {
+    localStorage.setItem(KIOSK_KEY, JSON.stringify(lock));
+  }
+};
+
+/**
+ * Fullscreen requests need a user gesture and are unsupported on some
+ * tablets (iOS Safari), so failures are ignored.
+ */
+export const enterFullscreen = () => {
+  const element = document.documentElement;
+  if (document.fullscreenElement || !element.requestFullscreen) return;
+  element.requestFullscreen().catch(error => console.warn("Fullscreen request failed:", error));
+};
+
+export const exitFullscreen = () => {
+  if (!document.fullscreenElement || !document.exitFullscreen) return;
+  document.exitFullscreen().catch(error => console.warn("Exiting fullscreen failed:", error));
+};
@@ -0,0 +1,55 @@
+// --- Cross-Tab Change Notifications ---
+//
+// Every committed write to IndexedDB is announced on a BroadcastChannel, so
+// other open tabs of the app (the Saved Records view on a second screen, a
+// projector display) refresh what they show. A tab never hears its own
+// announcements; it updates its own state after writing.
+
+export const CHANGES_CHANNEL_NAME = 'attendance-changes';
+
+// What a change message is about. Record changes list the affected `ids`;
+// without them anything in the store may have changed (restore, re-key).
+export const CHANGE_TYPES = {
+  RECORDS: 'records',
+  EVENTS: 'events',
+  SETTINGS: 'settings',
+};
+
+let channel = null;
+
+/**
+ * The channel shared by this tab's announcements and listeners, or null where
+ * BroadcastChannel is missing (server rendering, Safari before 15.4).
+ */
+const getChannel = () => {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  if (!channel) channel = new BroadcastChannel(CHANGES_CHANNEL_NAME);
+  return channel;
+};
+
+/**
+ * Tells the app's other tabs that data has changed, e.g.
+ * `announceChange(CHANGE_TYPES.RECORDS, { ids: [12] })`.
+ * The write has already succeeded, so a failure here is only logged.
+ */
+export const announceChange = (type, details = {}) => {
+  const target = getChannel();
+  if (!target) return;
+  try {
+    target.postMessage({ ...details, type });
+  } catch (error) {
+    console.error("Could not announce change to other tabs:", error);
+  }
+};
+
+/**
+ * Calls `handler(change)` for every change announced by another tab.
+ * Returns a function that stops listening.
+ */
+export const subscribeToChanges = (handler) => {
+  const target = getChannel();
+  if (!target) return () => {};
+  const listener = (event) => handler(event.data);
+  target.addEventListener('message', listener);
+  return () => target.removeEventListener('message', listener);
+};
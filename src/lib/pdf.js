@@ -0,0 +1,211 @@
+// --- Printable PDF Attendance Sheet ---
+
+import { formatEventDate, getExportFileName, sortRecordsBySigningOrder } from '@/lib/export';
+import { getFormFields, formatFieldValue } from '@/lib/formSchema';
+import { buildCheckInCode, createQRCodeDataURL } from '@/lib/qrCheckIn';
+import { getUniqueParticipants } from '@/lib/sessions';
+import { drawSignatureVectorToPDF } from '@/lib/signature';
+import { blobToDataURL, loadSignatures } from '@/lib/storage';
+
+export const PDF_SUCCESS_MESSAGE = 'PDF attendance sheet generated successfully.';
+export const BADGES_SUCCESS_MESSAGE = 'QR badges generated successfully.';
+
+// Placeholder replaced by jsPDF with the final page count
+const TOTAL_PAGES_PLACEHOLDER = '{total_pages_count_string}';
+const PAGE_MARGIN = 12;
+const HEADER_HEIGHT = 34;
+// Signatures are captured on a 400x150 canvas
+const SIGNATURE_ASPECT_RATIO = 150 / 400;
+const SIGNATURE_COLUMN_WIDTH = 40;
+// Badge sheet: 3 x 4 cut-out badges per A4 page
+const BADGE_COLUMNS = 3;
+const BADGE_ROWS = 4;
+const BADGE_QR_SIZE = 38;
+
+/**
+ * Draws the repeated event header and the "Page X of Y" footer on the current page.
+ */
+const drawPageChrome = (doc, eventConfig) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const pageNumber = doc.getCurrentPageInfo().pageNumber;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text('ATTENDANCE SHEET', pageWidth / 2, PAGE_MARGIN + 4, { align: 'center' });
+
+  doc.setFontSize(10);
+  doc.text('Activity:', PAGE_MARGIN, PAGE_MARGIN + 13);
+  doc.text('Venue:', PAGE_MARGIN, PAGE_MARGIN + 18);
+  doc.text('Date:', PAGE_MARGIN, PAGE_MARGIN + 23);
+  doc.setFont('helvetica', 'normal');
+  doc.text(eventConfig.activityName || '', PAGE_MARGIN + 18, PAGE_MARGIN + 13);
+  doc.text(eventConfig.venue || '', PAGE_MARGIN + 18, PAGE_MARGIN + 18);
+  doc.text(formatEventDate(eventConfig.eventDate), PAGE_MARGIN + 18, PAGE_MARGIN + 23);
+
+  doc.setFontSize(8);
+  // Left-aligned: the placeholder is wider than the final number, so right alignment would drift
+  doc.text(
+    `Page ${pageNumber} of ${TOTAL_PAGES_PLACEHOLDER}`,
+    pageWidth - PAGE_MARGIN - 22,
+    pageHeight - PAGE_MARGIN / 2
+  );
+};
+
+/**
+ * Counts participants per sex for the summary block.
+ */
+const countBySex = (records) => records.reduce((totals, record) => {
+  if (record.sex === 'M') totals.male += 1;
+  else if (record.sex === 'F') totals.female += 1;
+  return totals;
+}, { male: 0, female: 0 });
+
+/**
+ * Draws the totals by sex after the table, moving to a new page if needed.
+ * The table has a row per sign-in; the totals count each participant once.
+ */
+const drawTotals = (doc, records, startY, eventConfig) => {
+  const participants = getUniqueParticipants(records);
+  const hasRepeatSignIns = participants.length !== records.length;
+  const blockHeight = hasRepeatSignIns ? 32 : 26;
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let y = startY + 8;
+  if (y + blockHeight > pageHeight - PAGE_MARGIN) {
+    doc.addPage();
+    drawPageChrome(doc, eventConfig);
+    y = PAGE_MARGIN + HEADER_HEIGHT;
+  }
+
+  const { male, female } = countBySex(participants);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.text('SUMMARY', PAGE_MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Male: ${male}`, PAGE_MARGIN, y + 6);
+  doc.text(`Female: ${female}`, PAGE_MARGIN, y + 12);
+  doc.setFont('helvetica', 'bold');
+  doc.text(`Total: ${participants.length}`, PAGE_MARGIN, y + 18);
+  if (hasRepeatSignIns) {
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Sign-ins: ${records.length}`, PAGE_MARGIN, y + 24);
+  }
+};
+
+/**
+ * Builds the paginated attendance sheet with inline signatures and downloads it.
+ * Signatures captured as strokes are drawn as vector paths, older ones as images.
+ */
+export const exportRecordsToPDF = async (records, eventConfig) => {
+  // Loaded on demand so the PDF libraries stay out of the main bundle
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable'),
+  ]);
+
+  const fields = getFormFields(eventConfig);
+  // Wide forms get a landscape page so every column stays readable
+  const orientation = fields.length > 6 ? 'landscape' : 'portrait';
+  const doc = new jsPDF({ orientation, unit: 'mm', format: 'a4' });
+  const orderedRecords = sortRecordsBySigningOrder(records);
+  const signatures = await loadSignatures(orderedRecords);
+  // Only signatures saved before strokes were kept lack a vector; those are PNGs
+  const signatureImages = new Map();
+  for (const [recordId, signature] of signatures) {
+    if (!signature.vector) signatureImages.set(recordId, await blobToDataURL(signature.image));
+  }
+  const signatureHeight = SIGNATURE_COLUMN_WIDTH * SIGNATURE_ASPECT_RATIO;
+  const signatureColumnIndex = fields.length + 1;
+  const sexColumnIndex = fields.findIndex(field => field.key === 'sex') + 1;
+
+  autoTable(doc, {
+    head: [['No.', ...fields.map(field => field.label), 'Signature']],
+    body: orderedRecords.map((record, i) => [
+      i + 1,
+      ...fields.map(field => formatFieldValue(field, record[field.key])),
+      '',
+    ]),
+    startY: PAGE_MARGIN + HEADER_HEIGHT,
+    margin: { top: PAGE_MARGIN + HEADER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + 4 },
+    theme: 'grid',
+    styles: { fontSize: 8, valign: 'middle', lineColor: 0, lineWidth: 0.2, textColor: 0 },
+    headStyles: { fillColor: [230, 230, 230], fontStyle: 'bold', halign: 'center' },
+    bodyStyles: { minCellHeight: signatureHeight + 2 },
+    columnStyles: {
+      0: { cellWidth: 9, halign: 'center' },
+      ...(sexColumnIndex > 0 ? { [sexColumnIndex]: { cellWidth: 10, halign: 'center' } } : {}),
+      [signatureColumnIndex]: { cellWidth: SIGNATURE_COLUMN_WIDTH },
+    },
+    didDrawPage: () => drawPageChrome(doc, eventConfig),
+    didDrawCell: (data) => {
+      if (data.section !== 'body' || data.column.index !== signatureColumnIndex) return;
+      const record = orderedRecords[data.row.index];
+      const { x, y, width, height } = data.cell;
+      const vector = record && signatures.get(record.id)?.vector;
+      if (vector) {
+        drawSignatureVectorToPDF(doc, vector, x + 1, y + 1, width - 2, height - 2);
+        return;
+      }
+      const signature = record && signatureImages.get(record.id);
+      if (!signature) return;
+      // Cropped signatures come in any shape; older ones are all 400x150
+      const image = doc.getImageProperties(signature);
+      const aspectRatio = image.height / image.width;
+      const imageWidth = Math.min(width - 2, (height - 2) / aspectRatio);
+      const imageHeight = imageWidth * aspectRatio;
+      doc.addImage(signature, 'PNG', x + (width - imageWidth) / 2, y + (height - imageHeight) / 2, imageWidth, imageHeight);
+    },
+  });
+
+  drawTotals(doc, orderedRecords, doc.lastAutoTable.finalY, eventConfig);
+  doc.putTotalPages(TOTAL_PAGES_PLACEHOLDER);
+  doc.save(`${getExportFileName(eventConfig)}.pdf`);
+};
+
+/**
+ * Builds a printable sheet of QR badges, one per roster entry, with the name,
+ * division and the token to type when there is no camera.
+ */
+export const exportRosterBadgesToPDF = async (roster, eventConfig) => {
+  // Loaded on demand so the PDF library stays out of the main bundle
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const badgeWidth = (pageWidth - PAGE_MARGIN * 2) / BADGE_COLUMNS;
+  const badgeHeight = (pageHeight - PAGE_MARGIN * 2) / BADGE_ROWS;
+  const perPage = BADGE_COLUMNS * BADGE_ROWS;
+
+  for (let i = 0; i < roster.length; i += 1) {
+    const entry = roster[i];
+    if (i > 0 && i % perPage === 0) doc.addPage();
+    const x = PAGE_MARGIN + (i % BADGE_COLUMNS) * badgeWidth;
+    const y = PAGE_MARGIN + Math.floor((i % perPage) / BADGE_COLUMNS) * badgeHeight;
+    const centerX = x + badgeWidth / 2;
+
+    // Light cut lines around each badge
+    doc.setDrawColor(200);
+    doc.setLineWidth(0.2);
+    doc.rect(x, y, badgeWidth, badgeHeight);
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.text(doc.splitTextToSize(eventConfig.activityName || '', badgeWidth - 6)[0] || '', centerX, y + 5, { align: 'center' });
+
+    const qrCode = await createQRCodeDataURL(buildCheckInCode(eventConfig, entry));
+    doc.addImage(qrCode, 'PNG', centerX - BADGE_QR_SIZE / 2, y + 7, BADGE_QR_SIZE, BADGE_QR_SIZE, undefined, 'FAST');
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    const nameLines = doc.splitTextToSize(entry.completeName, badgeWidth - 6).slice(0, 2);
+    doc.text(nameLines, centerX, y + BADGE_QR_SIZE + 12, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    if (entry.division) doc.text(doc.splitTextToSize(entry.division, badgeWidth - 6)[0], centerX, y + BADGE_QR_SIZE + 21, { align: 'center' });
+    doc.setFont('courier', 'bold');
+    doc.setFontSize(11);
+    doc.text(entry.token, centerX, y + badgeHeight - 4, { align: 'center' });
+  }
+
+  doc.save(`${getExportFileName(eventConfig)}-badges.pdf`);
+};
@@ -0,0 +1,41 @@
+// --- Service Worker Registration ---
+
+export const SW_URL = '/sw.js';
+
+/**
+ * Registers the service worker and calls `onUpdateReady(registration)` when a
+ * new version has been downloaded and is waiting to take over.
+ * Only production builds register: `next dev` has no precache manifest.
+ */
+export const registerServiceWorker = async (onUpdateReady) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return null;
+
+  const registration = await navigator.serviceWorker.register(SW_URL);
+
+  // A worker can already be waiting from a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdateReady(registration);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdateReady(registration);
+      }
+    });
+  });
+
+  return registration;
+};
+
+/**
+ * Activates the waiting worker and reloads once it controls the page.
+ */
+export const activateWaitingWorker = (registration) => {
+  if (!registration || !registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,97 @@
+// --- QR Code Check-in ---
+//
+// Every roster entry carries a short token. Its badge QR code holds the
+// event uid and that token, so a scan finds the participant without typing
+// and a badge printed for another event is rejected.
+
+// Prefix and version of the code format: "WEBATT1:<event uid>:<token>"
+const CODE_PREFIX = 'WEBATT1';
+const QR_IMAGE_SIZE = 256;
+
+export const CHECK_IN_WRONG_EVENT_MESSAGE = 'This QR code belongs to another event.';
+export const CHECK_IN_UNKNOWN_MESSAGE = 'No participant on the roster matches this code.';
+export const CAMERA_UNAVAILABLE_MESSAGE = 'No camera is available here. Type the code printed under the QR code instead.';
+export const CAMERA_DENIED_MESSAGE = 'Camera access was denied. Type the code printed under the QR code instead.';
+
+const normaliseToken = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Text encoded in a participant's QR code.
+ */
+export const buildCheckInCode = (event, entry) => `${CODE_PREFIX}:${event.uid}:${entry.token}`;
+
+/**
+ * Finds the roster entry for a scanned code or a token typed by hand.
+ * Throws a readable error for codes of another event or unknown tokens.
+ */
+export const findRosterEntryByCode = (event, text) => {
+  const parts = String(text || '').trim().split(':');
+  let token = text;
+  if (parts[0] === CODE_PREFIX && parts.length === 3) {
+    if (parts[1] !== event.uid) throw new Error(CHECK_IN_WRONG_EVENT_MESSAGE);
+    token = parts[2];
+  }
+  const entry = (event.roster || []).find(candidate => candidate.token && candidate.token === normaliseToken(token));
+  if (!entry) throw new Error(CHECK_IN_UNKNOWN_MESSAGE);
+  return entry;
+};
+
+/**
+ * QR code image (PNG data URL) for a code.
+ */
+export const createQRCodeDataURL = async (text) => {
+  // Loaded on demand so the QR library stays out of the main bundle
+  const { default: QRCode } = await import('qrcode');
+  return QRCode.toDataURL(text, { width: QR_IMAGE_SIZE, margin: 1, errorCorrectionLevel: 'M' });
+};
+
+/**
+ * getUserMedia only exists in secure contexts (HTTPS or localhost).
+ */
+export const isCameraSupported = () => (
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+);
+
+/**
+ * Turns getUserMedia failures into a message pointing at the manual fallback.
+ */
+export const getCameraErrorMessage = (error) => (
+  error && (error.name === 'NotAllowedError' || error.name === 'SecurityError')
+    ? CAMERA_DENIED_MESSAGE
+    : CAMERA_UNAVAILABLE_MESSAGE
+);
+
+/**
+ * Streams the back camera into `video` and decodes every frame until a QR
+ * code is found; `handleDecode` receives its text each time one is seen.
+ * Resolves with a function that stops the camera.
+ */
+export const startQRScanner = async (video, handleDecode) => {
+  const { default: jsQR } = await import('jsqr');
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+  video.srcObject = stream;
+  await video.play();
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  let frameId = null;
+
+  const scanFrame = () => {
+    if (video.readyState >= video.HAVE_ENOUGH_DATA && video.videoWidth > 0) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const image = context.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+      if (code && code.data) handleDecode(code.data);
+    }
+    frameId = requestAnimationFrame(scanFrame);
+  };
+  frameId = requestAnimationFrame(scanFrame);
+
+  return () => {
+    cancelAnimationFrame(frameId);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+};
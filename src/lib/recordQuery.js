@@ -0,0 +1,112 @@
+// --- Searching, Filtering and Sorting Saved Records ---
+
+import { formatFieldValue } from '@/lib/formSchema';
+
+export const SORT_OPTIONS = [
+  { value: 'timestamp', label: 'Time signed' },
+  { value: 'completeName', label: 'Name' },
+  { value: 'division', label: 'Division' },
+];
+
+export const INITIAL_RECORD_QUERY = {
+  search: '',
+  sex: '',
+  status: '',
+  sessionId: '',
+  from: '',
+  to: '',
+  sortBy: 'timestamp',
+  sortDirection: 'desc',
+};
+
+// Field types whose values are worth matching against the search text
+const SEARCHABLE_TYPES = ['text', 'email', 'phone', 'select', 'radio'];
+
+/**
+ * Whether any filter or search is narrowing the list.
+ */
+export const isQueryActive = (query) => Boolean(
+  query.search.trim() || query.sex || query.status || query.sessionId || query.from || query.to
+);
+
+/**
+ * Whether the list is shown as stored: unfiltered, newest first. Only then can
+ * it be read a page at a time.
+ */
+export const isDefaultQuery = (query) => (
+  !isQueryActive(query)
+    && query.sortBy === INITIAL_RECORD_QUERY.sortBy
+    && query.sortDirection === INITIAL_RECORD_QUERY.sortDirection
+);
+
+/**
+ * Converts a datetime-local input value to a timestamp, or null when empty.
+ */
+const parseTimeBound = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const normaliseText = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Applies the search text, sex, special status, session and time range filters.
+ * The search covers the name, designation, division and any other text field
+ * of the event's form.
+ */
+export const filterRecords = (records, query, fields) => {
+  const searchTerms = normaliseText(query.search).split(/\s+/).filter(Boolean);
+  const searchFields = fields.filter(field => SEARCHABLE_TYPES.includes(field.type));
+  const from = parseTimeBound(query.from);
+  const to = parseTimeBound(query.to);
+
+  return records.filter((record) => {
+    if (query.sex && record.sex !== query.sex) return false;
+    if (query.status && !(record.status && record.status[query.status])) return false;
+    if (query.sessionId && record.sessionId !== query.sessionId) return false;
+    if (from !== null && record.timestamp < from) return false;
+    if (to !== null && record.timestamp > to) return false;
+    if (searchTerms.length === 0) return true;
+
+    const haystack = searchFields
+      .map(field => normaliseText(formatFieldValue(field, record[field.key])))
+      .join(' ');
+    // Every word must match somewhere, so "dela cruz cloud" finds name + division
+    return searchTerms.every(term => haystack.includes(term));
+  });
+};
+
+/**
+ * Returns a sorted copy. Ties fall back to the signing time so the order is stable.
+ */
+export const sortRecords = (records, { sortBy, sortDirection }) => {
+  const direction = sortDirection === 'asc' ? 1 : -1;
+  return [...records].sort((a, b) => {
+    const comparison = sortBy === 'timestamp'
+      ? (a.timestamp || 0) - (b.timestamp || 0)
+      : normaliseText(a[sortBy]).localeCompare(normaliseText(b[sortBy])) || (a.timestamp || 0) - (b.timestamp || 0);
+    return comparison * direction;
+  });
+};
+
+/**
+ * Filters then sorts the records for display.
+ */
+export const queryRecords = (records, query, fields) => sortRecords(filterRecords(records, query, fields), query);
+
+// --- Incremental List Updates ---
+
+/**
+ * Newest first, the order records are stored in state (ties by descending ID, like the paging cursor).
+ */
+export const compareNewestFirst = (a, b) => (b.timestamp || 0) - (a.timestamp || 0) || b.id - a.id;
+
+/**
+ * Replaces the records with the given IDs by their fresh copies (leaving
+ * out the ones that no longer belong in the list), keeping `compare` order.
+ */
+export const patchRecordList = (list, ids, freshRecords, compare = compareNewestFirst) => {
+  const replacedIds = new Set(ids);
+  return [...list.filter(record => !replacedIds.has(record.id)), ...freshRecords].sort(compare);
+};
@@ -0,0 +1,47 @@
+// --- Record Edits and Revision History ---
+
+import { formatFieldValue } from '@/lib/formSchema';
+
+// localStorage key remembering who last edited records on this device
+export const EDITOR_NAME_KEY = 'editorName';
+export const EDIT_SUCCESS_MESSAGE = 'Record updated successfully.';
+
+export const loadEditorName = () => localStorage.getItem(EDITOR_NAME_KEY) || '';
+
+export const saveEditorName = (name) => {
+  localStorage.setItem(EDITOR_NAME_KEY, name);
+};
+
+/**
+ * Form values of a record, in the shape the form fields edit.
+ */
+export const getEditableValues = (record, fields) => Object.fromEntries(
+  fields.map(field => [field.key, record[field.key] !== undefined ? record[field.key] : (field.type === 'checkbox' ? {} : '')])
+);
+
+/**
+ * Fields whose displayed value differs between two versions of a record.
+ * Values are kept as displayed, so the history reads the way the card does.
+ */
+export const diffRecordValues = (before, after, fields) => fields
+  .map(field => ({
+    key: field.key,
+    label: field.label,
+    from: formatFieldValue(field, before[field.key]),
+    to: formatFieldValue(field, after[field.key]),
+  }))
+  .filter(change => change.from !== change.to);
+
+/**
+ * Applies edited form values to a record and appends a revision entry. Only
+ * form fields are edited, so the signature and consent stay as signed.
+ * The record is queued for sync again; `updatedAt` makes the server replace
+ * its older copy. `syncedAt` stays, since the server still holds that copy.
+ */
+export const applyRecordEdit = (record, values, changes, editedBy, editedAt = Date.now()) => ({
+  ...record,
+  ...values,
+  revisions: [...(record.revisions || []), { editedAt, editedBy, changes }],
+  updatedAt: editedAt,
+  pendingSync: 1,
+});
@@ -0,0 +1,170 @@
+// --- Pre-registration Roster ---
+//
+// An event can carry the list of expected attendees (`event.roster`). On the
+// Entry Form attendees pick themselves from it instead of typing their
+// details, and the records list compares who came against who was expected.
+
+import { createUid } from '@/lib/db';
+import { normaliseName, getNameDivisionKey } from '@/lib/duplicates';
+
+export const ROSTER_SUGGESTION_LIMIT = 8;
+export const ROSTER_NO_NAME_COLUMN_MESSAGE = 'The roster needs a column for the attendee name (e.g. "Complete Name" or "Name").';
+
+const NAME_FIELD_KEY = 'completeName';
+// Header spellings accepted for the name column besides the field's own label and key
+const NAME_HEADER_ALIASES = ['name', 'fullname', 'participant', 'participantname', 'attendee', 'attendeename'];
+// Rows scanned for the header, so sheets with a title block (like our own export) import as is
+const HEADER_SEARCH_ROWS = 10;
+// Checkbox groups have one value per option and cannot come from a single cell
+const ROSTER_FIELD_TYPES = ['text', 'email', 'phone', 'select', 'radio', 'date'];
+// Check-in tokens avoid look-alike characters (0/O, 1/I/L) so they can be typed from a badge
+const TOKEN_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TOKEN_LENGTH = 8;
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Random short code identifying a participant on their QR badge.
+ */
+export const createCheckInToken = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(TOKEN_LENGTH)),
+  byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]
+).join('');
+
+/**
+ * Reads the first sheet of a CSV or Excel file as an array of rows.
+ */
+export const readRosterRows = async (file) => {
+  // Loaded on demand so the spreadsheet library stays out of the main bundle
+  const XLSX = await import('xlsx');
+  // CSV is read as text so UTF-8 names (ñ, accents) survive
+  const workbook = /\.csv$/i.test(file.name) || file.type === 'text/csv'
+    ? XLSX.read(await file.text(), { type: 'string' })
+    : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false }) : [];
+};
+
+/**
+ * Finds the form field a column header stands for, matching the field's
+ * label or key regardless of case and punctuation.
+ */
+const findFieldForHeader = (header, fields) => {
+  const normalised = normaliseHeader(header);
+  if (!normalised) return null;
+  return fields.find(field => (
+    ROSTER_FIELD_TYPES.includes(field.type)
+      && (normaliseHeader(field.label) === normalised
+        || normaliseHeader(field.key) === normalised
+        || (field.key === NAME_FIELD_KEY && NAME_HEADER_ALIASES.includes(normalised)))
+  )) || null;
+};
+
+/**
+ * Choice fields only keep cells that name one of their options, by value or
+ * by label with or without its bracketed code ("F", "Female (F)", "Female").
+ */
+const toFieldValue = (field, cell) => {
+  const text = String(cell).trim();
+  if (field.type !== 'select' && field.type !== 'radio') return text;
+  const normalised = normaliseHeader(text);
+  const option = (field.options || []).find(opt => [opt.value, opt.label, opt.label.replace(/\s*\(.*\)\s*$/, '')]
+    .some(name => normaliseHeader(name) === normalised));
+  return option ? option.value : '';
+};
+
+/**
+ * Turns spreadsheet rows into roster entries: `{ id, token, completeName, ... }`
+ * with one value per recognised column. Rows without a name are skipped, and
+ * so are repeats of a name in the same division; namesakes from different
+ * divisions are separate participants. Participants already on
+ * `previousRoster` (same name and division) keep their ID and check-in token,
+ * so printed badges and past check-ins stay valid.
+ * Returns the entries, how many were kept, and the labels of the columns used.
+ */
+export const buildRoster = (rows, fields, previousRoster = []) => {
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => (
+    row.some(cell => findFieldForHeader(cell, fields)?.key === NAME_FIELD_KEY)
+  ));
+  if (headerIndex === -1) throw new Error(ROSTER_NO_NAME_COLUMN_MESSAGE);
+
+  const columns = rows[headerIndex]
+    .map((header, index) => ({ index, field: findFieldForHeader(header, fields) }))
+    .filter(column => column.field)
+    // The first column wins when two headers map to the same field
+    .filter((column, i, all) => all.findIndex(other => other.field.key === column.field.key) === i);
+
+  const previousByKey = new Map(previousRoster.map(entry => [getNameDivisionKey(entry), entry]));
+  const seenKeys = new Set();
+  // Tokens of dropped participants are not handed out again, so their old badges stay unknown
+  const seenTokens = new Set(previousRoster.map(entry => entry.token));
+  const entries = [];
+  let kept = 0;
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const values = Object.fromEntries(columns
+      .map(({ index, field }) => [field.key, toFieldValue(field, row[index] ?? '')])
+      .filter(([, value]) => value !== ''));
+    if (!normaliseName(values[NAME_FIELD_KEY])) return;
+    const key = getNameDivisionKey(values);
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+    const previous = previousByKey.get(key);
+    if (previous) {
+      kept += 1;
+      entries.push({ id: previous.id, token: previous.token, ...values });
+      return;
+    }
+    let token = createCheckInToken();
+    while (seenTokens.has(token)) token = createCheckInToken();
+    seenTokens.add(token);
+    entries.push({ id: createUid(), token, ...values });
+  });
+
+  return { entries, kept, columns: columns.map(column => column.field.label) };
+};
+
+/**
+ * Roster entries whose name contains every typed word as the start of a
+ * word, e.g. "jua cr" finds "Juan Dela Cruz".
+ */
+export const searchRoster = (roster, query, limit = ROSTER_SUGGESTION_LIMIT) => {
+  const queryWords = normaliseName(query).split(' ').filter(Boolean);
+  if (queryWords.length === 0) return [];
+  return roster
+    .filter((entry) => {
+      const nameWords = normaliseName(entry.completeName).split(' ');
+      return queryWords.every(queryWord => nameWords.some(nameWord => nameWord.startsWith(queryWord)));
+    })
+    .slice(0, limit);
+};
+
+/**
+ * Compares the records with the roster. A record counts for the entry it
+ * was checked in from, or for an entry with exactly the same name (and
+ * division, where namesakes share the roster) when the attendee typed it
+ * in. Records of withdrawn consent no longer carry a name
+ * and are left out of both lists.
+ */
+export const matchRosterAttendance = (roster, records) => {
+  const entriesById = new Map(roster.map(entry => [entry.id, entry]));
+  const entriesByKey = new Map(roster.map(entry => [getNameDivisionKey(entry), entry]));
+  const entriesByName = new Map(roster.map(entry => [normaliseName(entry.completeName), entry]));
+  const presentIds = new Set();
+  const walkIns = [];
+
+  records.forEach((record) => {
+    if (record.consent && record.consent.withdrawnAt) return;
+    const entry = entriesById.get(record.rosterId)
+      || entriesByKey.get(getNameDivisionKey(record))
+      || entriesByName.get(normaliseName(record.completeName));
+    if (entry) presentIds.add(entry.id);
+    else walkIns.push(record);
+  });
+
+  return {
+    expected: roster.length,
+    presentIds,
+    noShows: roster.filter(entry => !presentIds.has(entry.id)),
+    walkIns,
+  };
+};
@@ -0,0 +1,109 @@
+// --- File-based Attendance Store (server only) ---
+//
+// One JSON file per event under ATTENDANCE_DATA_DIR (default: ./data), keyed by
+// the event's uid. Records are keyed by their own uid so repeated pushes of the
+// same record are ignored. Records deleted on a device are kept as tombstones
+// without any of the attendee's answers.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.ATTENDANCE_DATA_DIR || path.join(process.cwd(), 'data');
+const UID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+// Event fields accepted from clients; anything else is device-local state
+const EVENT_FIELDS = ['activityName', 'venue', 'eventDate'];
+
+// Serialises read-modify-write cycles per event file
+const eventLocks = new Map();
+
+/**
+ * Checks that an ID is a uid we generated, which also keeps it safe to use as a file name.
+ */
+export const isValidUid = (uid) => typeof uid === 'string' && UID_PATTERN.test(uid);
+
+const getEventFilePath = (eventUid) => path.join(DATA_DIR, `${eventUid}.json`);
+
+/**
+ * Runs `task` after every earlier task for the same event has finished.
+ */
+const withEventLock = (eventUid, task) => {
+  const previous = eventLocks.get(eventUid) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  eventLocks.set(eventUid, next);
+  next.finally(() => {
+    if (eventLocks.get(eventUid) === next) eventLocks.delete(eventUid);
+  });
+  return next;
+};
+
+/**
+ * Reads an event file, or returns null if the event has never been synced.
+ */
+export const readEvent = async (eventUid) => {
+  try {
+    return JSON.parse(await fs.readFile(getEventFilePath(eventUid), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Writes through a temporary file so a crash never leaves half-written JSON.
+ */
+const writeEvent = async (eventUid, data) => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const filePath = getEventFilePath(eventUid);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data));
+  await fs.rename(tempPath, filePath);
+};
+
+const isNewerCopy = (stored, record) => (record.updatedAt || 0) > (stored.updatedAt || 0);
+
+/**
+ * What the server keeps of an incoming record: a tombstone keeps only its
+ * identity and deletion time.
+ */
+const toStoredRecord = (record) => {
+  const stored = record.deletedAt
+    ? { uid: record.uid, timestamp: record.timestamp, deletedAt: record.deletedAt, updatedAt: record.updatedAt }
+    : record;
+  return { ...stored, receivedAt: Date.now() };
+};
+
+/**
+ * Stores records for an event, skipping any uid that is already stored
+ * unless the incoming copy was updated later (edits, consent withdrawals,
+ * deletions, restores). Returns the uids now held by the server and how
+ * many new attendees were added.
+ */
+export const saveRecords = (eventUid, eventDetails, records) => withEventLock(eventUid, async () => {
+  const data = (await readEvent(eventUid)) || { event: { uid: eventUid }, records: [] };
+
+  EVENT_FIELDS.forEach((field) => {
+    if (eventDetails && typeof eventDetails[field] === 'string') {
+      data.event[field] = eventDetails[field];
+    }
+  });
+
+  const storedUids = new Set(data.records.map(record => record.uid));
+  let created = 0;
+  records.forEach((record) => {
+    if (storedUids.has(record.uid)) {
+      // Edited, anonymised or deleted on the device: the newer copy replaces the stored one entirely
+      data.records = data.records.map(stored => (
+        stored.uid === record.uid && isNewerCopy(stored, record) ? toStoredRecord(record) : stored
+      ));
+      return;
+    }
+    storedUids.add(record.uid);
+    // A tombstone for a record never seen here still blocks older copies from other devices
+    data.records.push(toStoredRecord(record));
+    if (!record.deletedAt) created += 1;
+  });
+
+  data.event.updatedAt = Date.now();
+  await writeEvent(eventUid, data);
+  return { accepted: records.map(record => record.uid), created };
+});
@@ -0,0 +1,35 @@
+// --- Service Worker Precache Manifest (server only) ---
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const NEXT_DIR = path.join(process.cwd(), '.next');
+// Pages and public files the app needs offline besides the build output
+const SHELL_URLS = ['/', '/display', '/manifest.webmanifest', '/favicon.ico', '/icon-192.png', '/icon-512.png'];
+
+/**
+ * Lists every file under a directory, relative to it, using forward slashes.
+ */
+const listFiles = async (dir, prefix = '') => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map((entry) => {
+    const relativePath = `${prefix}${entry.name}`;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${relativePath}/`)
+      : [relativePath];
+  }));
+  return nested.flat();
+};
+
+/**
+ * Returns the build ID and the URLs to precache: the app shell plus every
+ * emitted static chunk, including lazily loaded ones (exports, PDF).
+ */
+export const getPrecacheManifest = async () => {
+  const buildId = (await fs.readFile(path.join(NEXT_DIR, 'BUILD_ID'), 'utf8')).trim();
+  const staticFiles = await listFiles(path.join(NEXT_DIR, 'static'));
+  return {
+    buildId,
+    urls: [...SHELL_URLS, ...staticFiles.map(file => `/_next/static/${file}`)],
+  };
+};
@@ -0,0 +1,26 @@
+// --- Sync API Authentication (server only) ---
+//
+// Devices send the shared secret from ATTENDANCE_SYNC_TOKEN as a bearer
+// token. Without the variable the sync API stays closed.
+
+import { timingSafeEqual } from 'crypto';
+
+const BEARER_PATTERN = /^Bearer\s+(.+)$/i;
+
+/**
+ * Whether a sync token has been configured on this server.
+ */
+export const isSyncConfigured = () => Boolean(process.env.ATTENDANCE_SYNC_TOKEN);
+
+/**
+ * Checks the request's `Authorization: Bearer <token>` header against the
+ * configured token, in constant time.
+ */
+export const isAuthorizedRequest = (req) => {
+  const expected = process.env.ATTENDANCE_SYNC_TOKEN;
+  const match = BEARER_PATTERN.exec(req.headers.authorization || '');
+  if (!expected || !match) return false;
+  const given = Buffer.from(match[1].trim());
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && timingSafeEqual(given, wanted);
+};
@@ -0,0 +1,151 @@
+// --- Multi-day / Multi-session Events ---
+//
+// An event may list its sessions (`event.sessions`), e.g. Day 1 AM, Day 1 PM.
+// Each record then stores the `sessionId` it was signed for, and the
+// attendance matrix shows who attended which sessions. Events without
+// sessions keep working as single sign-in events.
+
+import { createUid } from '@/lib/db';
+import { normaliseName, getNameDivisionKey } from '@/lib/duplicates';
+
+export const SESSION_REQUIRED_MESSAGE = 'No session is scheduled right now. Please choose the session you are signing in for.';
+export const SESSION_CLOCK_INTERVAL_MS = 60 * 1000;
+
+// Defaults for a new session: morning first, then afternoon of the same day
+const MORNING = { label: 'AM', startTime: '08:00', endTime: '12:00' };
+const AFTERNOON = { label: 'PM', startTime: '13:00', endTime: '17:00' };
+
+/**
+ * Local date as YYYY-MM-DD, the format of date inputs and `session.date`.
+ */
+export const toDateInputValue = (date) => {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const toTimeInputValue = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+/**
+ * Sessions of an event in chronological order.
+ */
+export const getSessions = (event) => (
+  event && Array.isArray(event.sessions)
+    ? [...event.sessions].sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`))
+    : []
+);
+
+/**
+ * A new session following the last one: the afternoon of a morning session,
+ * otherwise the next morning. The first session starts on the event date.
+ */
+export const createNextSession = (sessions, eventDate) => {
+  const last = sessions[sessions.length - 1];
+  if (!last) {
+    return { id: createUid(), date: eventDate || toDateInputValue(new Date()), ...MORNING };
+  }
+  if (last.endTime <= AFTERNOON.startTime) {
+    return { id: createUid(), date: last.date, ...AFTERNOON };
+  }
+  const nextDay = new Date(`${last.date}T00:00`);
+  nextDay.setDate(nextDay.getDate() + 1);
+  return { id: createUid(), date: toDateInputValue(nextDay), ...MORNING };
+};
+
+/**
+ * Short description of a session, e.g. "Mon, 1/5/2026 AM (08:00-12:00)".
+ */
+export const formatSessionLabel = (session) => {
+  const date = session.date
+    ? new Date(`${session.date}T00:00`).toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'numeric', day: 'numeric' })
+    : 'No date';
+  return `${date} ${session.label || ''} (${session.startTime}-${session.endTime})`.replace(/\s+/g, ' ');
+};
+
+/**
+ * The session running now. Between sessions of the same day the next one is
+ * picked (attendees arrive early), after the last one of the day that last
+ * one. Returns null when no session is scheduled today.
+ */
+export const findCurrentSession = (sessions, now = new Date()) => {
+  const today = toDateInputValue(now);
+  const time = toTimeInputValue(now);
+  const todaysSessions = sessions.filter(session => session.date === today);
+  return todaysSessions.find(session => session.startTime <= time && time < session.endTime)
+    || todaysSessions.find(session => time < session.startTime)
+    || todaysSessions[todaysSessions.length - 1]
+    || null;
+};
+
+/**
+ * Identifies the records of the same person across sessions: the roster entry
+ * they checked in from, else their name and division, so namesakes from
+ * different divisions count separately. A withdrawn record no longer has a
+ * name, so without a roster entry it stands for a participant of its own.
+ */
+export const getParticipantKey = (record) => {
+  if (record.rosterId) return `roster:${record.rosterId}`;
+  if (record.consent && record.consent.withdrawnAt) return `record:${record.uid}`;
+  return `name:${getNameDivisionKey(record)}`;
+};
+
+/**
+ * One record per participant, their first sign-in, so people who signed
+ * for several sessions are counted once.
+ */
+export const getUniqueParticipants = (records) => {
+  const firstByKey = new Map();
+  [...records].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)).forEach((record) => {
+    const key = getParticipantKey(record);
+    if (!firstByKey.has(key)) firstByKey.set(key, record);
+  });
+  return [...firstByKey.values()];
+};
+
+/**
+ * Participants x sessions. Each row lists the sessions a participant signed
+ * for and their completion percentage; `unassigned` counts records signed
+ * before the event had sessions.
+ */
+export const buildAttendanceMatrix = (records, sessions) => {
+  const sessionIds = new Set(sessions.map(session => session.id));
+  const rowsByKey = new Map();
+  let unassigned = 0;
+
+  [...records].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)).forEach((record) => {
+    if (record.consent && record.consent.withdrawnAt) return;
+    if (!sessionIds.has(record.sessionId)) {
+      unassigned += 1;
+      return;
+    }
+    const key = getParticipantKey(record);
+    const row = rowsByKey.get(key) || { key, name: record.completeName, division: record.division || '', sessionIds: new Set() };
+    row.sessionIds.add(record.sessionId);
+    rowsByKey.set(key, row);
+  });
+
+  const rows = [...rowsByKey.values()]
+    .map(row => ({
+      ...row,
+      attended: row.sessionIds.size,
+      completion: sessions.length > 0 ? Math.round((row.sessionIds.size / sessions.length) * 100) : 0,
+    }))
+    .sort((a, b) => normaliseName(a.name).localeCompare(normaliseName(b.name)));
+
+  const sessionTotals = sessions.map(session => rows.filter(row => row.sessionIds.has(session.id)).length);
+  return { rows, sessionTotals, unassigned };
+};
+
+/**
+ * The matrix as sheet rows (name, division, one Yes/blank column per session, %).
+ */
+export const buildAttendanceMatrixRows = (matrix, sessions) => [
+  ['Name', 'Division', ...sessions.map(formatSessionLabel), 'Sessions attended', 'Completion (%)'],
+  ...matrix.rows.map(row => [
+    row.name,
+    row.division,
+    ...sessions.map(session => (row.sessionIds.has(session.id) ? 'Yes' : '')),
+    row.attended,
+    row.completion,
+  ]),
+  ['Total', '', ...matrix.sessionTotals, '', ''],
+];
@@ -0,0 +1,289 @@
+// --- Signature Capture and Rendering ---
+//
+// Signatures are captured as strokes: one array of points per pen-down,
+// each point holding its position in the 400x150 signature box, the time
+// since the first point and the pen pressure. The signatures store keeps this
+// vector data next to a cropped image of it, so exports can redraw it at any size.
+
+export const SIGNATURE_WIDTH = 400;
+export const SIGNATURE_HEIGHT = 150;
+
+// Line width in signature units: 3 at medium pressure or speed
+const BASE_LINE_WIDTH = 3;
+const MIN_WIDTH_FACTOR = 0.5;
+const MAX_WIDTH_FACTOR = 1.5;
+// Points closer than this to the previous one add nothing but size
+const MIN_POINT_DISTANCE = 0.75;
+// Share of the new width taken at each point, so the width never jumps
+const WIDTH_SMOOTHING = 0.3;
+// Room kept around the ink when cropping: half the thickest line plus a margin
+const CROP_PADDING = (BASE_LINE_WIDTH * MAX_WIDTH_FACTOR) / 2 + 4;
+// Tiny signatures are enlarged at most this much when normalised
+const MAX_NORMALISE_SCALE = 3;
+// Browsers that cannot encode WebP hand back a PNG instead
+const SIGNATURE_IMAGE_TYPE = 'image/webp';
+const SIGNATURE_IMAGE_QUALITY = 0.9;
+
+export const SIGNATURE_CHECK_MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'warn', label: 'Warn, but let the attendee save' },
+  { value: 'reject', label: 'Reject and ask to sign again' },
+];
+
+// Thresholds in signature units (the box is 400x150), percent and milliseconds
+export const DEFAULT_SIGNATURE_CHECKS = {
+  mode: 'warn',
+  minCoverage: 0.5,
+  minWidth: 60,
+  minHeight: 15,
+  minStrokes: 1,
+  minDuration: 300,
+};
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * A captured point as stored: [x, y, milliseconds since the first point, pressure 0-1].
+ */
+export const createSignaturePoint = (x, y, time, pressure) => [
+  round(Math.min(SIGNATURE_WIDTH, Math.max(0, x)), 1),
+  round(Math.min(SIGNATURE_HEIGHT, Math.max(0, y)), 1),
+  Math.max(0, Math.round(time)),
+  round(pressure, 2),
+];
+
+/**
+ * Adds a point to a stroke unless it is too close to the last one.
+ */
+export const appendSignaturePoint = (stroke, point) => {
+  const last = stroke.points[stroke.points.length - 1];
+  if (last && Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_POINT_DISTANCE) return false;
+  stroke.points.push(point);
+  return true;
+};
+
+/**
+ * The vector data stored on a record.
+ */
+export const buildSignatureVector = (strokes) => ({
+  width: SIGNATURE_WIDTH,
+  height: SIGNATURE_HEIGHT,
+  strokes,
+});
+
+/**
+ * Line width at each point. Pens that report pressure draw thicker when
+ * pressed harder; mice and fingers draw thinner when moving faster, like ink.
+ */
+const computeWidths = (stroke) => {
+  const usesPressure = stroke.pointerType === 'pen';
+  let width = BASE_LINE_WIDTH;
+  return stroke.points.map(([x, y, time, pressure], i) => {
+    let factor;
+    if (usesPressure) {
+      factor = MIN_WIDTH_FACTOR + (MAX_WIDTH_FACTOR - MIN_WIDTH_FACTOR) * pressure;
+    } else if (i === 0) {
+      factor = 1;
+    } else {
+      const [prevX, prevY, prevTime] = stroke.points[i - 1];
+      const speed = Math.hypot(x - prevX, y - prevY) / Math.max(1, time - prevTime);
+      factor = Math.min(MAX_WIDTH_FACTOR, Math.max(MIN_WIDTH_FACTOR, 1.3 - 0.4 * speed));
+    }
+    width = i === 0 ? BASE_LINE_WIDTH * factor : width + (BASE_LINE_WIDTH * factor - width) * WIDTH_SMOOTHING;
+    return width;
+  });
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * Splits a stroke into quadratic Bezier segments through the midpoints of
+ * its points, each with its own width. A single tap becomes a dot.
+ */
+export const buildStrokeSegments = (stroke) => {
+  const points = stroke.points.map(([x, y]) => ({ x, y }));
+  const widths = computeWidths(stroke);
+  if (points.length === 0) return [];
+  if (points.length === 1) return [{ dot: true, from: points[0], width: widths[0] }];
+
+  const segments = [];
+  let start = points[0];
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const end = midpoint(points[i], points[i + 1]);
+    segments.push({ from: start, control: points[i], to: end, width: (widths[i - 1] + widths[i]) / 2 });
+    start = end;
+  }
+  const last = points[points.length - 1];
+  segments.push({ from: start, control: midpoint(start, last), to: last, width: widths[widths.length - 1] });
+  return segments;
+};
+
+/**
+ * Draws strokes on a 2D context whose transform maps the signature box onto
+ * the canvas. `widthScale` thins the lines when the transform enlarges them.
+ */
+export const drawSignatureStrokes = (context, strokes, widthScale = 1) => {
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.strokeStyle = '#000000';
+  context.fillStyle = '#000000';
+  strokes.forEach((stroke) => {
+    buildStrokeSegments(stroke).forEach((segment) => {
+      context.beginPath();
+      if (segment.dot) {
+        context.arc(segment.from.x, segment.from.y, (segment.width * widthScale) / 2, 0, Math.PI * 2);
+        context.fill();
+        return;
+      }
+      context.lineWidth = segment.width * widthScale;
+      context.moveTo(segment.from.x, segment.from.y);
+      context.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+      context.stroke();
+    });
+  });
+};
+
+/**
+ * Clears a canvas and draws the strokes scaled to its pixel size.
+ */
+export const renderSignature = (canvas, strokes) => {
+  const context = canvas.getContext('2d');
+  if (!context) return;
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.setTransform(canvas.width / SIGNATURE_WIDTH, 0, 0, canvas.height / SIGNATURE_HEIGHT, 0, 0);
+  drawSignatureStrokes(context, strokes);
+};
+
+/**
+ * Box around the ink (with room for the line width), or the whole signature box when empty.
+ */
+export const getSignatureBounds = (strokes) => {
+  const points = strokes.flatMap(stroke => stroke.points);
+  if (points.length === 0) return { x: 0, y: 0, width: SIGNATURE_WIDTH, height: SIGNATURE_HEIGHT };
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const minX = Math.min(...xs) - CROP_PADDING;
+  const minY = Math.min(...ys) - CROP_PADDING;
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) + CROP_PADDING - minX,
+    height: Math.max(...ys) + CROP_PADDING - minY,
+  };
+};
+
+/**
+ * The strokes as a transparent WebP (or PNG) Blob, the image kept in the
+ * signatures store. It is cropped to the ink and scaled until it fills
+ * 400x150 on one side (tiny ones at most 3x), with the line width kept, so
+ * stored signatures share one size.
+ */
+export const signatureToBlob = (strokes) => new Promise((resolve, reject) => {
+  const bounds = getSignatureBounds(strokes);
+  const scale = Math.min(SIGNATURE_WIDTH / bounds.width, SIGNATURE_HEIGHT / bounds.height, MAX_NORMALISE_SCALE);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bounds.width * scale));
+  canvas.height = Math.max(1, Math.round(bounds.height * scale));
+  const context = canvas.getContext('2d');
+  context.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+  drawSignatureStrokes(context, strokes, 1 / scale);
+  canvas.toBlob((blob) => {
+    if (blob) resolve(blob);
+    else reject(new Error('Could not save the signature image.'));
+  }, SIGNATURE_IMAGE_TYPE, SIGNATURE_IMAGE_QUALITY);
+});
+
+// --- Validity Checks ---
+
+/**
+ * The event's signature checks, completed with the defaults.
+ */
+export const getSignatureChecks = (event) => ({
+  ...DEFAULT_SIGNATURE_CHECKS,
+  ...(event && event.signatureChecks),
+});
+
+/**
+ * Percentage of the signature box covered by ink, or null where there is no canvas to measure it.
+ */
+const measureInkCoverage = (strokes) => {
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = SIGNATURE_WIDTH;
+  canvas.height = SIGNATURE_HEIGHT;
+  renderSignature(canvas, strokes);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  let inkedPixels = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) inkedPixels += 1;
+  }
+  return (inkedPixels / (SIGNATURE_WIDTH * SIGNATURE_HEIGHT)) * 100;
+};
+
+/**
+ * Measures a drawn signature: ink coverage (%), size of the ink, number of
+ * strokes and time from the first to the last point (ms).
+ */
+export const analyseSignature = (strokes) => {
+  const points = strokes.flatMap(stroke => stroke.points);
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const times = points.map(point => point[2]);
+  return {
+    coverage: measureInkCoverage(strokes),
+    width: points.length > 0 ? Math.max(...xs) - Math.min(...xs) : 0,
+    height: points.length > 0 ? Math.max(...ys) - Math.min(...ys) : 0,
+    strokeCount: strokes.length,
+    duration: points.length > 0 ? Math.max(...times) - Math.min(...times) : 0,
+  };
+};
+
+/**
+ * Plain-language problems of a signature measured by analyseSignature, empty when it passes.
+ */
+export const findSignatureIssues = (analysis, checks) => [
+  analysis.coverage !== null && analysis.coverage < checks.minCoverage && 'it has very little ink',
+  (analysis.width < checks.minWidth || analysis.height < checks.minHeight) && 'it is very small',
+  analysis.strokeCount < checks.minStrokes && `it has fewer than ${checks.minStrokes} strokes`,
+  analysis.duration < checks.minDuration && 'it was drawn very quickly',
+].filter(Boolean);
+
+/**
+ * Draws a record's signature vector into a jsPDF document, cropped to the
+ * ink and fitted into the given box (in the document's units). Lines keep
+ * the thickness they have when the whole signature box fills the cell.
+ */
+export const drawSignatureVectorToPDF = (doc, vector, x, y, width, height) => {
+  const bounds = getSignatureBounds(vector.strokes);
+  const scale = Math.min(width / bounds.width, height / bounds.height);
+  const widthScale = Math.min(width / vector.width, height / vector.height);
+  const offsetX = x + (width - bounds.width * scale) / 2 - bounds.x * scale;
+  const offsetY = y + (height - bounds.height * scale) / 2 - bounds.y * scale;
+  const toPage = point => [offsetX + point.x * scale, offsetY + point.y * scale];
+
+  doc.setDrawColor(0);
+  doc.setFillColor(0);
+  doc.setLineCap('round');
+  doc.setLineJoin('round');
+  vector.strokes.forEach((stroke) => {
+    buildStrokeSegments(stroke).forEach((segment) => {
+      const [fromX, fromY] = toPage(segment.from);
+      if (segment.dot) {
+        doc.circle(fromX, fromY, (segment.width * widthScale) / 2, 'F');
+        return;
+      }
+      // PDF paths only have cubic curves; this one traces the same quadratic
+      const [controlX, controlY] = toPage(segment.control);
+      const [toX, toY] = toPage(segment.to);
+      doc.setLineWidth(segment.width * widthScale);
+      doc.moveTo(fromX, fromY);
+      doc.curveTo(
+        fromX + (2 / 3) * (controlX - fromX), fromY + (2 / 3) * (controlY - fromY),
+        toX + (2 / 3) * (controlX - toX), toY + (2 / 3) * (controlY - toY),
+        toX, toY
+      );
+      doc.stroke();
+    });
+  });
+};
@@ -0,0 +1,177 @@
+// --- Attendance Statistics ---
+
+import { getOptionShortLabel } from '@/lib/formSchema';
+import { formatSessionLabel, getUniqueParticipants } from '@/lib/sessions';
+
+export const STATS_COPY_SUCCESS_MESSAGE = 'Statistics copied successfully. Paste them into a spreadsheet or report.';
+export const NOT_GIVEN_LABEL = '(not given)';
+
+// Built-in fields the sex-disaggregated and sectoral breakdowns are based on
+export const SEX_FIELD_KEY = 'sex';
+const STATUS_FIELD_KEY = 'status';
+const MINUTE_MS = 60 * 1000;
+// Histogram bucket sizes, smallest first; the first one giving at most MAX_ARRIVAL_BUCKETS wins
+const ARRIVAL_BUCKET_MINUTES = [5, 10, 15, 30, 60, 120, 240, 1440];
+const MAX_ARRIVAL_BUCKETS = 24;
+
+const countWhere = (records, predicate) => records.filter(predicate).length;
+
+/**
+ * Counts records per free-text answer (division, designation). Answers that
+ * only differ in case or spacing are counted together under one spelling.
+ * Sorted by count, largest first.
+ */
+export const countByText = (records, key) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const text = typeof record[key] === 'string' ? record[key].trim().replace(/\s+/g, ' ') : '';
+    const groupKey = text.toLowerCase();
+    const group = groups.get(groupKey) || { label: text || NOT_GIVEN_LABEL, count: 0 };
+    group.count += 1;
+    groups.set(groupKey, group);
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+/**
+ * Counts records per option of the sex field, in the form's option order,
+ * plus a "(not given)" row when some records have no recognised answer.
+ * Empty when the form has no sex field.
+ */
+export const countBySex = (records, fields) => {
+  const sexField = fields.find(field => field.key === SEX_FIELD_KEY);
+  if (!sexField) return [];
+  const sexOptions = sexField.options || [];
+  const bySex = sexOptions.map(option => ({
+    label: getOptionShortLabel(option),
+    count: countWhere(records, record => record[SEX_FIELD_KEY] === option.value),
+  }));
+  const unknownSex = countWhere(records, record => !sexOptions.some(option => record[SEX_FIELD_KEY] === option.value));
+  if (unknownSex > 0) bySex.push({ label: NOT_GIVEN_LABEL, count: unknownSex });
+  return bySex;
+};
+
+/**
+ * Arrivals per time slot, from the first to the last signing. The slot size
+ * grows with the span so a whole-day event still fits in one chart.
+ */
+export const buildArrivalHistogram = (records) => {
+  const timestamps = records.map(record => record.timestamp).filter(Boolean);
+  if (timestamps.length === 0) return { bucketMinutes: 0, buckets: [] };
+
+  const first = Math.min(...timestamps);
+  const last = Math.max(...timestamps);
+  const bucketMinutes = ARRIVAL_BUCKET_MINUTES.find(minutes => (last - first) / (minutes * MINUTE_MS) < MAX_ARRIVAL_BUCKETS)
+    || ARRIVAL_BUCKET_MINUTES[ARRIVAL_BUCKET_MINUTES.length - 1];
+  const bucketMs = bucketMinutes * MINUTE_MS;
+  // Slots start on round local times (e.g. 8:00, 8:15) rather than at the first signing
+  const offset = new Date(first).getTimezoneOffset() * MINUTE_MS;
+  const start = Math.floor((first - offset) / bucketMs) * bucketMs + offset;
+
+  const buckets = [];
+  for (let slotStart = start; slotStart <= last; slotStart += bucketMs) {
+    buckets.push({ start: slotStart, end: slotStart + bucketMs, count: 0 });
+  }
+  timestamps.forEach((timestamp) => {
+    buckets[Math.floor((timestamp - start) / bucketMs)].count += 1;
+  });
+  return { bucketMinutes, buckets };
+};
+
+/**
+ * Label of a histogram slot, e.g. "8:15 AM", or the date for day-wide slots.
+ */
+export const formatArrivalSlot = (bucket, bucketMinutes) => (
+  bucketMinutes >= 1440
+    ? new Date(bucket.start).toLocaleDateString()
+    : new Date(bucket.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+);
+
+/**
+ * Computes every breakdown of the Statistics tab for an event's records.
+ * Sex and special status come from the built-in fields; when an event's form
+ * has dropped one of them, its breakdowns are simply empty. Breakdowns count
+ * participants, not sign-ins: someone who signed for every session of a
+ * multi-session event is counted once, and once more per session in `bySession`.
+ * Only the arrivals histogram counts every sign-in.
+ */
+export const computeStatistics = (records, fields, sessions = []) => {
+  const participants = getUniqueParticipants(records);
+  const sexField = fields.find(field => field.key === SEX_FIELD_KEY);
+  const statusField = fields.find(field => field.key === STATUS_FIELD_KEY);
+  const sexOptions = sexField ? sexField.options || [] : [];
+  const statusOptions = statusField ? statusField.options || [] : [];
+  const hasStatus = (record, option) => Boolean((record[STATUS_FIELD_KEY] || {})[option.value]);
+  const hasAnyStatus = record => statusOptions.some(option => hasStatus(record, option));
+
+  const byStatus = statusOptions.map(option => ({
+    label: getOptionShortLabel(option),
+    count: countWhere(participants, record => hasStatus(record, option)),
+  }));
+
+  // One row per status (plus "none"), one column per sex option
+  const statusRows = [
+    ...statusOptions.map(option => ({ label: getOptionShortLabel(option), matches: record => hasStatus(record, option) })),
+    ...(statusField ? [{ label: 'No special status', matches: record => !hasAnyStatus(record) }] : []),
+  ];
+  const bySexAndStatus = {
+    columns: sexOptions.map(getOptionShortLabel),
+    rows: statusRows.map(row => ({
+      label: row.label,
+      counts: sexOptions.map(option => countWhere(participants, record => row.matches(record) && record[SEX_FIELD_KEY] === option.value)),
+      total: countWhere(participants, row.matches),
+    })),
+  };
+
+  const bySession = sessions.map(session => ({
+    label: formatSessionLabel(session),
+    count: getUniqueParticipants(records.filter(record => record.sessionId === session.id)).length,
+  }));
+
+  return {
+    total: participants.length,
+    signIns: records.length,
+    bySex: countBySex(participants, fields),
+    byStatus,
+    bySexAndStatus,
+    byDivision: countByText(participants, 'division'),
+    byDesignation: countByText(participants, 'designation'),
+    bySession,
+    arrivals: buildArrivalHistogram(records),
+  };
+};
+
+/**
+ * Lays the statistics out as rows (one titled block per breakdown) for
+ * copying to the clipboard and for the Statistics sheet of the export.
+ */
+export const buildStatisticsRows = (stats) => {
+  const block = (title, header, rows) => (rows.length > 0 ? [[title], header, ...rows, []] : []);
+  const countRows = items => items.map(item => [item.label, item.count]);
+
+  return [
+    ['Total attendees', stats.total],
+    ...(stats.signIns !== stats.total ? [['Sign-ins', stats.signIns]] : []),
+    [],
+    ...block('By session', ['Session', 'Attendees'], countRows(stats.bySession)),
+    ...block('By sex', ['Sex', 'Count'], countRows(stats.bySex)),
+    ...block('By special status', ['Status', 'Count'], countRows(stats.byStatus)),
+    ...block(
+      'By sex and special status',
+      ['Status', ...stats.bySexAndStatus.columns, 'Total'],
+      stats.bySexAndStatus.rows.map(row => [row.label, ...row.counts, row.total])
+    ),
+    ...block('By division', ['Division', 'Count'], countRows(stats.byDivision)),
+    ...block('By designation', ['Designation', 'Count'], countRows(stats.byDesignation)),
+    ...block(
+      `Arrivals (${stats.arrivals.bucketMinutes}-minute slots)`,
+      ['From', 'Count'],
+      stats.arrivals.buckets.map(bucket => [formatArrivalSlot(bucket, stats.arrivals.bucketMinutes), bucket.count])
+    ),
+  ];
+};
+
+/**
+ * Tab-separated text, which spreadsheets and word processors paste as a table.
+ */
+export const rowsToTSV = (rows) => rows.map(row => row.map(cell => String(cell ?? '').replace(/[\t\r\n]+/g, ' ')).join('\t')).join('\n');
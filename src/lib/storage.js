@@ -0,0 +1,83 @@
+// --- Signature Loading and Storage Usage ---
+//
+// Signatures live in their own object store, keyed by record ID, so the
+// record list stays small; they are only read when a card, an export or a
+// sync needs them.
+
+import { getSignatures, dataURLToBlob } from '@/lib/db';
+import { getReadableSignature } from '@/lib/encryption';
+
+export const PERSIST_GRANTED_MESSAGE = 'Persistent storage granted successfully. The browser will not clear this data on its own.';
+export const PERSIST_DENIED_MESSAGE = 'The browser declined persistent storage. Keep regular backups of this device.';
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Reads a Blob as a base64 data URL.
+ */
+export const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Loads the signatures of the given records as a Map of record ID to
+ * { image: Blob, vector }. Encrypted records saved before v6 still carry
+ * theirs inline; signatures that cannot be decrypted yet are left out.
+ */
+export const loadSignatures = async (records) => {
+  const signatures = new Map();
+  const stored = await getSignatures(records.map(record => record.id));
+  for (let i = 0; i < records.length; i += 1) {
+    const record = records[i];
+    if (stored[i]) {
+      const signature = await getReadableSignature(stored[i]);
+      if (signature) signatures.set(record.id, { image: signature.image, vector: signature.vector });
+    } else if (typeof record.signature === 'string') {
+      signatures.set(record.id, { image: dataURLToBlob(record.signature), vector: record.signatureVector || null });
+    }
+  }
+  return signatures;
+};
+
+/**
+ * Loads one record's signature, or null when it has none (or it is still locked).
+ */
+export const loadSignature = async (record) => (await loadSignatures([record])).get(record.id) || null;
+
+/**
+ * "1.4 MB" style size for the storage readout.
+ */
+export const formatBytes = (bytes) => {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+};
+
+/**
+ * How much this origin stores and may store, and whether the browser has
+ * promised to keep it. Null where the Storage API is missing (older Safari,
+ * plain-http LAN addresses).
+ */
+export const getStorageUsage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage, quota, persisted };
+};
+
+/**
+ * Asks the browser not to evict this origin's data under storage pressure.
+ * Resolves with whether the data is now persistent.
+ */
+export const requestPersistentStorage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return false;
+  if (navigator.storage.persisted && await navigator.storage.persisted()) return true;
+  return navigator.storage.persist();
+};
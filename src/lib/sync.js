@@ -0,0 +1,140 @@
+// --- Background Sync to the Server ---
+
+import {
+  getAllEvents,
+  getPendingSyncRecords,
+  markRecordsSynced,
+  getPendingTombstones,
+  removePendingTombstones,
+  getSetting,
+  saveSetting,
+} from '@/lib/db';
+import { getReadableRecords } from '@/lib/encryption';
+import { blobToDataURL, loadSignatures } from '@/lib/storage';
+
+// Records per request; each one carries a signature image
+const SYNC_BATCH_SIZE = 25;
+export const SYNC_INTERVAL_MS = 60 * 1000;
+// Settings store key for the shared secret the server expects (ATTENDANCE_SYNC_TOKEN)
+export const SYNC_TOKEN_SETTING_KEY = 'syncToken';
+export const SYNC_TOKEN_SAVED_MESSAGE = 'Sync token saved successfully. Records will be sent to the server.';
+export const SYNC_TOKEN_REMOVED_MESSAGE = 'Sync token removed successfully. Records stay on this device only.';
+export const SYNC_UNAUTHORIZED_MESSAGE = 'The server rejected the sync token. Check it under Event Setup → Server Sync.';
+export const SYNC_NOT_CONFIGURED_MESSAGE = 'The server has no sync token configured, so it does not accept records.';
+
+// Interval, "online" events and saves can all trigger a sync; run only one at a time
+let syncInFlight = null;
+
+export const getSyncEndpoint = (eventUid) => `/api/events/${encodeURIComponent(eventUid)}/records`;
+
+export const loadSyncToken = async () => (await getSetting(SYNC_TOKEN_SETTING_KEY)) || '';
+
+export const saveSyncToken = (token) => saveSetting(SYNC_TOKEN_SETTING_KEY, token.trim() || null);
+
+/**
+ * Strips device-local fields before a record is sent to the server, and
+ * attaches its signature (kept in its own store on this device) as a data URL.
+ * Records in the Trash (and purged ones, see getPendingTombstones) are sent
+ * as tombstones: just enough for the server to drop its copy of the answers.
+ */
+const toSyncPayload = async ({ id, eventId, pendingSync, syncedAt, ...record }, signature) => {
+  if (record.deletedAt) {
+    return { uid: record.uid, timestamp: record.timestamp, deletedAt: record.deletedAt, updatedAt: record.deletedAt };
+  }
+  if (!signature) return record;
+  return { ...record, signature: await blobToDataURL(signature.image), signatureVector: signature.vector };
+};
+
+/**
+ * Pushes one batch of records and tombstones and returns the uids the server accepted.
+ */
+const pushBatch = async (event, batch, token) => {
+  const signatures = await loadSignatures(batch.filter(item => item.id !== undefined && !item.deletedAt));
+  const payload = await Promise.all(batch.map(item => toSyncPayload(item, signatures.get(item.id))));
+  const response = await fetch(getSyncEndpoint(event.uid), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      event: { activityName: event.activityName, venue: event.venue, eventDate: event.eventDate },
+      records: payload,
+    }),
+  });
+  if (response.status === 401) throw new Error(SYNC_UNAUTHORIZED_MESSAGE);
+  if (response.status === 503) throw new Error(SYNC_NOT_CONFIGURED_MESSAGE);
+  if (!response.ok) {
+    throw new Error(`Sync failed with status ${response.status}.`);
+  }
+  const { accepted } = await response.json();
+  return new Set(accepted);
+};
+
+const runSync = async () => {
+  const token = await loadSyncToken();
+  // Sync is off until a token has been entered on this device
+  if (!token) return null;
+
+  const storedRecords = await getPendingSyncRecords();
+  const tombstones = await getPendingTombstones();
+  // Encrypted records wait until the passphrase has been entered on this device
+  const pendingRecords = await getReadableRecords(storedRecords);
+  if (pendingRecords.length === 0 && tombstones.length === 0) {
+    return { syncedIds: [], syncedAt: null, pending: storedRecords.length, error: null };
+  }
+
+  const events = await getAllEvents();
+  const eventIds = new Set(events.map(event => event.id));
+  // Deleted events took their records along; there is no server copy left to update
+  const orphanedUids = tombstones.filter(tombstone => !eventIds.has(tombstone.eventId)).map(tombstone => tombstone.uid);
+  if (orphanedUids.length > 0) await removePendingTombstones(orphanedUids);
+
+  // Encrypted records only hold `updatedAt` in the clear once rewritten, so
+  // the stored copies, not the readable ones, are what markRecordsSynced checks
+  const storedById = new Map(storedRecords.map(record => [record.id, record]));
+  const syncedIds = [];
+  let syncedAt = null;
+  let error = null;
+
+  try {
+    for (const event of events) {
+      const items = [
+        ...pendingRecords.filter(record => record.eventId === event.id),
+        ...tombstones.filter(tombstone => tombstone.eventId === event.id),
+      ];
+      for (let i = 0; i < items.length; i += SYNC_BATCH_SIZE) {
+        const batch = items.slice(i, i + SYNC_BATCH_SIZE);
+        const acceptedUids = await pushBatch(event, batch, token);
+        const accepted = batch.filter(item => acceptedUids.has(item.uid));
+        const acceptedRecords = accepted.filter(item => item.id !== undefined).map(item => storedById.get(item.id));
+        const acceptedTombstones = accepted.filter(item => item.id === undefined).map(item => item.uid);
+        if (acceptedRecords.length > 0) {
+          syncedAt = Date.now();
+          syncedIds.push(...await markRecordsSynced(acceptedRecords, syncedAt));
+        }
+        if (acceptedTombstones.length > 0) await removePendingTombstones(acceptedTombstones);
+      }
+    }
+  } catch (syncError) {
+    // Server unreachable or rejected the batch: keep the rest pending for the next attempt
+    console.warn("Sync: Stopped early, will retry later.", syncError);
+    error = syncError.message;
+  }
+
+  return { syncedIds, syncedAt, pending: storedRecords.length - syncedIds.length, error };
+};
+
+/**
+ * Pushes every unsynced record and deletion to the server, grouped by event.
+ * Safe to call repeatedly: the server ignores copies older than its own.
+ * Resolves with null when offline or when no sync token has been entered.
+ */
+export const syncPendingRecords = () => {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    return Promise.resolve(null);
+  }
+  if (!syncInFlight) {
+    syncInFlight = runSync().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
@@ -0,0 +1,31 @@
+// --- Trash (Soft Delete) ---
+
+import { getSetting, saveSetting, purgeTrashedRecords } from '@/lib/db';
+
+// Settings store key; 0 or missing keeps trashed records until purged by hand
+export const TRASH_RETENTION_SETTING_KEY = 'trashRetentionDays';
+export const TRASH_RETENTION_OPTIONS = [
+  { days: 0, label: 'Never (empty by hand)' },
+  { days: 7, label: 'After 7 days' },
+  { days: 30, label: 'After 30 days' },
+  { days: 90, label: 'After 90 days' },
+];
+export const UNDO_TIMEOUT_MS = 8000;
+export const TRASH_RESTORE_MESSAGE = 'Records restored successfully from the Trash.';
+export const TRASH_PURGE_MESSAGE = 'Records permanently deleted successfully.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const loadTrashRetentionDays = async () => (await getSetting(TRASH_RETENTION_SETTING_KEY)) || 0;
+
+export const saveTrashRetentionDays = (days) => saveSetting(TRASH_RETENTION_SETTING_KEY, days || null);
+
+/**
+ * Permanently deletes records that have been in the Trash longer than the
+ * configured number of days. Resolves with how many were purged.
+ */
+export const purgeExpiredTrash = async () => {
+  const days = await loadTrashRetentionDays();
+  if (!days) return 0;
+  return purgeTrashedRecords(Date.now() - days * DAY_MS);
+};
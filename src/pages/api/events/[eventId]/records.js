@@ -0,0 +1,70 @@
+// Sync endpoint for one event's attendance records.
+//   GET  /api/events/:eventId/records -> { event, records }
+//   POST /api/events/:eventId/records <- { event, records } -> { accepted, created }
+// Both need `Authorization: Bearer <ATTENDANCE_SYNC_TOKEN>`.
+
+import { isValidUid, readEvent, saveRecords } from '@/lib/server/attendanceStore';
+import { isSyncConfigured, isAuthorizedRequest } from '@/lib/server/syncAuth';
+
+// Each record carries its signature as a WebP or PNG data URL
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '4mb' },
+  },
+};
+
+// A full record, or a tombstone ({ uid, timestamp, deletedAt, updatedAt }) for one moved to the Trash
+const isValidRecord = (record) => (
+  record !== null
+  && typeof record === 'object'
+  && isValidUid(record.uid)
+  && typeof record.timestamp === 'number'
+  && (typeof record.completeName === 'string' || typeof record.deletedAt === 'number')
+);
+
+export default async function handler(req, res) {
+  if (!isSyncConfigured()) {
+    res.status(503).json({ error: 'Sync is not configured on this server.' });
+    return;
+  }
+  if (!isAuthorizedRequest(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Missing or invalid sync token.' });
+    return;
+  }
+
+  const { eventId } = req.query;
+  if (!isValidUid(eventId)) {
+    res.status(400).json({ error: 'Invalid event ID.' });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const data = await readEvent(eventId);
+      if (!data) {
+        res.status(404).json({ error: 'Event not found.' });
+        return;
+      }
+      // Tombstones stay on the server so older copies cannot bring a record back
+      res.status(200).json({ ...data, records: data.records.filter(record => !record.deletedAt) });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const { event, records } = req.body || {};
+      if (!Array.isArray(records) || !records.every(isValidRecord)) {
+        res.status(400).json({ error: 'Body must contain a records array with uid, timestamp and completeName (or deletedAt).' });
+        return;
+      }
+      res.status(200).json(await saveRecords(eventId, event, records));
+      return;
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    res.status(405).json({ error: `Method ${req.method} not allowed.` });
+  } catch (error) {
+    console.error("Sync API: Error handling records request:", error);
+    res.status(500).json({ error: 'Could not access the attendance store.' });
+  }
+}
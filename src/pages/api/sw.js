@@ -0,0 +1,21 @@
+// Serves /sw.js (see the rewrite in next.config.mjs). The script changes with
+// every build, which is how browsers notice a new version of the app.
+
+import { getPrecacheManifest } from '@/lib/server/precache';
+
+export default async function handler(req, res) {
+  try {
+    const { buildId, urls } = await getPrecacheManifest();
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.status(200).send(
+      `self.__BUILD_ID = ${JSON.stringify(buildId)};\n`
+      + `self.__PRECACHE_URLS = ${JSON.stringify(urls)};\n`
+      + `importScripts('/sw-core.js');\n`
+    );
+  } catch (error) {
+    // No production build (e.g. `next dev`): serve nothing so registration fails quietly
+    console.error("Service worker: Could not read the build output:", error);
+    res.status(404).send('');
+  }
+}
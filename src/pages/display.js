@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+import {
+  ACTIVE_EVENT_KEY,
+  IDB_ERROR_MESSAGE,
+  DB_OUTDATED_MESSAGE,
+  getAllEvents,
+  getRecordsPage,
+  getRecordsByIds,
+  onDatabaseOutdated,
+} from '@/lib/db';
+import { patchRecordList } from '@/lib/recordQuery';
+import { CHANGE_TYPES, subscribeToChanges } from '@/lib/liveUpdates';
+import { countBySex } from '@/lib/statistics';
+import { TICKER_SECONDS_PER_NAME, toDisplayEvent, toDisplayEntry, getParticipantEntries, getTickerEntries } from '@/lib/display';
+
+// --- Display Components ---
+
+// Latest names sliding right to left; shown still when the viewer prefers reduced motion
+const NameTicker = ({ entries }) => {
+    if (entries.length === 0) {
+        return <p className="text-2xl text-indigo-300 text-center">Names appear here as attendees sign in.</p>;
+    }
+
+    return (
+        <div className="overflow-hidden" aria-label="Latest arrivals">
+            <div
+                className="flex w-max animate-ticker motion-reduce:animate-none"
+                style={{ animationDuration: `${Math.max(20, entries.length * TICKER_SECONDS_PER_NAME)}s` }}
+            >
+                {[0, 1].map(copy => (
+                    <ul key={copy} aria-hidden={copy === 1} className="flex shrink-0 gap-16 pr-16">
+                        {entries.map(entry => (
+                            <li key={entry.id} className="text-3xl font-semibold whitespace-nowrap">{entry.name}</li>
+                        ))}
+                    </ul>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// --- Main Display Page ---
+
+/**
+ * Read-only attendee counter for a projector. It follows the event that is
+ * active on this device and updates whenever another tab saves a record.
+ */
+const Display = () => {
+  const [event, setEvent] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState('');
+  const recordsLoadRef = useRef(0); // Bumped by every full load so a stale one stops early
+  const eventId = event ? event.id : null;
+
+  /**
+   * Reads the active event the same way the main page picks it.
+   */
+  const loadEvent = useCallback(async () => {
+    try {
+      const allEvents = await getAllEvents();
+      const savedId = Number(localStorage.getItem(ACTIVE_EVENT_KEY));
+      const activeEvent = allEvents.find(item => item.id === savedId && !item.archived)
+          || allEvents.find(item => !item.archived);
+      setEvent(activeEvent ? toDisplayEvent(activeEvent) : null);
+      setIsLoaded(true);
+    } catch (loadError) {
+      setError(loadError.message || IDB_ERROR_MESSAGE);
+    }
+  }, []);
+
+  /**
+   * Loads every record of the active event, a page at a time.
+   */
+  const loadEntries = useCallback(async () => {
+    const load = ++recordsLoadRef.current;
+    if (eventId === null) {
+      setEntries([]);
+      return;
+    }
+    try {
+      let loaded = [];
+      let next = null;
+      do {
+        const page = await getRecordsPage(eventId, next);
+        loaded = [...loaded, ...page.records.filter(record => !record.deletedAt).map(toDisplayEntry)];
+        next = page.next;
+        if (load !== recordsLoadRef.current) return;
+        setEntries(loaded);
+      } while (next);
+    } catch (loadError) {
+      setError(loadError.message || IDB_ERROR_MESSAGE);
+    }
+  }, [eventId]);
+
+  /**
+   * Re-reads only the records another tab has just written.
+   */
+  const refreshEntries = useCallback(async (ids) => {
+    try {
+      const fresh = (await getRecordsByIds(ids))
+        .filter(record => record.eventId === eventId && !record.deletedAt)
+        .map(toDisplayEntry);
+      setEntries(prev => patchRecordList(prev, ids, fresh));
+    } catch (loadError) {
+      setError(loadError.message || IDB_ERROR_MESSAGE);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    loadEvent();
+  }, [loadEvent]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => onDatabaseOutdated(() => setError(DB_OUTDATED_MESSAGE)), []);
+
+  // Another tab switched the active event
+  useEffect(() => {
+    const handleStorage = (storageEvent) => {
+      if (storageEvent.key === ACTIVE_EVENT_KEY) loadEvent();
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [loadEvent]);
+
+  useEffect(() => subscribeToChanges((change) => {
+    if (change.type === CHANGE_TYPES.RECORDS) {
+      if (change.ids) refreshEntries(change.ids);
+      else loadEntries();
+    } else if (change.type === CHANGE_TYPES.EVENTS) {
+      loadEvent();
+    }
+  }), [refreshEntries, loadEntries, loadEvent]);
+
+  // Multi-session events have a record per session; the counts are of people
+  const participants = getParticipantEntries(entries);
+  const readableEntries = participants.filter(entry => !entry.isSealed);
+  const sealedCount = participants.length - readableEntries.length;
+  const bySex = event ? countBySex(readableEntries, event.fields) : [];
+  const tickerEntries = getTickerEntries(entries);
+
+  if (error || (isLoaded && !event)) {
+    return (
+        <main className="min-h-screen bg-indigo-950 text-white flex items-center justify-center p-10">
+            <p className="text-3xl text-center">{error || 'No active event. Create one on the Event Setup tab first.'}</p>
+        </main>
+    );
+  }
+
+  return (
+    <main className="min-h-screen bg-indigo-950 text-white flex flex-col">
+        <header className="px-10 pt-10 text-center">
+            <h1 className="text-5xl font-extrabold">{event ? event.activityName || 'Unconfigured Activity' : ''}</h1>
+            {event && (event.venue || event.eventDate) && (
+                <p className="text-2xl text-indigo-200 mt-3">
+                    {[event.venue, event.eventDate ? new Date(event.eventDate).toLocaleDateString() : ''].filter(Boolean).join(' · ')}
+                </p>
+            )}
+        </header>
+
+        <section className="flex-1 flex flex-col items-center justify-center px-10 py-8">
+            <p className="text-[10rem] leading-none font-extrabold tabular-nums" aria-live="polite">{participants.length}</p>
+            <p className="text-2xl uppercase tracking-widest text-indigo-200 mt-4">
+                {participants.length === 1 ? 'Attendee' : 'Attendees'} signed in
+            </p>
+            {bySex.length > 0 && (
+                <div className="flex flex-wrap justify-center gap-6 mt-10">
+                    {bySex.map(group => (
+                        <div key={group.label} className="min-w-40 px-8 py-4 rounded-2xl bg-indigo-900 text-center">
+                            <p className="text-5xl font-bold tabular-nums">{group.count}</p>
+                            <p className="text-xl text-indigo-200 mt-1">{group.label}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {sealedCount > 0 && (
+                <p className="text-lg text-indigo-300 mt-6">
+                    {sealedCount} encrypted {sealedCount === 1 ? 'record is' : 'records are'} counted without their answers.
+                </p>
+            )}
+        </section>
+
+        <footer className="py-6 bg-indigo-900">
+            <NameTicker entries={tickerEntries} />
+        </footer>
+    </main>
+  );
+};
+
+export default Display;
@@ -1,180 +1,231 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+
+import {
+  IDB_SUCCESS_MESSAGE,
+  IDB_ERROR_MESSAGE,
+  DB_OUTDATED_MESSAGE,
+  ACTIVE_EVENT_KEY,
+  addRecord,
+  getRecordsPage,
+  getRecordsByIds,
+  updateRecord,
+  mergeRecords,
+  deleteRecord,
+  deleteRecords,
+  trashRecords,
+  restoreRecords,
+  getAllEvents,
+  addEvent,
+  updateEvent,
+  deleteEvent,
+  onDatabaseOutdated,
+} from '@/lib/db';
+import {
+  EXPORT_SUCCESS_MESSAGE,
+  STATS_EXPORT_SUCCESS_MESSAGE,
+  MATRIX_EXPORT_SUCCESS_MESSAGE,
+  exportRecordsToCSV,
+  exportRecordsToXLSX,
+  exportStatisticsToCSV,
+  exportAttendanceMatrixToCSV,
+  buildStatisticsSheetRows,
+} from '@/lib/export';
+import { PDF_SUCCESS_MESSAGE, BADGES_SUCCESS_MESSAGE, exportRecordsToPDF, exportRosterBadgesToPDF } from '@/lib/pdf';
+import {
+  BACKUP_SUCCESS_MESSAGE,
+  RESTORE_MODES,
+  downloadBackup,
+  parseBackup,
+  summarizeBackup,
+  restoreBackup,
+} from '@/lib/backup';
+import {
+  SYNC_INTERVAL_MS,
+  SYNC_TOKEN_SAVED_MESSAGE,
+  SYNC_TOKEN_REMOVED_MESSAGE,
+  syncPendingRecords,
+  loadSyncToken,
+  saveSyncToken,
+} from '@/lib/sync';
+import SyncSettings from '@/components/SyncSettings';
+import { registerServiceWorker, activateWaitingWorker } from '@/lib/pwa';
+import {
+  DEFAULT_FORM_FIELDS,
+  getFormFields,
+  buildInitialFormData,
+  getMissingRequiredFields,
+  validateFormData,
+  formatFieldValue,
+  getOptionShortLabel,
+} from '@/lib/formSchema';
+import FormField from '@/components/FormField';
+import FormBuilder from '@/components/FormBuilder';
+import SignaturePad from '@/components/SignaturePad';
+import { KioskSetup, KioskThankYou, KioskExitDialog } from '@/components/Kiosk';
+import { loadKioskLock, saveKioskLock, createKioskLock, verifyKioskPin, enterFullscreen, exitFullscreen } from '@/lib/kiosk';
+import {
+  ENCRYPTION_ENABLED_MESSAGE,
+  REKEY_SUCCESS_MESSAGE,
+  getEncryptionStatus,
+  unlockEncryption,
+  lockEncryption,
+  enableEncryption,
+  changePassphrase,
+  sealRecordData,
+  sealSignatureData,
+  getReadableRecords,
+} from '@/lib/encryption';
+import { EncryptionSettings, UnlockPrompt } from '@/components/Encryption';
+import RecordsToolbar from '@/components/RecordsToolbar';
+import RecordsTable from '@/components/RecordsTable';
+import { INITIAL_RECORD_QUERY, queryRecords, patchRecordList, isDefaultQuery } from '@/lib/recordQuery';
+import { findDuplicateCandidates, findDuplicateGroups, getDuplicateGroupKey, mergeDuplicateGroup } from '@/lib/duplicates';
+import { DuplicateWarning, DuplicatesReport } from '@/components/Duplicates';
+import { RecordEditor, RevisionHistory } from '@/components/RecordEdit';
+import { EDIT_SUCCESS_MESSAGE, diffRecordValues, applyRecordEdit, saveEditorName } from '@/lib/revisions';
+import {
+  INITIAL_CONSENT,
+  CONSENT_REQUIRED_MESSAGE,
+  WITHDRAW_SUCCESS_MESSAGE,
+  getPrivacyNotice,
+  buildConsentRecord,
+  anonymiseRecord,
+  buildWithdrawalLogEntry,
+} from '@/lib/consent';
+import {
+  TRASH_RESTORE_MESSAGE,
+  TRASH_PURGE_MESSAGE,
+  loadTrashRetentionDays,
+  saveTrashRetentionDays,
+  purgeExpiredTrash,
+} from '@/lib/trash';
+import { UndoToast, TrashPanel } from '@/components/Trash';
+import StatisticsView from '@/components/Statistics';
+import { STATS_COPY_SUCCESS_MESSAGE, rowsToTSV } from '@/lib/statistics';
+import { readRosterRows, buildRoster, matchRosterAttendance } from '@/lib/roster';
+import { RosterImport, RosterSearch, RosterSummary } from '@/components/Roster';
+import { findRosterEntryByCode } from '@/lib/qrCheckIn';
+import { QRScanner } from '@/components/QRCheckIn';
+import {
+  SESSION_REQUIRED_MESSAGE,
+  SESSION_CLOCK_INTERVAL_MS,
+  getSessions,
+  findCurrentSession,
+  formatSessionLabel,
+} from '@/lib/sessions';
+import { SessionsEditor, SessionPicker, AttendanceMatrix } from '@/components/Sessions';
+import {
+  CERTIFICATES_SUCCESS_MESSAGE,
+  CERTIFICATES_NONE_ELIGIBLE_MESSAGE,
+  getCertificateTemplate,
+  getCertificateRecipients,
+  readCertificateBackground,
+  exportCertificatesToPDF,
+} from '@/lib/certificates';
+import CertificatesPanel from '@/components/Certificates';
+import {
+  signatureToBlob,
+  buildSignatureVector,
+  getSignatureChecks,
+  analyseSignature,
+  findSignatureIssues,
+} from '@/lib/signature';
+import { SignatureCheckSettings, SignatureWarning } from '@/components/SignatureChecks';
+import SignatureImage from '@/components/SignatureImage';
+import VirtualList from '@/components/VirtualList';
+import {
+  PERSIST_GRANTED_MESSAGE,
+  PERSIST_DENIED_MESSAGE,
+  getStorageUsage,
+  requestPersistentStorage,
+} from '@/lib/storage';
+import StorageUsage from '@/components/StorageUsage';
+import { CHANGE_TYPES, subscribeToChanges } from '@/lib/liveUpdates';
 
-// --- IndexedDB Configuration and Utility Functions ---
-
-const DB_NAME = 'SimpleNameDB';
-const STORE_NAME = 'names'; 
-const DB_VERSION = 1;
-const IDB_SUCCESS_MESSAGE = 'Record saved successfully to IndexedDB.';
-const IDB_DELETE_MESSAGE = 'Record deleted successfully.';
-const IDB_CLEAR_ALL_MESSAGE = 'All records cleared successfully.';
-const IDB_ERROR_MESSAGE = 'Could not access IndexedDB. Check console for details.';
-// localStorage key for event metadata
-const EVENT_CONFIG_KEY = 'eventConfig';
-
-/**
- * Opens a connection to IndexedDB, creating the object store if necessary.
- */
-const openDB = () => new Promise((resolve, reject) => {
-  if (!window.indexedDB) {
-    reject(new Error("IndexedDB is not supported by this browser."));
-    return;
-  }
-
-  const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-  request.onupgradeneeded = (event) => {
-    const db = event.target.result;
-    if (!db.objectStoreNames.contains(STORE_NAME)) {
-      db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-      console.log(`IndexedDB: Object store '${STORE_NAME}' created.`);
-    }
-  };
-
-  request.onsuccess = (event) => {
-    resolve(event.target.result);
-  };
-
-  request.onerror = (event) => {
-    console.error("IndexedDB: Error opening database:", event.target.error);
-    reject(event.target.error);
-  };
-});
-
-/**
- * Adds a new record to the object store.
- */
-const addRecord = async (recordData) => {
-  try {
-    const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-
-    // Add timestamp to the record using Date.now()
-    const recordObject = { ...recordData, timestamp: Date.now() };
-
-    return new Promise((resolve, reject) => {
-      const request = store.add(recordObject);
-
-      request.onsuccess = () => {
-        resolve(request.result); 
-      };
+// --- Utility for Display ---
 
-      request.onerror = (event) => {
-        console.error("IndexedDB: Error adding record:", event.target.error);
-        reject(event.target.error);
-      };
-    });
-  } catch (error) {
-    console.error("IDB Save Operation Failed:", error);
-    throw new Error(IDB_ERROR_MESSAGE);
-  }
+// Colours for the built-in special status options
+const STATUS_BADGE_CLASSES = {
+    pwd: 'bg-blue-100 text-blue-700',
+    senior: 'bg-yellow-100 text-yellow-700',
+    osy: 'bg-purple-100 text-purple-700',
 };
 
-/**
- * Retrieves all records from the object store.
- */
-const getAllRecords = async () => {
-  try {
-    const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-
-    return new Promise((resolve, reject) => {
-      const request = store.getAll();
-
-      request.onsuccess = (event) => {
-        // Reverse for newest first
-        resolve(event.target.result.reverse());
-      };
-
-      request.onerror = (event) => {
-        console.error("IndexedDB: Error getting records:", event.target.error);
-        reject(event.target.error);
-      };
-    });
-  } catch (error) {
-    console.error("IDB Load Operation Failed:", error);
-    throw new Error(IDB_ERROR_MESSAGE);
-  }
+const getOptionBadges = (field, value) => {
+    const safeValue = value || {}; 
+    
+    const badges = (field.options || [])
+        .filter(option => safeValue[option.value])
+        .map((option) => {
+            const className = (field.builtin && STATUS_BADGE_CLASSES[option.value]) || 'bg-indigo-100 text-indigo-700';
+            return (
+                <span key={option.value} className={`${className} px-2 py-0.5 rounded-full text-xs font-medium`}>{getOptionShortLabel(option)}</span>
+            );
+        });
+    
+    return badges.length > 0 ? (
+        <div className="flex flex-wrap gap-2 mt-1">{badges}</div>
+    ) : (
+        <span className="text-xs text-gray-400 italic">None</span>
+    );
 };
 
 /**
- * Deletes a record by its ID.
+ * One-line description of the consent stored on a record.
  */
-const deleteRecord = async (id) => {
-  try {
-    const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-
-    return new Promise((resolve, reject) => {
-      const request = store.delete(id); 
-
-      request.onsuccess = () => {
-        resolve(true);
-      };
-
-      request.onerror = (event) => {
-        console.error("IndexedDB: Error deleting record:", event.target.error);
-        reject(event.target.error);
-      };
-    });
-  } catch (error) {
-    console.error("IDB Delete Operation Failed:", error);
-    throw new Error(IDB_ERROR_MESSAGE);
-  }
+const getConsentSummary = (consent) => {
+    if (!consent) return 'Consent: not recorded';
+    if (consent.withdrawnAt) return `Consent withdrawn on ${new Date(consent.withdrawnAt).toLocaleString()}`;
+    return `Consent: given (notice ${consent.noticeHash}), photos ${consent.photo ? 'allowed' : 'not allowed'}`;
 };
 
 /**
- * Clears all records from the object store.
+ * Sync state of a record. Edited records keep `syncedAt` while their
+ * changes wait to be sent.
  */
-const deleteAllRecords = async () => {
-  try {
-    const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-
-    return new Promise((resolve, reject) => {
-      const request = store.clear();
-
-      request.onsuccess = () => {
-        resolve(true);
-      };
-
-      request.onerror = (event) => {
-        console.error("IndexedDB: Error clearing records:", event.target.error);
-        reject(event.target.error);
-      };
-    });
-  } catch (error) {
-    console.error("IDB Clear All Operation Failed:", error);
-    throw new Error(IDB_ERROR_MESSAGE);
-  }
-};
-
-
-// --- Utility for Display ---
-
-const getStatusBadges = (status) => {
-    const safeStatus = status || {}; 
-    
-    const statuses = [];
-    if (safeStatus.pwd) statuses.push(<span key="pwd" className="bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full text-xs font-medium">PWD</span>);
-    if (safeStatus.senior) statuses.push(<span key="senior" className="bg-yellow-100 text-yellow-700 px-2 py-0.5 rounded-full text-xs font-medium">Senior</span>);
-    if (safeStatus.osy) statuses.push(<span key="osy" className="bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full text-xs font-medium">OSY</span>);
-    
-    return statuses.length > 0 ? (
-        <div className="flex gap-2 mt-2">{statuses}</div>
-    ) : (
-        <span className="text-xs text-gray-400 italic">None</span>
-    );
+const getSyncLabel = (record) => {
+    if (!record.syncedAt) return 'Not yet synced';
+    return record.pendingSync ? 'Changes not yet synced' : 'Synced to server';
 };
 
 // --- View Components ---
 
 // Component for the Event Configuration Form
-const ConfigView = ({ eventConfig, handleConfigChange }) => {
+const ConfigView = ({
+    eventConfig,
+    handleConfigChange,
+    events,
+    activeEventId,
+    handleSelectEvent,
+    handleCreateEvent,
+    handleToggleArchiveEvent,
+    handleDeleteEvent,
+    confirmDeleteEventId,
+    backupSummary,
+    handleDownloadBackup,
+    handleBackupFileChange,
+    handleRestoreBackup,
+    handleCancelRestore,
+    confirmReplace,
+    formFields,
+    handleFormFieldsChange,
+    handleStartKiosk,
+    encryptionStatus,
+    handleEnableEncryption,
+    handleChangePassphrase,
+    handleLockEncryption,
+    handleUnlock,
+    handleRosterFileChange,
+    handleClearRoster,
+    handleDownloadBadges,
+    handleSessionsChange,
+    handleSignatureChecksChange,
+    storageUsage,
+    handleRequestPersistence,
+    syncStatus,
+    handleSaveSyncToken,
+    handleRemoveSyncToken
+}) => {
     const formatDateForInput = (dateString) => {
         if (!dateString) return '';
         const date = new Date(dateString);
@@ -184,60 +235,255 @@ const ConfigView = ({ eventConfig, handleConfigChange }) => {
     };
 
     return (
-        <div className="space-y-8 p-4 bg-indigo-50/50 rounded-xl">
-            <h2 className="text-2xl font-bold text-indigo-700 mb-4">
-                Configure Event Details
-            </h2>
-            <p className="text-gray-600 text-sm">
-                These details will be used as the title and context for the attendance records. They are saved locally in your browser.
-            </p>
-
-            {/* 1. Name of Activity */}
-            <div>
-                <label htmlFor="activityName" className="block text-lg font-medium text-gray-700 mb-1">
-                    Activity Name
-                </label>
-                <input
-                    id="activityName"
-                    name="activityName"
-                    type="text"
-                    value={eventConfig.activityName}
-                    onChange={handleConfigChange}
-                    placeholder="e.g., Regional Tech Summit"
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
-                />
+        <div className="space-y-8">
+            {/* Event List */}
+            <div className="p-4 bg-gray-50 rounded-xl border">
+                <div className="flex justify-between items-center mb-3">
+                    <h2 className="text-xl font-bold text-gray-800">
+                        Events ({events.length})
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={handleCreateEvent}
+                        className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                    >
+                        New Event
+                    </button>
+                </div>
+                <ul className="space-y-2">
+                    {events.map((event) => {
+                        const isActive = event.id === activeEventId;
+                        const isPendingDelete = event.id === confirmDeleteEventId;
+                        return (
+                            <li
+                                key={event.id}
+                                className={`flex justify-between items-center p-3 rounded-lg border ${
+                                    isActive ? 'bg-indigo-50 border-indigo-400' : 'bg-white border-gray-200'
+                                } ${event.archived ? 'opacity-60' : ''}`}
+                            >
+                                <div className="flex flex-col">
+                                    <span className="font-semibold text-gray-800">
+                                        {event.activityName || "Untitled Activity"}
+                                        {isActive && <span className="ml-2 bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full text-xs font-medium">Active</span>}
+                                        {event.archived && <span className="ml-2 bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full text-xs font-medium">Archived</span>}
+                                    </span>
+                                    <span className="text-xs text-gray-500">
+                                        {event.venue || "No venue"} · {event.eventDate ? new Date(event.eventDate).toLocaleDateString() : "No date"}
+                                    </span>
+                                </div>
+                                <div className="flex gap-2">
+                                    {!isActive && !event.archived && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleSelectEvent(event.id)}
+                                            className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition"
+                                        >
+                                            Switch
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => handleToggleArchiveEvent(event.id)}
+                                        className="text-xs px-3 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                                    >
+                                        {event.archived ? 'Unarchive' : 'Archive'}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDeleteEvent(event.id)}
+                                        className={`text-xs px-3 py-1 rounded-full font-medium transition ${
+                                            isPendingDelete
+                                                ? 'bg-red-600 text-white hover:bg-red-700 shadow-lg'
+                                                : 'bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white'
+                                        }`}
+                                    >
+                                        {isPendingDelete ? 'CONFIRM DELETE' : 'Delete'}
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
             </div>
 
-            {/* 2. Venue */}
-            <div>
-                <label htmlFor="venue" className="block text-lg font-medium text-gray-700 mb-1">
-                    Venue
-                </label>
-                <input
-                    id="venue"
-                    name="venue"
-                    type="text"
-                    value={eventConfig.venue}
-                    onChange={handleConfigChange}
-                    placeholder="e.g., Grand Ballroom, City Hotel"
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
-                />
+            <div className="space-y-8 p-4 bg-indigo-50/50 rounded-xl">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-4">
+                    Configure Event Details
+                </h2>
+                <p className="text-gray-600 text-sm">
+                    These details belong to the active event and are used as the title and context for its attendance records. They are saved locally in your browser.
+                </p>
+
+                {/* 1. Name of Activity */}
+                <div>
+                    <label htmlFor="activityName" className="block text-lg font-medium text-gray-700 mb-1">
+                        Activity Name
+                    </label>
+                    <input
+                        id="activityName"
+                        name="activityName"
+                        type="text"
+                        value={eventConfig.activityName}
+                        onChange={handleConfigChange}
+                        placeholder="e.g., Regional Tech Summit"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                    />
+                </div>
+
+                {/* 2. Venue */}
+                <div>
+                    <label htmlFor="venue" className="block text-lg font-medium text-gray-700 mb-1">
+                        Venue
+                    </label>
+                    <input
+                        id="venue"
+                        name="venue"
+                        type="text"
+                        value={eventConfig.venue}
+                        onChange={handleConfigChange}
+                        placeholder="e.g., Grand Ballroom, City Hotel"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                    />
+                </div>
+
+                {/* 3. Date */}
+                <div>
+                    <label htmlFor="eventDate" className="block text-lg font-medium text-gray-700 mb-1">
+                        Date
+                    </label>
+                    <input
+                        id="eventDate"
+                        name="eventDate"
+                        type="date"
+                        value={formatDateForInput(eventConfig.eventDate)}
+                        onChange={handleConfigChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                    />
+                </div>
+
+                {/* 4. Privacy Notice */}
+                <div>
+                    <label htmlFor="privacyNotice" className="block text-lg font-medium text-gray-700 mb-1">
+                        Data Privacy Notice
+                    </label>
+                    <textarea
+                        id="privacyNotice"
+                        name="privacyNotice"
+                        rows={6}
+                        value={getPrivacyNotice(eventConfig)}
+                        onChange={handleConfigChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900 text-sm"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Attendees must agree to this notice before signing. Each record keeps a fingerprint of the exact wording it was agreed to.
+                    </p>
+                </div>
             </div>
 
-            {/* 3. Date */}
-            <div>
-                <label htmlFor="eventDate" className="block text-lg font-medium text-gray-700 mb-1">
-                    Date
-                </label>
-                <input
-                    id="eventDate"
-                    name="eventDate"
-                    type="date"
-                    value={formatDateForInput(eventConfig.eventDate)}
-                    onChange={handleConfigChange}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
-                />
+            <SessionsEditor
+                sessions={eventConfig.sessions || []}
+                eventDate={eventConfig.eventDate}
+                handleSessionsChange={handleSessionsChange}
+            />
+
+            <FormBuilder
+                key={activeEventId}
+                fields={formFields}
+                handleFormFieldsChange={handleFormFieldsChange}
+            />
+
+            <RosterImport
+                roster={eventConfig.roster || []}
+                handleRosterFileChange={handleRosterFileChange}
+                handleClearRoster={handleClearRoster}
+                handleDownloadBadges={handleDownloadBadges}
+            />
+
+            <SignatureCheckSettings
+                checks={getSignatureChecks(eventConfig)}
+                handleChecksChange={handleSignatureChecksChange}
+            />
+
+            <KioskSetup handleStartKiosk={handleStartKiosk} />
+
+            <EncryptionSettings
+                encryptionStatus={encryptionStatus}
+                handleEnableEncryption={handleEnableEncryption}
+                handleChangePassphrase={handleChangePassphrase}
+                handleLockEncryption={handleLockEncryption}
+                handleUnlock={handleUnlock}
+            />
+
+            {/* Backup & Restore */}
+            <div className="p-4 bg-gray-50 rounded-xl border space-y-3">
+                <h2 className="text-xl font-bold text-gray-800">Backup &amp; Restore</h2>
+                <p className="text-gray-600 text-sm">
+                    Save every event, record and signature on this device to a single file, or restore one to move data between devices.
+                </p>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        type="button"
+                        onClick={handleDownloadBackup}
+                        className="text-sm px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
+                    >
+                        Download Backup
+                    </button>
+                    <label className="text-sm px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition cursor-pointer">
+                        Restore from File
+                        <input
+                            type="file"
+                            accept="application/json,.json"
+                            onChange={handleBackupFileChange}
+                            className="hidden"
+                        />
+                    </label>
+                </div>
+                {backupSummary && (
+                    <div className="p-3 bg-white border border-indigo-200 rounded-lg space-y-2">
+                        <p className="text-sm text-gray-700">
+                            Backup from <strong>{backupSummary.exportedAt}</strong> contains <strong>{backupSummary.events}</strong> events and <strong>{backupSummary.records}</strong> records.
+                        </p>
+                        <p className="text-xs text-gray-500">
+                            Merge keeps your current data and skips records already on this device. Replace deletes all local data first.
+                        </p>
+                        <div className="flex gap-2">
+                            <button
+                                type="button"
+                                onClick={() => handleRestoreBackup(RESTORE_MODES.MERGE)}
+                                className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition"
+                            >
+                                Merge
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => handleRestoreBackup(RESTORE_MODES.REPLACE)}
+                                className={`text-xs px-3 py-1 rounded-full font-medium transition ${
+                                    confirmReplace
+                                        ? 'bg-red-600 text-white hover:bg-red-700 shadow-lg'
+                                        : 'bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white'
+                                }`}
+                            >
+                                {confirmReplace ? 'CONFIRM REPLACE' : 'Replace'}
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleCancelRestore}
+                                className="text-xs px-3 py-1 rounded-full font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                )}
             </div>
+
+            <SyncSettings
+                syncStatus={syncStatus}
+                handleSaveSyncToken={handleSaveSyncToken}
+                handleRemoveSyncToken={handleRemoveSyncToken}
+            />
+
+            <StorageUsage storageUsage={storageUsage} handleRequestPersistence={handleRequestPersistence} />
         </div>
     );
 };
@@ -246,15 +492,36 @@ const ConfigView = ({ eventConfig, handleConfigChange }) => {
 // Component for the Form Input
 const FormView = ({ 
     formData, 
+    formFields,
     handleInputChange, 
-    handleStatusChange, 
+    handleCheckboxGroupChange, 
     handleSubmit, 
     isDBReady, 
-    signatureCaptured, 
+    signatureStrokes, 
     canvasRef, 
-    handleClearSignature, 
+    handleSignatureStrokesChange, 
     message,
-    eventConfig
+    eventConfig,
+    consent,
+    handleConsentChange,
+    duplicateMatches,
+    handleConfirmDuplicate,
+    handleCancelDuplicate,
+    rosterAttendance,
+    selectedRosterEntry,
+    handleSelectRosterEntry,
+    handleClearRosterEntry,
+    isScanning,
+    handleToggleScanning,
+    handleCheckInCode,
+    sessions,
+    currentSession,
+    sessionOverrideId,
+    handleSessionOverrideChange,
+    isKiosk,
+    signatureIssues,
+    handleConfirmSignature,
+    handleCancelSignature
 }) => {
     // Determine the header text
     const headerText = eventConfig.activityName || "Activity Attendance";
@@ -269,174 +536,121 @@ const FormView = ({
                 <p className={`text-md italic ${eventConfig.activityName ? 'text-indigo-600' : 'text-red-500'}`}>{subheaderText}</p>
             </div>
             
-            <p className="text-sm text-gray-500 mb-6 text-justify">
-                <strong>DATA PRIVACY NOTICE:</strong> The data and information provided in this form are solely intended for the designated activity. Any use of this data for purposes other than those intended by the process owner constitutes a violation of the Data Privacy Act of 2023. By voluntarily providing this data and information, the Data Subject explicitly consents to its use by the office for its intended purpose. This includes, but is not limited to, documentation processes related to the activity and sharing on social media platforms for promotional or informational purposes. Your likeness in event photos may be used. You can withdraw consent by contacting us at <strong>region9basulta@dict.gov.ph</strong>
+            <p className="text-sm text-gray-500 mb-6 text-justify whitespace-pre-line">
+                <strong>DATA PRIVACY NOTICE:</strong> {getPrivacyNotice(eventConfig)}
             </p>
 
             {/* Input Form */}
             <form onSubmit={handleSubmit} className="space-y-6">
-                {/* Complete Name */}
-                <div>
-                    <label htmlFor="completeName" className="block text-lg font-medium text-gray-700 mb-1">
-                        1. Complete Name <span className="text-red-500">*</span>
-                    </label>
-                    <input
-                        id="completeName"
-                        name="completeName"
-                        type="text"
-                        value={formData.completeName}
-                        onChange={handleInputChange}
-                        placeholder="First Name MI. Last Name"
-                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                {sessions.length > 0 && (
+                    <SessionPicker
+                        sessions={sessions}
+                        currentSession={currentSession}
+                        overrideId={sessionOverrideId}
+                        handleOverrideChange={handleSessionOverrideChange}
+                        canOverride={!isKiosk}
+                    />
+                )}
+
+                {eventConfig.roster?.length > 0 && (
+                    <RosterSearch
+                        key={eventConfig.id}
+                        roster={eventConfig.roster}
+                        checkedInIds={rosterAttendance.presentIds}
+                        selectedEntry={selectedRosterEntry}
+                        handleSelectRosterEntry={handleSelectRosterEntry}
+                        handleClearRosterEntry={handleClearRosterEntry}
                         disabled={!isDBReady}
-                        required
                     />
-                </div>
-
-                {/* Sex (Radio Select) */}
-                <div>
-                    <label className="block text-lg font-medium text-gray-700 mb-2">
-                        2. Sex <span className="text-red-500">*</span>
-                    </label>
-                    <div className="flex space-x-6">
-                        <label className="flex items-center space-x-2">
-                            <input
-                                type="radio"
-                                name="sex"
-                                value="M"
-                                checked={formData.sex === 'M'}
-                                onChange={handleInputChange}
-                                className="text-indigo-600 focus:ring-indigo-500"
-                                disabled={!isDBReady}
-                                required
-                            />
-                            <span className="text-gray-700">Male (M)</span>
-                        </label>
-                        <label className="flex items-center space-x-2">
-                            <input
-                                type="radio"
-                                name="sex"
-                                value="F"
-                                checked={formData.sex === 'F'}
-                                onChange={handleInputChange}
-                                className="text-indigo-600 focus:ring-indigo-500"
-                                disabled={!isDBReady}
-                                required
-                            />
-                            <span className="text-gray-700">Female (F)</span>
-                        </label>
-                    </div>
-                </div>
+                )}
 
-                {/* Designation */}
-                <div>
-                    <label htmlFor="designation" className="block text-lg font-medium text-gray-700 mb-1">
-                        3. Designation <span className="text-red-500">*</span>
-                    </label>
-                    <input
-                        id="designation"
-                        name="designation"
-                        type="text"
-                        value={formData.designation}
-                        onChange={handleInputChange}
-                        placeholder="e.g., Software Engineer"
-                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                {eventConfig.roster?.length > 0 && !selectedRosterEntry && (
+                    isScanning ? (
+                        <QRScanner handleCheckInCode={handleCheckInCode} handleClose={handleToggleScanning} />
+                    ) : (
+                        <button
+                            type="button"
+                            onClick={handleToggleScanning}
+                            disabled={!isDBReady}
+                            className="w-full py-2 px-4 border-2 border-dashed border-indigo-300 rounded-lg text-indigo-700 font-medium hover:bg-indigo-50 transition disabled:opacity-50"
+                        >
+                            Scan QR Badge
+                        </button>
+                    )
+                )}
+
+                {formFields.map((field, index) => (
+                    <FormField
+                        key={field.key}
+                        field={field}
+                        number={index + 1}
+                        value={formData[field.key]}
+                        handleInputChange={handleInputChange}
+                        handleCheckboxGroupChange={handleCheckboxGroupChange}
                         disabled={!isDBReady}
-                        required
                     />
-                </div>
-
-                {/* Division */}
+                ))}
+                
+                {/* Signature Capture (always last) */}
                 <div>
-                    <label htmlFor="division" className="block text-lg font-medium text-gray-700 mb-1">
-                        4. Division <span className="text-red-500">*</span>
+                    <label className="block text-lg font-medium text-gray-700 mb-1">
+                        {formFields.length + 1}. Digital Signature <span className="text-red-500">*</span>
                     </label>
-                    <input
-                        id="division"
-                        name="division"
-                        type="text"
-                        value={formData.division}
-                        onChange={handleInputChange}
-                        placeholder="e.g., Cloud Services"
-                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition text-gray-900"
+                    <SignaturePad
+                        strokes={signatureStrokes}
+                        handleStrokesChange={handleSignatureStrokesChange}
+                        canvasRef={canvasRef}
                         disabled={!isDBReady}
-                        required
                     />
                 </div>
 
-                {/* Status Checkboxes (NOT required) */}
-                <div>
-                    <label className="block text-lg font-medium text-gray-700 mb-2">
-                        5. Check if Applicable (Special Status)
-                    </label>
-                    <div className="flex flex-wrap gap-x-8 gap-y-2">
-                        <label className="flex items-center space-x-2">
-                            <input
-                                type="checkbox"
-                                name="pwd"
-                                checked={formData.status.pwd}
-                                onChange={handleStatusChange}
-                                className="rounded text-indigo-600 focus:ring-indigo-500"
-                                disabled={!isDBReady}
-                            />
-                            <span className="text-gray-700">PWD (Person with Disability)</span>
-                        </label>
-                        <label className="flex items-center space-x-2">
-                            <input
-                                type="checkbox"
-                                name="senior"
-                                checked={formData.status.senior}
-                                onChange={handleStatusChange}
-                                className="rounded text-indigo-600 focus:ring-indigo-500"
-                                disabled={!isDBReady}
-                            />
-                            <span className="text-gray-700">Senior</span>
-                        </label>
-                        <label className="flex items-center space-x-2">
-                            <input
-                                type="checkbox"
-                                name="osy"
-                                checked={formData.status.osy}
-                                onChange={handleStatusChange}
-                                className="rounded text-indigo-600 focus:ring-indigo-500"
-                                disabled={!isDBReady}
-                            />
-                            <span className="text-gray-700">OSY (Out-of-School Youth)</span>
-                        </label>
-                    </div>
-                </div>
-                
-                {/* Signature Capture (6) */}
-                <div>
-                    <label className="block text-lg font-medium text-gray-700 mb-1">
-                        6. Digital Signature <span className="text-red-500">*</span>
-                    </label>
-                    <div className="border border-gray-400 rounded-lg overflow-hidden bg-white relative shadow-inner">
-                        <canvas
-                            ref={canvasRef}
-                            className="w-full h-auto cursor-crosshair border-b-2 border-indigo-500/50"
+                {/* Consent (required before saving) */}
+                <div className="space-y-2 p-3 bg-gray-50 rounded-lg border">
+                    <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            name="privacy"
+                            checked={consent.privacy}
+                            onChange={handleConsentChange}
+                            disabled={!isDBReady}
+                            className="mt-1 rounded text-indigo-600 focus:ring-indigo-500"
                         />
-                        {!signatureCaptured && (
-                            <div className="absolute inset-0 flex items-center justify-center text-gray-400 pointer-events-none bg-gray-50 bg-opacity-70">
-                                Draw your signature here using mouse or touch.
-                            </div>
-                        )}
-                    </div>
-                    <div className="flex justify-end mt-2">
-                        <button
-                            type="button"
-                            onClick={handleClearSignature}
-                            className="text-sm px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+                        <span>I have read the Data Privacy Notice above and consent to the processing of my data for this activity. <span className="text-red-500">*</span></span>
+                    </label>
+                    <label className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            name="photo"
+                            checked={consent.photo}
+                            onChange={handleConsentChange}
                             disabled={!isDBReady}
-                        >
-                            Clear Signature
-                        </button>
-                    </div>
+                            className="mt-1 rounded text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span>I also agree that photos of me taken at the activity may be shared on social media. (Optional)</span>
+                    </label>
                 </div>
 
+                {signatureIssues && (
+                    <SignatureWarning
+                        issues={signatureIssues}
+                        canSave={getSignatureChecks(eventConfig).mode !== 'reject'}
+                        handleConfirm={handleConfirmSignature}
+                        handleCancel={handleCancelSignature}
+                    />
+                )}
+
+                {duplicateMatches && (
+                    <DuplicateWarning
+                        matches={duplicateMatches}
+                        isKiosk={isKiosk}
+                        handleConfirm={handleConfirmDuplicate}
+                        handleCancel={handleCancelDuplicate}
+                    />
+                )}
+
                 <button
                     type="submit"
-                    disabled={!isDBReady || !formData.completeName.trim() || !formData.designation.trim() || !formData.division.trim()}
+                    disabled={!isDBReady || !consent.privacy || duplicateMatches !== null || signatureIssues !== null || getMissingRequiredFields(formFields, formData).length > 0}
                     className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-md text-lg font-semibold text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition duration-150 ease-in-out disabled:opacity-50"
                 >
                     {isDBReady ? 'Save Record' : 'Connecting to DB...'}
@@ -454,191 +668,818 @@ const FormView = ({
 };
 
 // Component for the Records List
-const RecordsView = ({ storedRecords, isDBReady, handleDelete, handleClearAll, confirmClear, confirmDeleteId, eventConfig }) => (
-    <div className="mt-8">
-        <div className="mb-6 pb-4 border-b border-gray-200">
-            <h2 className="text-2xl font-bold text-gray-800">Attendance for {eventConfig.activityName || "Unconfigured Activity"}</h2>
-            <p className="text-md italic text-indigo-600">{eventConfig.venue && eventConfig.eventDate 
-                ? `${eventConfig.venue} on ${new Date(eventConfig.eventDate).toLocaleDateString()}` 
-                : "Event details are missing. Configure in 'Event Setup' tab."}
-            </p>
-        </div>
+const RecordsView = ({
+    storedRecords,
+    hasMoreRecords,
+    handleLoadMoreRecords,
+    handleLoadAllRecords,
+    formFields,
+    isDBReady,
+    handleDelete,
+    handleClearAll,
+    confirmClear,
+    confirmDeleteId,
+    eventConfig,
+    handleExport,
+    handleWithdrawConsent,
+    confirmWithdrawId,
+    recordQuery,
+    handleRecordQueryChange,
+    recordViewMode,
+    handleRecordViewModeChange,
+    handleMergeDuplicates,
+    confirmMergeKey,
+    editingRecordId,
+    handleEditRecord,
+    handleSaveEdit,
+    trashedRecords,
+    trashRetentionDays,
+    handleTrashRetentionChange,
+    handleRestoreRecords,
+    handlePurgeRecord,
+    confirmPurgeId,
+    handleEmptyTrash,
+    confirmEmptyTrash,
+    rosterAttendance,
+    sessions,
+    handleExportMatrix,
+    certificateTemplate,
+    certificateRecipients,
+    handleCertificateTemplateChange,
+    handleCertificateBackgroundChange,
+    handleGenerateCertificates
+}) => {
+    const visibleRecords = useMemo(() => queryRecords(storedRecords, recordQuery, formFields), [storedRecords, recordQuery, formFields]);
+    // Pairwise name comparison: only run on the complete list, and again only when it changes
+    const duplicateGroups = useMemo(
+        () => (hasMoreRecords ? [] : findDuplicateGroups(storedRecords)),
+        [storedRecords, hasMoreRecords]
+    );
+    const loadedCountLabel = `${storedRecords.length}${hasMoreRecords ? '+' : ''}`;
+    // Scroll box of the cards; the virtual list only renders the cards inside it
+    const listContainerRef = useRef(null);
+
+    return (
+        <div className="mt-8">
+            <div className="mb-6 pb-4 border-b border-gray-200">
+                <h2 className="text-2xl font-bold text-gray-800">Attendance for {eventConfig.activityName || "Unconfigured Activity"}</h2>
+                <p className="text-md italic text-indigo-600">{eventConfig.venue && eventConfig.eventDate 
+                    ? `${eventConfig.venue} on ${new Date(eventConfig.eventDate).toLocaleDateString()}` 
+                    : "Event details are missing. Configure in 'Event Setup' tab."}
+                </p>
+            </div>
         
-        <div className="flex justify-between items-center mb-4">
-            <h3 className="text-xl font-bold text-gray-800">
-                Saved Records ({storedRecords.length})
-            </h3>
-            <button
-                onClick={handleClearAll}
-                disabled={!isDBReady || storedRecords.length === 0}
-                className={`text-xs px-3 py-1 rounded-full font-medium transition duration-150 ease-in-out ${
-                    confirmClear 
-                        ? 'bg-red-600 text-white hover:bg-red-700 shadow-lg' 
-                        : 'bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white'
-                } disabled:opacity-50`}
-            >
-                {confirmClear ? 'CONFIRM DELETE ALL' : 'Clear All Records'}
-            </button>
-        </div>
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-800">
+                    Saved Records ({loadedCountLabel})
+                </h3>
+                <div className="flex gap-2">
+                    <a
+                        href="/display"
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out"
+                    >
+                        Open Live Display
+                    </a>
+                    <button
+                        onClick={() => handleExport('csv')}
+                        disabled={!isDBReady || storedRecords.length === 0}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out disabled:opacity-50"
+                    >
+                        Export CSV
+                    </button>
+                    <button
+                        onClick={() => handleExport('xlsx')}
+                        disabled={!isDBReady || storedRecords.length === 0}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out disabled:opacity-50"
+                    >
+                        Export Excel
+                    </button>
+                    <button
+                        onClick={() => handleExport('pdf')}
+                        disabled={!isDBReady || storedRecords.length === 0}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out disabled:opacity-50"
+                    >
+                        Generate PDF
+                    </button>
+                    <button
+                        onClick={handleClearAll}
+                        disabled={!isDBReady || storedRecords.length === 0}
+                        className={`text-xs px-3 py-1 rounded-full font-medium transition duration-150 ease-in-out ${
+                            confirmClear 
+                                ? 'bg-red-600 text-white hover:bg-red-700 shadow-lg' 
+                                : 'bg-gray-200 text-gray-700 hover:bg-red-500 hover:text-white'
+                        } disabled:opacity-50`}
+                    >
+                        {confirmClear ? 'CONFIRM CLEAR ALL' : 'Clear All Records'}
+                    </button>
+                </div>
+            </div>
         
-        <div className="max-h-[70vh] overflow-y-auto space-y-3 p-3 bg-gray-50 rounded-lg border">
-            {isDBReady && storedRecords.length > 0 ? (
-                storedRecords.map((item) => {
-                    const isPendingDelete = item.id === confirmDeleteId;
+            {hasMoreRecords && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg border text-sm text-gray-700 flex flex-wrap justify-between items-center gap-2">
+                    <span>Older records load as you scroll. The roster check, duplicates and certificates appear once every record is loaded.</span>
+                    <button
+                        type="button"
+                        onClick={handleLoadAllRecords}
+                        className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition duration-150 ease-in-out"
+                    >
+                        Load All Records
+                    </button>
+                </div>
+            )}
+
+            {!hasMoreRecords && eventConfig.roster?.length > 0 && <RosterSummary attendance={rosterAttendance} />}
+
+            {!hasMoreRecords && duplicateGroups.length > 0 && (
+                <DuplicatesReport
+                    groups={duplicateGroups}
+                    handleMergeDuplicates={handleMergeDuplicates}
+                    confirmMergeKey={confirmMergeKey}
+                    handleDelete={handleDelete}
+                    confirmDeleteId={confirmDeleteId}
+                />
+            )}
+
+            {storedRecords.length > 0 && (
+                <>
+                    <RecordsToolbar
+                        query={recordQuery}
+                        handleQueryChange={handleRecordQueryChange}
+                        fields={formFields}
+                        sessions={sessions}
+                        viewMode={recordViewMode}
+                        handleViewModeChange={handleRecordViewModeChange}
+                    />
+                    <p className="text-sm text-gray-500 mb-2">
+                        Showing {visibleRecords.length} of {loadedCountLabel} records
+                    </p>
+                </>
+            )}
+
+            <div ref={listContainerRef} className="max-h-[70vh] overflow-y-auto space-y-3 p-3 bg-gray-50 rounded-lg border">
+                {isDBReady && storedRecords.length > 0 && recordViewMode === 'matrix' && sessions.length > 0 ? (
+                    <AttendanceMatrix
+                        records={storedRecords}
+                        sessions={sessions}
+                        handleExportMatrix={handleExportMatrix}
+                    />
+                ) : isDBReady && storedRecords.length > 0 && visibleRecords.length === 0 ? (
+                    <p className="text-gray-500 italic p-3 text-center">No records match the current search and filters.</p>
+                ) : isDBReady && storedRecords.length > 0 && recordViewMode === 'table' ? (
+                    <RecordsTable
+                        records={visibleRecords}
+                        fields={formFields}
+                        handleDelete={handleDelete}
+                        confirmDeleteId={confirmDeleteId}
+                    />
+                ) : isDBReady && storedRecords.length > 0 ? (
+                    <VirtualList
+                        items={visibleRecords}
+                        getKey={record => record.id}
+                        scrollContainerRef={listContainerRef}
+                        onEndReached={hasMoreRecords ? handleLoadMoreRecords : undefined}
+                        renderItem={(item) => {
+                            const isPendingDelete = item.id === confirmDeleteId;
                     
-                    // Format the timestamp for display
-                    const timestampString = item.timestamp 
-                        ? new Date(item.timestamp).toLocaleString() 
-                        : 'N/A (Timestamp missing)';
+                            // Format the timestamp for display
+                            const timestampString = item.timestamp 
+                                ? new Date(item.timestamp).toLocaleString() 
+                                : 'N/A (Timestamp missing)';
+                            const session = sessions.find(candidate => candidate.id === item.sessionId);
                         
-                    return (
-                        <div key={item.id} className="p-4 bg-white border border-indigo-200 rounded-xl shadow-sm hover:shadow-md transition duration-150 relative">
-                            <div className="flex justify-between items-start pr-10">
-                                <div className="flex flex-col">
-                                    <span className="text-lg font-bold text-indigo-600">{item.completeName || "Missing Name"}</span>
-                                    <span className="text-sm text-gray-600 italic">{item.designation || "N/A"} in {item.division || "N/A"}</span>
-                                    {/* Display Timestamp */}
-                                    <span className="text-xs text-gray-400 mt-1 font-mono">
-                                        Signed: {timestampString}
-                                    </span>
-                                </div>
-                                <span className="text-xs font-semibold px-2 py-1 bg-gray-200 text-gray-700 rounded-full">
-                                    {item.sex || "N/A"}
-                                </span>
-                            </div>
-                            <div className="mt-3">
-                                <p className="text-sm font-medium text-gray-700 mb-1">Special Status:</p>
-                                {getStatusBadges(item.status)}
-                            </div>
+                            return (
+                                <div className="p-4 bg-white border border-indigo-200 rounded-xl shadow-sm hover:shadow-md transition duration-150 relative">
+                                    <div className="flex justify-between items-start pr-10">
+                                        <div className="flex flex-col">
+                                            <span className="text-lg font-bold text-indigo-600">{item.completeName || "Missing Name"}</span>
+                                            {/* Display Timestamp */}
+                                            <span className="text-xs text-gray-400 mt-1 font-mono">
+                                                Signed: {timestampString}
+                                            </span>
+                                            {session && (
+                                                <span className="text-xs mt-0.5 text-indigo-700">
+                                                    Session: {formatSessionLabel(session)}
+                                                </span>
+                                            )}
+                                            <span className={`text-xs mt-0.5 ${item.syncedAt && !item.pendingSync ? 'text-green-600' : 'text-gray-400 italic'}`}>
+                                                {getSyncLabel(item)}
+                                            </span>
+                                            <span className="text-xs mt-0.5 text-gray-500">
+                                                {getConsentSummary(item.consent)}
+                                            </span>
+                                        </div>
+                                    </div>
+                                    {/* Event-specific fields, or the inline editor */}
+                                    {item.id === editingRecordId ? (
+                                        <RecordEditor
+                                            record={item}
+                                            fields={formFields}
+                                            handleSaveEdit={handleSaveEdit}
+                                            handleCancel={() => handleEditRecord(null)}
+                                        />
+                                    ) : (
+                                        <div className="mt-3 space-y-1">
+                                            {formFields.filter(field => field.key !== 'completeName').map(field => (
+                                                field.type === 'checkbox' ? (
+                                                    <div key={field.key}>
+                                                        <p className="text-sm font-medium text-gray-700">{field.label}:</p>
+                                                        {getOptionBadges(field, item[field.key])}
+                                                    </div>
+                                                ) : (
+                                                    <p key={field.key} className="text-sm text-gray-600">
+                                                        <span className="font-medium text-gray-700">{field.label}:</span> {formatFieldValue(field, item[field.key]) || "N/A"}
+                                                    </p>
+                                                )
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {item.revisions?.length > 0 && <RevisionHistory revisions={item.revisions} />}
                             
-                            {/* Signature Display */}
-                            {item.signature && (
-                                <div className="mt-3 pt-3 border-t border-gray-100">
-                                    <p className="text-sm font-medium text-gray-700 mb-1">Digital Signature:</p>
-                                    <img 
-                                        src={item.signature} 
-                                        alt={`Signature for ${item.completeName}`}
-                                        className="w-full max-w-xs h-auto border border-gray-300 rounded-md bg-gray-50"
-                                    />
-                                    <p className="text-xs text-gray-500 mt-1">Stored as Data URL (PNG format).</p>
+                                    {/* Signature Display, loaded once the card is on screen */}
+                                    {!item.consent?.withdrawnAt && <SignatureImage record={item} />}
+
+                                    {/* Edit and Consent Withdrawal (with Confirmation) */}
+                                    {!item.consent?.withdrawnAt && item.id !== editingRecordId && (
+                                        <div className="mt-3 flex justify-end gap-2">
+                                            <button
+                                                type="button"
+                                                onClick={() => handleEditRecord(item.id)}
+                                                className="text-xs px-3 py-1 rounded-full font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition"
+                                            >
+                                                Edit
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleWithdrawConsent(item.id)}
+                                                className={`text-xs px-3 py-1 rounded-full font-medium transition ${
+                                                    item.id === confirmWithdrawId
+                                                        ? 'bg-red-600 text-white hover:bg-red-700'
+                                                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                                                }`}
+                                            >
+                                                {item.id === confirmWithdrawId ? 'CONFIRM WITHDRAWAL' : 'Withdraw consent'}
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    {/* Individual Delete Button with Confirmation */}
+                                    <button
+                                        onClick={() => handleDelete(item.id)}
+                                        className={`absolute top-2 right-2 p-1 rounded-full transition ${
+                                            isPendingDelete 
+                                                ? 'bg-red-600 text-white hover:bg-red-700' 
+                                                : 'text-red-500 hover:text-red-700 bg-red-100 hover:bg-red-200'
+                                        }`}
+                                        aria-label={isPendingDelete ? `Confirm deletion for ${item.completeName}` : `Delete record for ${item.completeName}`}
+                                    >
+                                        {isPendingDelete ? (
+                                            // Alert/Warning Icon for confirmation pending
+                                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-alert-triangle"><path d="m21.73 18-8-14a2 2 0 0 0-3.46 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/><path d="M12 9v4"/><path d="M12 17h.01"/></svg>
+                                        ) : (
+                                            // Trash Icon
+                                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-trash-2"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>
+                                        )}
+                                    </button>
                                 </div>
-                            )}
+                            );
+                        }}
+                    />
+                ) : isDBReady ? (
+                    <p className="text-gray-500 italic p-3 text-center">No records saved yet. Start inputting data!</p>
+                ) : (
+                    <p className="text-red-500 italic p-3 text-center">Cannot display data. IndexedDB error.</p>
+                )}
+            </div>
 
-                            {/* Individual Delete Button with Confirmation */}
-                            <button
-                                onClick={() => handleDelete(item.id)}
-                                className={`absolute top-2 right-2 p-1 rounded-full transition ${
-                                    isPendingDelete 
-                                        ? 'bg-red-600 text-white hover:bg-red-700' 
-                                        : 'text-red-500 hover:text-red-700 bg-red-100 hover:bg-red-200'
-                                }`}
-                                aria-label={isPendingDelete ? `Confirm deletion for ${item.completeName}` : `Delete record for ${item.completeName}`}
-                            >
-                                {isPendingDelete ? (
-                                    // Alert/Warning Icon for confirmation pending
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-alert-triangle"><path d="m21.73 18-8-14a2 2 0 0 0-3.46 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/><path d="M12 9v4"/><path d="M12 17h.01"/></svg>
-                                ) : (
-                                    // Trash Icon
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-trash-2"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>
-                                )}
-                            </button>
-                        </div>
-                    );
-                })
-            ) : isDBReady ? (
-                <p className="text-gray-500 italic p-3 text-center">No records saved yet. Start inputting data!</p>
-            ) : (
-                <p className="text-red-500 italic p-3 text-center">Cannot display data. IndexedDB error.</p>
+            <TrashPanel
+                records={trashedRecords}
+                retentionDays={trashRetentionDays}
+                handleRetentionChange={handleTrashRetentionChange}
+                handleRestore={handleRestoreRecords}
+                handlePurge={handlePurgeRecord}
+                confirmPurgeId={confirmPurgeId}
+                handleEmptyTrash={handleEmptyTrash}
+                confirmEmptyTrash={confirmEmptyTrash}
+            />
+
+            {!hasMoreRecords && storedRecords.length > 0 && (
+                <CertificatesPanel
+                    template={certificateTemplate}
+                    recipients={certificateRecipients}
+                    hasSessions={sessions.length > 0}
+                    eventConfig={eventConfig}
+                    handleTemplateChange={handleCertificateTemplateChange}
+                    handleBackgroundFileChange={handleCertificateBackgroundChange}
+                    handleGenerateCertificates={handleGenerateCertificates}
+                />
+            )}
+
+            {/* Consent Audit Log */}
+            {eventConfig.consentLog?.length > 0 && (
+                <details className="mt-4 p-3 bg-gray-50 rounded-lg border text-sm text-gray-700">
+                    <summary className="cursor-pointer font-medium">Consent log ({eventConfig.consentLog.length})</summary>
+                    <ul className="mt-2 space-y-1 font-mono text-xs">
+                        {eventConfig.consentLog.map(entry => (
+                            <li key={`${entry.recordUid}-${entry.at}`}>
+                                {new Date(entry.at).toLocaleString()}: consent withdrawn for the record signed {new Date(entry.signedAt).toLocaleString()} (notice {entry.noticeHash || 'unknown'})
+                            </li>
+                        ))}
+                    </ul>
+                </details>
             )}
         </div>
-    </div>
-);
+    );
+};
 
 
 // --- Main App Component ---
 
-const initialFormData = {
-    completeName: '',
-    sex: 'M', 
-    designation: '',
-    division: '',
-    status: {
-        pwd: false,
-        senior: false,
-        osy: false,
-    },
-    signature: null, 
-};
-
 const initialEventConfig = {
     activityName: '',
     venue: '',
     eventDate: new Date().toISOString().split('T')[0], // Default to today's date
 };
 
+const compareNewestDeletedFirst = (a, b) => b.deletedAt - a.deletedAt;
+
+/**
+ * Reads an event's records, newest first, from the `after` page position on:
+ * one page (more if it only held trashed records), or every page left with
+ * `untilEnd`. Live and trashed records are split while reading, so nothing
+ * read is copied again. Resolves with null as soon as `isStale()` says the
+ * result is no longer wanted.
+ */
+const readRecordPages = async (eventId, after, { untilEnd = false, isStale = () => false } = {}) => {
+  const records = [];
+  const trashed = [];
+  let next = after;
+  do {
+    const page = await getRecordsPage(eventId, next);
+    // Encrypted records only show up once the passphrase has been entered
+    (await getReadableRecords(page.records)).forEach(record => (record.deletedAt ? trashed : records).push(record));
+    next = page.next;
+    if (isStale()) return null;
+  } while (next && (untilEnd || records.length === 0));
+  return { records, trashed: trashed.sort(compareNewestDeletedFirst), next };
+};
+
+/**
+ * Adds a page to a loaded list. Records refreshRecords patched in before their
+ * page was read are already there and are not added twice.
+ */
+const appendRecordPage = (list, records) => {
+  const loadedIds = new Set(list.map(record => record.id));
+  return list.concat(records.filter(record => !loadedIds.has(record.id)));
+};
+
+/**
+ * Returns the fields for a new, empty event dated today.
+ */
+const createBlankEvent = () => ({
+    ...initialEventConfig,
+    eventDate: new Date().toISOString().split('T')[0],
+});
+
 const App = () => {
-  const [formData, setFormData] = useState(initialFormData);
+  const [formData, setFormData] = useState(() => buildInitialFormData(DEFAULT_FORM_FIELDS));
   const [storedRecords, setStoredRecords] = useState([]);
-  const [eventConfig, setEventConfig] = useState(initialEventConfig); // New state for config
+  const [hasMoreRecords, setHasMoreRecords] = useState(false); // Older pages of the active event not read yet
+  const [events, setEvents] = useState([]);
+  const [activeEventId, setActiveEventId] = useState(null);
   const [message, setMessage] = useState('');
   const [isDBReady, setIsDBReady] = useState(false);
   const [confirmClear, setConfirmClear] = useState(false);
   const [confirmDeleteId, setConfirmDeleteId] = useState(null); // State for individual delete confirmation
+  const [confirmDeleteEventId, setConfirmDeleteEventId] = useState(null); // State for event delete confirmation
+  const [pendingBackup, setPendingBackup] = useState(null); // Parsed backup file waiting for merge/replace
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  const [isOnline, setIsOnline] = useState(true);
+  const [waitingRegistration, setWaitingRegistration] = useState(null); // Service worker with a new version ready
+  const [kioskLock, setKioskLock] = useState(null); // Hashed organiser PIN, set while the device is locked to the Entry Form
+  const [thankYouName, setThankYouName] = useState(null); // Name shown on the kiosk confirmation screen
+  const [showKioskExit, setShowKioskExit] = useState(false);
+  const [encryptionStatus, setEncryptionStatus] = useState({ supported: false, enabled: false, unlocked: false });
+  const [consent, setConsent] = useState(INITIAL_CONSENT);
+  const [confirmWithdrawId, setConfirmWithdrawId] = useState(null); // State for consent withdrawal confirmation
+  const [recordQuery, setRecordQuery] = useState(INITIAL_RECORD_QUERY); // Search, filters and sort of the records list
+  const [recordViewMode, setRecordViewMode] = useState('cards'); // 'cards', 'table' or 'matrix'
+  const [duplicateMatches, setDuplicateMatches] = useState(null); // Earlier sign-ins that look like the current attendee
+  const [confirmMergeKey, setConfirmMergeKey] = useState(null); // State for duplicate merge confirmation
+  const [editingRecordId, setEditingRecordId] = useState(null); // Record whose card shows the inline editor
+  const [trashedRecords, setTrashedRecords] = useState([]); // Deleted records of the active event, kept until purged
+  const [undoAction, setUndoAction] = useState(null); // { label, ids } of the last move to the Trash
+  const [trashRetentionDays, setTrashRetentionDays] = useState(0);
+  const [confirmPurgeId, setConfirmPurgeId] = useState(null); // State for permanent delete confirmation
+  const [confirmEmptyTrash, setConfirmEmptyTrash] = useState(false);
+  const [rosterEntryId, setRosterEntryId] = useState(null); // Roster entry the attendee picked on the Entry Form
+  const [isScanning, setIsScanning] = useState(false); // Camera scanner for QR badges is open
+  const [sessionOverrideId, setSessionOverrideId] = useState(null); // Session picked by hand instead of by the clock
+  const [now, setNow] = useState(() => new Date()); // Refreshed every minute so the current session follows the clock
+  const [storageUsage, setStorageUsage] = useState(null); // { usage, quota, persisted } from the Storage API
+  const [syncStatus, setSyncStatus] = useState({ hasToken: false, error: null });
   // State for routing: 'setup', 'form', or 'records'
   const [currentPage, setCurrentPage] = useState('setup'); 
   
   const canvasRef = useRef(null);
-  const isDrawingRef = useRef(false);
-  const [signatureCaptured, setSignatureCaptured] = useState(false); 
+  const hasLoadedEventsRef = useRef(false);
+  const recordsLoadRef = useRef(0); // Bumped by every full load so a stale one stops early
+  const recordsCursorRef = useRef(null); // Page position to read the next records from, null once all are read
+  const isLoadingMoreRef = useRef(false);
+  const [signatureStrokes, setSignatureStrokes] = useState([]); // Strokes of the signature being drawn
+  const [signatureIssues, setSignatureIssues] = useState(null); // Why the signature looks incomplete, until it is redrawn or kept
+
+  // The active event's details drive every header in the app
+  const eventConfig = events.find(event => event.id === activeEventId) || initialEventConfig;
+  // Derived from the event and the records only when those change, not on every keystroke
+  const formFields = useMemo(() => getFormFields(eventConfig), [eventConfig]);
+  // Read by the form reset below, which runs for a new event but not for every edit of this one
+  const formFieldsRef = useRef(formFields);
+  formFieldsRef.current = formFields;
+  const isKiosk = kioskLock !== null;
+  const isLocked = encryptionStatus.enabled && !encryptionStatus.unlocked;
+  const roster = useMemo(() => eventConfig.roster || [], [eventConfig]);
+  const rosterAttendance = useMemo(() => matchRosterAttendance(roster, storedRecords), [roster, storedRecords]);
+  const selectedRosterEntry = roster.find(entry => entry.id === rosterEntryId) || null;
+  const sessions = useMemo(() => getSessions(eventConfig), [eventConfig]);
+  const currentSession = findCurrentSession(sessions, now);
+  const activeSession = sessions.find(session => session.id === sessionOverrideId) || currentSession;
+  const certificateTemplate = useMemo(() => getCertificateTemplate(eventConfig), [eventConfig]);
+  const certificateRecipients = useMemo(
+    () => getCertificateRecipients(storedRecords, eventConfig, certificateTemplate),
+    [storedRecords, eventConfig, certificateTemplate]
+  );
+  // The Entry Form (duplicate check, roster check-ins), the statistics and a
+  // searched, sorted, table or matrix list need every record, not only the pages scrolled to
+  const needsAllRecords = currentPage === 'form' || currentPage === 'statistics'
+    || (currentPage === 'records' && (!isDefaultQuery(recordQuery) || recordViewMode !== 'cards'));
 
   /**
-   * Fetches the current list of records from IndexedDB.
+   * Loads the first page of the active event's records from IndexedDB, newest
+   * first. Older pages follow as the records list is scrolled (loadMoreRecords)
+   * or all at once where the whole event is needed (readAllRecords).
+   * Only needed when the event or the lock changes; writes use refreshRecords.
    */
   const fetchRecords = useCallback(async () => {
+    if (activeEventId === null) return;
+    const load = ++recordsLoadRef.current;
     try {
-      const records = await getAllRecords();
-      setStoredRecords(records);
+      // Another event was selected (or the list reloaded) meanwhile
+      const result = await readRecordPages(activeEventId, null, { isStale: () => load !== recordsLoadRef.current });
+      if (!result) return;
+      recordsCursorRef.current = result.next;
+      setHasMoreRecords(result.next !== null);
+      setStoredRecords(result.records);
+      setTrashedRecords(result.trashed);
       setIsDBReady(true);
       // Only clear non-error/non-confirmation messages on fetch success
-      if (!message.includes('success') && !message.includes('confirm') && !message.includes('SURE')) {
-          setMessage('');
-      }
+      setMessage(current => (
+        current.includes('success') || current.includes('confirm') || current.includes('SURE') ? current : ''
+      ));
     } catch (error) {
-      setMessage(IDB_ERROR_MESSAGE);
+      setMessage(error.message || IDB_ERROR_MESSAGE);
       setIsDBReady(false);
     }
-  }, [message]);
-  
+  }, [activeEventId, encryptionStatus.unlocked]);
+
+  // Latest fetchRecords, for the one-off Trash purge on load
+  const fetchRecordsRef = useRef(fetchRecords);
+  fetchRecordsRef.current = fetchRecords;
+
   /**
-   * Loads event configuration from localStorage on mount.
+   * Appends the next page of records; the records list asks for it as it is
+   * scrolled near the end.
    */
-  useEffect(() => {
-    const savedConfig = localStorage.getItem(EVENT_CONFIG_KEY);
-    if (savedConfig) {
-        try {
-            setEventConfig(JSON.parse(savedConfig));
-        } catch (e) {
-            console.error("Failed to parse event config from localStorage:", e);
-        }
-    } else {
-        // If nothing is saved, ensure the default date is a clean ISO string
-        setEventConfig(prev => ({ 
-            ...prev, 
-            eventDate: new Date().toISOString().split('T')[0] 
-        }));
+  const loadMoreRecords = useCallback(async () => {
+    const after = recordsCursorRef.current;
+    if (after === null || isLoadingMoreRef.current) return;
+    const load = recordsLoadRef.current;
+    isLoadingMoreRef.current = true;
+    try {
+      const result = await readRecordPages(activeEventId, after, { isStale: () => load !== recordsLoadRef.current });
+      if (!result) return;
+      recordsCursorRef.current = result.next;
+      setHasMoreRecords(result.next !== null);
+      setStoredRecords(prev => appendRecordPage(prev, result.records));
+      setTrashedRecords(prev => appendRecordPage(prev, result.trashed).sort(compareNewestDeletedFirst));
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+    } finally {
+      isLoadingMoreRef.current = false;
     }
-    fetchRecords();
-  }, [fetchRecords]);
+  }, [activeEventId]);
 
+  /**
+   * Reads every record of the active event in one go and shows them all.
+   * Resolves with the records and the Trash, even when a newer load has
+   * replaced them on screen meanwhile.
+   */
+  const readAllRecords = useCallback(async () => {
+    const load = ++recordsLoadRef.current;
+    const { records, trashed } = await readRecordPages(activeEventId, null, { untilEnd: true });
+    if (load === recordsLoadRef.current) {
+      recordsCursorRef.current = null;
+      setHasMoreRecords(false);
+      setStoredRecords(records);
+      setTrashedRecords(trashed);
+    }
+    return { records, trashedRecords: trashed };
+  }, [activeEventId, encryptionStatus.unlocked]);
 
-  // Timer to clear the bulk confirmation state
   useEffect(() => {
-    if (confirmClear) {
-      const timer = setTimeout(() => setConfirmClear(false), 5000);
-      return () => clearTimeout(timer);
+    if (needsAllRecords && hasMoreRecords) {
+        readAllRecords().catch(error => setMessage(error.message || IDB_ERROR_MESSAGE));
+    }
+  }, [needsAllRecords, hasMoreRecords, readAllRecords]);
+
+  const handleLoadAllRecords = () => {
+    readAllRecords().catch(error => setMessage(error.message || IDB_ERROR_MESSAGE));
+  };
+
+  /**
+   * Every record of the active event, for actions that must not miss the
+   * pages not read yet (exports, Clear All, the duplicate check).
+   */
+  const getAllRecords = async () => (
+    hasMoreRecords ? readAllRecords() : { records: storedRecords, trashedRecords }
+  );
+
+  /**
+   * Re-reads only the given records after a write and patches them into the
+   * records and Trash lists. IDs no longer stored drop out of both.
+   */
+  const refreshRecords = useCallback(async (ids) => {
+    try {
+      const fresh = (await getReadableRecords(await getRecordsByIds(ids)))
+        .filter(record => record.eventId === activeEventId);
+      setStoredRecords(prev => patchRecordList(prev, ids, fresh.filter(record => !record.deletedAt)));
+      setTrashedRecords(prev => patchRecordList(
+        prev, ids, fresh.filter(record => record.deletedAt), (a, b) => b.deletedAt - a.deletedAt
+      ));
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
+  }, [activeEventId]);
+
+  /**
+   * Makes an event the active one and remembers the choice on this device.
+   */
+  const selectEvent = useCallback((id) => {
+    setActiveEventId(id);
+    localStorage.setItem(ACTIVE_EVENT_KEY, String(id));
+    setConfirmClear(false);
+    setConfirmDeleteId(null);
+  }, []);
+
+  /**
+   * Loads the events from IndexedDB and restores the active event,
+   * creating a blank event when none is available.
+   */
+  const loadEvents = useCallback(async () => {
+    try {
+      let allEvents = await getAllEvents();
+      const savedId = Number(localStorage.getItem(ACTIVE_EVENT_KEY));
+      let activeEvent = allEvents.find(event => event.id === savedId && !event.archived)
+          || allEvents.find(event => !event.archived);
+      if (!activeEvent) {
+          activeEvent = await addEvent(createBlankEvent());
+          allEvents = [...allEvents, activeEvent];
+      }
+      setEvents(allEvents);
+      selectEvent(activeEvent.id);
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+      setIsDBReady(false);
+    }
+  }, [selectEvent]);
+
+  /**
+   * Re-reads the events after another tab changed them. The active event is
+   * kept unless it was deleted or archived there; this tab never creates one,
+   * as the tab that removed the last event already has.
+   */
+  const reloadEvents = useCallback(async () => {
+    try {
+      const allEvents = await getAllEvents();
+      setEvents(allEvents);
+      const fallbackEvent = allEvents.find(event => !event.archived);
+      if (!allEvents.some(event => event.id === activeEventId && !event.archived) && fallbackEvent) {
+          selectEvent(fallbackEvent.id);
+      }
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
+  }, [activeEventId, selectEvent]);
+
+  useEffect(() => {
+    // Strict mode runs effects twice; never create the default event twice
+    if (hasLoadedEventsRef.current) return;
+    hasLoadedEventsRef.current = true;
+    loadEvents();
+  }, [loadEvents]);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [fetchRecords]);
+
+  // Another tab opened a newer version of the app; this one has to be reloaded
+  useEffect(() => onDatabaseOutdated(() => {
+    setMessage(DB_OUTDATED_MESSAGE);
+    setIsDBReady(false);
+  }), []);
+
+  const refreshEncryptionStatus = useCallback(async () => {
+    try {
+      setEncryptionStatus(await getEncryptionStatus());
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshEncryptionStatus();
+  }, [refreshEncryptionStatus]);
+
+  // Apply the Trash retention setting once per app load. The purge can end
+  // after another event was opened, so it reloads whichever one is active then
+  useEffect(() => {
+    const loadTrashSettings = async () => {
+      try {
+        setTrashRetentionDays(await loadTrashRetentionDays());
+        if (await purgeExpiredTrash() > 0) fetchRecordsRef.current();
+      } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
+      }
+    };
+    loadTrashSettings();
+  }, []);
+
+  // Follow writes made in the app's other open tabs (a second screen, the kiosk)
+  useEffect(() => subscribeToChanges(async (change) => {
+    if (change.type === CHANGE_TYPES.RECORDS) {
+      if (change.ids) refreshRecords(change.ids);
+      else fetchRecords();
+    } else if (change.type === CHANGE_TYPES.EVENTS) {
+      reloadEvents();
+    } else if (change.type === CHANGE_TYPES.SETTINGS) {
+      refreshEncryptionStatus();
+      loadSyncToken()
+        .then(token => setSyncStatus(prev => ({ ...prev, hasToken: Boolean(token) })))
+        .catch(error => console.warn("Could not read the sync token:", error));
+      try {
+        setTrashRetentionDays(await loadTrashRetentionDays());
+      } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
+      }
+    }
+  }), [refreshRecords, fetchRecords, reloadEvents, refreshEncryptionStatus]);
+
+  // Start from a blank form whenever another event (with its own fields) becomes active
+  useEffect(() => {
+    setFormData(buildInitialFormData(formFieldsRef.current));
+    setRosterEntryId(null);
+    setSessionOverrideId(null);
+  }, [activeEventId]);
+
+  // Move on to the next session without a reload while the event has sessions
+  useEffect(() => {
+    if (sessions.length === 0) return;
+    const interval = setInterval(() => setNow(new Date()), SESSION_CLOCK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [sessions.length]);
+
+
+  /**
+   * Pushes unsynced records to the server and marks them synced in the current lists.
+   */
+  const runBackgroundSync = useCallback(async () => {
+    try {
+      const result = await syncPendingRecords();
+      if (!result) return;
+      setSyncStatus(prev => (prev.error === result.error ? prev : { ...prev, error: result.error }));
+      if (result.syncedIds.length === 0) return;
+      const syncedIds = new Set(result.syncedIds);
+      const markSynced = (record) => {
+          if (!syncedIds.has(record.id)) return record;
+          const { pendingSync, ...syncedRecord } = record;
+          return { ...syncedRecord, syncedAt: result.syncedAt };
+      };
+      setStoredRecords(prev => prev.map(markSynced));
+      setTrashedRecords(prev => prev.map(markSynced));
+    } catch (error) {
+      console.warn("Background sync failed:", error);
+    }
+  }, []);
+
+  // Background sync: on load, periodically, and whenever the device comes back online
+  useEffect(() => {
+    loadSyncToken()
+      .then(token => setSyncStatus(prev => ({ ...prev, hasToken: Boolean(token) })))
+      .catch(error => console.warn("Could not read the sync token:", error));
+    runBackgroundSync();
+    const interval = setInterval(runBackgroundSync, SYNC_INTERVAL_MS);
+    window.addEventListener('online', runBackgroundSync);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', runBackgroundSync);
+    };
+  }, [runBackgroundSync]);
+
+  // Offline support: register the service worker and track connectivity
+  useEffect(() => {
+    registerServiceWorker(setWaitingRegistration)
+      .catch(error => console.warn("Service worker registration failed:", error));
+
+    const updateOnlineStatus = () => setIsOnline(navigator.onLine);
+    updateOnlineStatus();
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+    return () => {
+      window.removeEventListener('online', updateOnlineStatus);
+      window.removeEventListener('offline', updateOnlineStatus);
+    };
+  }, []);
+
+  const refreshStorageUsage = useCallback(() => {
+    getStorageUsage()
+      .then(setStorageUsage)
+      .catch(error => console.warn("Storage estimate failed:", error));
+  }, []);
+
+  // Ask once per load for storage the browser will not evict; signatures are hard to collect again
+  useEffect(() => {
+    requestPersistentStorage()
+      .catch(error => console.warn("Persistent storage request failed:", error))
+      .finally(refreshStorageUsage);
+  }, [refreshStorageUsage]);
+
+  // The readout lives in Event Setup; refresh it whenever that page is opened
+  useEffect(() => {
+    if (currentPage === 'setup') refreshStorageUsage();
+  }, [currentPage, refreshStorageUsage]);
+
+  // Restore kiosk mode after a reload so a refresh cannot unlock the device
+  useEffect(() => {
+    const savedLock = loadKioskLock();
+    if (savedLock === null) return;
+    setKioskLock(savedLock);
+    setCurrentPage('form');
+    // Hash a PIN that was saved in plain text by an older version
+    if (typeof savedLock.pin === 'string') {
+        createKioskLock(savedLock.pin)
+          .then((lock) => {
+              saveKioskLock(lock);
+              setKioskLock(lock);
+          })
+          .catch(error => console.warn("Could not hash the saved kiosk PIN:", error));
+    }
+  }, []);
+
+  // In kiosk mode, ask before leaving the page and swallow the browser's back button
+  useEffect(() => {
+    if (!isKiosk) return;
+    const handleBeforeUnload = (e) => {
+        e.preventDefault();
+        e.returnValue = '';
+    };
+    const handlePopState = () => {
+        window.history.pushState(null, '', window.location.href);
+    };
+    window.history.pushState(null, '', window.location.href);
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+        window.removeEventListener('beforeunload', handleBeforeUnload);
+        window.removeEventListener('popstate', handlePopState);
+    };
+  }, [isKiosk]);
+
+  // Timer to clear the bulk confirmation state
+  useEffect(() => {
+    if (confirmClear) {
+      const timer = setTimeout(() => setConfirmClear(false), 5000);
+      return () => clearTimeout(timer);
     }
   }, [confirmClear]);
 
+  // Timer to clear the event delete confirmation state
+  useEffect(() => {
+    if (confirmDeleteEventId !== null) {
+      const timer = setTimeout(() => setConfirmDeleteEventId(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmDeleteEventId]);
+
+  // Timer to clear the restore-replace confirmation state
+  useEffect(() => {
+    if (confirmReplace) {
+      const timer = setTimeout(() => setConfirmReplace(false), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmReplace]);
+
   // Timer to clear the individual confirmation state
   useEffect(() => {
     if (confirmDeleteId !== null) {
@@ -648,305 +1489,1019 @@ const App = () => {
         if (message.includes('Click the trash icon again')) {
             setMessage('');
         }
-      }, 5000);
-      return () => clearTimeout(timer);
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmDeleteId, message]);
+  
+  // Timer to clear the consent withdrawal confirmation state
+  useEffect(() => {
+    if (confirmWithdrawId !== null) {
+      const timer = setTimeout(() => setConfirmWithdrawId(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmWithdrawId]);
+
+  // Timer to clear the duplicate merge confirmation state
+  useEffect(() => {
+    if (confirmMergeKey !== null) {
+      const timer = setTimeout(() => setConfirmMergeKey(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmMergeKey]);
+
+  // Timer to clear the permanent delete confirmation state
+  useEffect(() => {
+    if (confirmPurgeId !== null) {
+      const timer = setTimeout(() => setConfirmPurgeId(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmPurgeId]);
+
+  // Timer to clear the empty trash confirmation state
+  useEffect(() => {
+    if (confirmEmptyTrash) {
+      const timer = setTimeout(() => setConfirmEmptyTrash(false), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmEmptyTrash]);
+
+  // Timer to clear success message after a few seconds
+  useEffect(() => {
+    if (message.includes('success')) {
+      const timer = setTimeout(() => setMessage(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+
+  // Clear signature function
+  const handleClearSignature = () => {
+      setSignatureStrokes([]);
+      setSignatureIssues(null);
+  };
+
+  /**
+   * Keeps the strokes drawn so far; a redrawn signature is checked again on save.
+   */
+  const handleSignatureStrokesChange = (strokes) => {
+      setSignatureStrokes(strokes);
+      setSignatureIssues(null);
+  };
+
+  /**
+   * General handler for text and radio inputs.
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setDuplicateMatches(null); // Edited answers need a fresh duplicate check
+    setConfirmClear(false); // Reset confirmation on any form interaction
+    setConfirmDeleteId(null); // Reset individual confirmation
+  };
+  
+  /**
+   * Applies changes to the active event and saves them to IndexedDB immediately.
+   */
+  const saveActiveEventChanges = (changes) => {
+    if (activeEventId === null) return;
+    const newConfig = { ...eventConfig, ...changes };
+    setEvents(prev => prev.map(event => event.id === activeEventId ? newConfig : event));
+    updateEvent(newConfig).catch(error => setMessage(error.message || IDB_ERROR_MESSAGE));
+  };
+
+  /**
+   * Handler for event configuration changes.
+   */
+  const handleConfigChange = (e) => {
+    const { name, value } = e.target;
+    saveActiveEventChanges({ [name]: value });
+  };
+
+  /**
+   * Reads a roster file and stores its entries on the active event,
+   * replacing any earlier roster. Participants already on it keep their badge codes.
+   */
+  const handleRosterFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    try {
+        const { entries, kept, columns } = buildRoster(await readRosterRows(file), formFields, eventConfig.roster || []);
+        saveActiveEventChanges({ roster: entries });
+        const keptNote = kept > 0 ? `, ${kept} kept their check-in codes` : '';
+        setMessage(`Roster imported successfully: ${entries.length} expected attendees${keptNote} (columns used: ${columns.join(', ')}).`);
+    } catch (error) {
+        setMessage(error.message || 'Error reading the roster file.');
+    }
+  };
+
+  const handleClearRoster = () => {
+    saveActiveEventChanges({ roster: [] });
+    setRosterEntryId(null);
+  };
+
+  /**
+   * Prefills the form with a roster entry picked by the attendee.
+   */
+  const handleSelectRosterEntry = (entry) => {
+    const { id, token, ...values } = entry;
+    setFormData(prev => ({ ...prev, ...values }));
+    setRosterEntryId(id);
+    setDuplicateMatches(null);
+  };
+
+  /**
+   * Checks in the participant of a scanned or typed badge code and takes the
+   * attendee straight to the signature. Errors are shown by the scanner.
+   */
+  const handleCheckInCode = (text) => {
+    handleSelectRosterEntry(findRosterEntryByCode(eventConfig, text));
+    setIsScanning(false);
+    requestAnimationFrame(() => canvasRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+  };
+
+  /**
+   * Downloads the printable sheet of QR badges for the roster.
+   */
+  const handleDownloadBadges = async () => {
+    try {
+        await exportRosterBadgesToPDF(roster, eventConfig);
+        setMessage(BADGES_SUCCESS_MESSAGE);
+    } catch (error) {
+        console.error("Badge generation failed:", error);
+        setMessage('Error generating QR badges.');
+    }
+  };
+
+  /**
+   * Undoes a roster pick, clearing the details it filled in.
+   */
+  const handleClearRosterEntry = () => {
+    setFormData(buildInitialFormData(formFields));
+    setRosterEntryId(null);
+    setDuplicateMatches(null);
+  };
+
+  /**
+   * Handler for the form builder: stores the new field list on the active event.
+   */
+  const handleFormFieldsChange = (fields) => {
+    saveActiveEventChanges({ formFields: fields });
+  };
+
+  /**
+   * Saves the signature checks edited under Event Setup.
+   */
+  const handleSignatureChecksChange = (checks) => {
+    saveActiveEventChanges({ signatureChecks: checks });
+  };
+
+  /**
+   * Saves the sessions edited under Event Setup.
+   */
+  const handleSessionsChange = (nextSessions) => {
+    saveActiveEventChanges({ sessions: nextSessions });
+  };
+
+  /**
+   * Activates the first non-archived event left, creating a blank one if there is none.
+   */
+  const activateFallbackEvent = async (remainingEvents) => {
+    const fallbackEvent = remainingEvents.find(event => !event.archived);
+    if (fallbackEvent) {
+        selectEvent(fallbackEvent.id);
+        return;
+    }
+    const newEvent = await addEvent(createBlankEvent());
+    setEvents([...remainingEvents, newEvent]);
+    selectEvent(newEvent.id);
+  };
+
+  /**
+   * Creates a new blank event and switches to it.
+   */
+  const handleCreateEvent = async () => {
+    try {
+        const newEvent = await addEvent(createBlankEvent());
+        setEvents(prev => [...prev, newEvent]);
+        selectEvent(newEvent.id);
+        setMessage('New event created successfully. Fill in its details below.');
+    } catch (error) {
+        setMessage(error.message || 'Error creating event.');
+    }
+  };
+
+  /**
+   * Archives or unarchives an event. Archiving the active event switches to another one.
+   */
+  const handleToggleArchiveEvent = async (id) => {
+    const target = events.find(event => event.id === id);
+    if (!target) return;
+    try {
+        const updatedEvent = await updateEvent({ ...target, archived: !target.archived });
+        const updatedEvents = events.map(event => event.id === id ? updatedEvent : event);
+        setEvents(updatedEvents);
+        if (updatedEvent.archived && id === activeEventId) {
+            await activateFallbackEvent(updatedEvents);
+        }
+    } catch (error) {
+        setMessage(error.message || 'Error archiving event.');
+    }
+  };
+
+  /**
+   * Handles event deletion (including its records) with confirmation logic.
+   */
+  const handleDeleteEvent = async (id) => {
+    if (confirmDeleteEventId === id) {
+        // Second click: Perform actual deletion
+        try {
+            await deleteEvent(id);
+            const remainingEvents = events.filter(event => event.id !== id);
+            setEvents(remainingEvents);
+            setConfirmDeleteEventId(null);
+            if (id === activeEventId) {
+                await activateFallbackEvent(remainingEvents);
+            }
+            setMessage('Event and its records deleted successfully.');
+        } catch (error) {
+            setMessage(error.message || 'Error deleting event.');
+        }
+    } else {
+        // First click: Request confirmation
+        const eventName = events.find(event => event.id === id)?.activityName || 'Untitled Activity';
+        setMessage(`ARE YOU SURE? Click Delete again next to "${eventName}" to CONFIRM deleting the event and ALL of its records.`);
+        setConfirmDeleteEventId(id);
+    }
+  };
+
+
+  /**
+   * Handler for checkbox groups: the input name is the field key, its value the option.
+   */
+  const handleCheckboxGroupChange = (e) => {
+    const { name, value, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: {
+        ...prev[name],
+        [value]: checked,
+      }
+    }));
+    setConfirmClear(false); // Reset confirmation on any form interaction
+    setConfirmDeleteId(null); // Reset individual confirmation
+  };
+
+  /**
+   * Saves the filled-in form and signature as a new record.
+   */
+  const saveRecord = async () => {
+    if (!isDBReady) {
+        setMessage('Database not ready. Cannot save.');
+        return;
+    }
+
+    const attendeeName = formData.completeName.trim();
+    try {
+      const newRecord = { 
+          ...formData, 
+          consent: buildConsentRecord(consent, getPrivacyNotice(eventConfig)),
+          ...(selectedRosterEntry ? { rosterId: selectedRosterEntry.id } : {}),
+          ...(activeSession ? { sessionId: activeSession.id } : {}),
+      };
+      
+      // The image shows the signature anywhere; the strokes let exports redraw it sharply
+      const signature = { image: await signatureToBlob(signatureStrokes), vector: buildSignatureVector(signatureStrokes) };
+      // Sealed first when encryption is on; addRecord then adds the timestamp and event ID
+      const id = await addRecord(await sealRecordData(newRecord), activeEventId, await sealSignatureData(signature));
+      
+      setFormData(buildInitialFormData(formFields)); // Clear form data
+      setConsent(INITIAL_CONSENT);
+      setRosterEntryId(null);
+      handleClearSignature(); // Clear the canvas after successful save
+      setMessage(IDB_SUCCESS_MESSAGE);
+      refreshRecords([id]);
+      runBackgroundSync(); // Saved locally first; the server copy follows when reachable
+      if (isKiosk) {
+          setThankYouName(attendeeName);
+      }
+      setConfirmClear(false);
+      setConfirmDeleteId(null); // Reset individual confirmation
+    } catch (error) {
+      setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
+  };
+
+  /**
+   * Handles the form submission: validates the answers and the signature,
+   * then saves unless the attendee looks like someone who already signed in.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    const validationError = validateFormData(formFields, formData);
+    if (validationError) {
+      setMessage(validationError);
+      return;
+    }
+
+    if (signatureStrokes.length === 0) {
+        setMessage(`Please provide a signature in section ${formFields.length + 1}.`);
+        return;
+    }
+
+    if (!consent.privacy) {
+        setMessage(CONSENT_REQUIRED_MESSAGE);
+        return;
+    }
+
+    if (sessions.length > 0 && !activeSession) {
+        setMessage(SESSION_REQUIRED_MESSAGE);
+        return;
+    }
+
+    // A single tap already counts as "a signature" above
+    const signatureChecks = getSignatureChecks(eventConfig);
+    const issues = signatureChecks.mode === 'off'
+        ? []
+        : findSignatureIssues(analyseSignature(signatureStrokes), signatureChecks);
+    if (issues.length > 0) {
+        setSignatureIssues(issues);
+        setMessage('');
+        return;
+    }
+
+    await saveUnlessDuplicate();
+  };
+
+  /**
+   * Saves the record unless the attendee looks like someone who already signed in.
+   */
+  const saveUnlessDuplicate = async () => {
+    // Re-signing (e.g. after missing the success message) would inflate the headcount;
+    // signing again for another session is expected
+    let records;
+    try {
+        ({ records } = await getAllRecords());
+    } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
+        return;
+    }
+    const matches = findDuplicateCandidates({ ...formData, sessionId: activeSession?.id }, records);
+    if (matches.length > 0) {
+        setDuplicateMatches(matches);
+        setMessage('');
+        return;
+    }
+
+    await saveRecord();
+  };
+
+  /**
+   * The attendee keeps the signature the checks flagged.
+   */
+  const handleConfirmSignature = async () => {
+    setSignatureIssues(null);
+    await saveUnlessDuplicate();
+  };
+
+  /**
+   * The attendee confirmed they are not the person already signed in.
+   */
+  const handleConfirmDuplicate = async () => {
+    setDuplicateMatches(null);
+    await saveRecord();
+  };
+
+  /**
+   * The attendee had already signed in: discard the form instead of saving it again.
+   */
+  const handleCancelDuplicate = () => {
+    setDuplicateMatches(null);
+    setFormData(buildInitialFormData(formFields));
+    setConsent(INITIAL_CONSENT);
+    setRosterEntryId(null);
+    handleClearSignature();
+    setMessage('Your earlier sign-in was kept successfully. No new record was saved.');
+  };
+
+  /**
+   * Handles the two-click confirmation for merging a group of duplicates
+   * into its earliest record.
+   */
+  const handleMergeDuplicates = async (group) => {
+    if (!isDBReady) return;
+
+    const groupKey = getDuplicateGroupKey(group);
+    if (confirmMergeKey !== groupKey) {
+        setMessage(`Click "CONFIRM MERGE" to confirm: ${group.length - 1} duplicate record(s) of "${group[0].completeName}" will be moved to the Trash.`);
+        setConfirmMergeKey(groupKey);
+        setConfirmDeleteId(null);
+        setConfirmClear(false);
+        return;
+    }
+
+    try {
+        const { merged, removedIds } = mergeDuplicateGroup(group, formFields);
+        await mergeRecords(await sealRecordData(merged), removedIds);
+        setConfirmMergeKey(null);
+        setMessage('');
+        setUndoAction({ label: `Merged ${removedIds.length} duplicate record(s) of "${merged.completeName}".`, ids: removedIds });
+        refreshRecords([merged.id, ...removedIds]);
+    } catch (error) {
+        setMessage(error.message || 'Error merging duplicate records.');
+    }
+  };
+
+  /**
+   * Handles individual record deletion with confirmation logic. The record
+   * goes to the Trash and can be brought back with the undo toast.
+   */
+  const handleDelete = async (id) => {
+    if (!isDBReady) return;
+
+    const recordName = storedRecords.find(r => r.id === id)?.completeName;
+    if (confirmDeleteId === id) {
+        // Second click: Move the record to the Trash
+        try {
+            await trashRecords([id]);
+            setMessage('');
+            setConfirmDeleteId(null);
+            setUndoAction({ label: `"${recordName}" moved to the Trash.`, ids: [id] });
+            refreshRecords([id]);
+        } catch (error) {
+            setMessage(error.message || 'Error deleting record.');
+        }
+    } else {
+        // First click: Request confirmation
+        setMessage(`Click the icon again next to "${recordName}" to confirm moving it to the Trash.`);
+        setConfirmDeleteId(id);
+        setConfirmClear(false); // Clear bulk delete confirmation
+    }
+  };
+
+  /**
+   * Takes records back out of the Trash (undo toast, Restore and Restore All).
+   */
+  const handleRestoreRecords = async (ids) => {
+    try {
+        await restoreRecords(ids);
+        setUndoAction(null);
+        setMessage(TRASH_RESTORE_MESSAGE);
+        refreshRecords(ids);
+    } catch (error) {
+        setMessage(error.message || 'Error restoring records.');
+    }
+  };
+
+  /**
+   * Handles the two-click confirmation for permanently deleting a record from the Trash.
+   */
+  const handlePurgeRecord = async (id) => {
+    if (confirmPurgeId !== id) {
+        const recordName = trashedRecords.find(r => r.id === id)?.completeName;
+        setMessage(`Click "Confirm" to confirm: "${recordName}" will be permanently deleted. This cannot be undone.`);
+        setConfirmPurgeId(id);
+        setConfirmEmptyTrash(false);
+        return;
+    }
+
+    try {
+        await deleteRecord(id);
+        setConfirmPurgeId(null);
+        setMessage(TRASH_PURGE_MESSAGE);
+        refreshRecords([id]);
+    } catch (error) {
+        setMessage(error.message || 'Error deleting record.');
+    }
+  };
+
+  /**
+   * Handles the two-click confirmation for permanently deleting everything in the Trash.
+   */
+  const handleEmptyTrash = async () => {
+    if (!confirmEmptyTrash) {
+        let count;
+        try {
+            count = (await getAllRecords()).trashedRecords.length;
+        } catch (error) {
+            setMessage(error.message || IDB_ERROR_MESSAGE);
+            return;
+        }
+        setMessage(`ARE YOU SURE? Click "CONFIRM EMPTY TRASH" to permanently delete ${count} record(s). This cannot be undone.`);
+        setConfirmEmptyTrash(true);
+        setConfirmPurgeId(null);
+        return;
     }
-  }, [confirmDeleteId, message]);
-  
-  // Timer to clear success message after a few seconds
-  useEffect(() => {
-    if (message.includes('success')) {
-      const timer = setTimeout(() => setMessage(''), 3000);
-      return () => clearTimeout(timer);
+
+    try {
+        const ids = (await getAllRecords()).trashedRecords.map(record => record.id);
+        await deleteRecords(ids);
+        setConfirmEmptyTrash(false);
+        setMessage(TRASH_PURGE_MESSAGE);
+        refreshRecords(ids);
+    } catch (error) {
+        setMessage(error.message || 'Error emptying the Trash.');
     }
-  }, [message]);
+  };
 
+  /**
+   * Saves how long records stay in the Trash and purges the ones already past it.
+   */
+  const handleTrashRetentionChange = async (days) => {
+    try {
+        await saveTrashRetentionDays(days);
+        setTrashRetentionDays(days);
+        if (await purgeExpiredTrash() > 0) fetchRecords();
+    } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
+  };
 
-  // --- Signature Drawing Logic ---
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    // Only initialize drawing listeners if we are on the form page
-    if (currentPage !== 'form' || !canvas) return;
-
-    const setCanvasDimensions = () => {
-        // Use fixed dimensions for consistency in storage
-        canvas.width = 400; 
-        canvas.height = 150;
-    };
-    setCanvasDimensions();
+  /**
+   * Handler for the consent checkboxes under the form.
+   */
+  const handleConsentChange = (e) => {
+    const { name, checked } = e.target;
+    setConsent(prev => ({ ...prev, [name]: checked }));
+  };
 
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return;
+  /**
+   * Handles the two-click confirmation for withdrawing consent. The record is
+   * anonymised in place so totals stay correct, and the withdrawal is logged
+   * on the event.
+   */
+  const handleWithdrawConsent = async (id) => {
+    if (!isDBReady) return;
 
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.strokeStyle = '#000000'; 
+    const record = storedRecords.find(r => r.id === id);
+    if (!record) return;
 
-    let lastX = 0;
-    let lastY = 0;
+    if (confirmWithdrawId !== id) {
+        setMessage(`Click "Withdraw consent" again to confirm: "${record.completeName}" will be anonymised and the signature erased. This action is irreversible.`);
+        setConfirmWithdrawId(id);
+        setConfirmDeleteId(null);
+        setConfirmClear(false);
+        return;
+    }
 
-    const getCoords = (e) => {
-        const rect = canvas.getBoundingClientRect();
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-        
-        const x = clientX - rect.left;
-        const y = clientY - rect.top;
-
-        // Scale coordinates to match the canvas's internal resolution (400x150)
-        return {
-            x: x * (canvas.width / rect.width),
-            y: y * (canvas.height / rect.height)
-        };
-    };
+    try {
+        const withdrawnAt = Date.now();
+        await updateRecord(await sealRecordData(anonymiseRecord(record, formFields, withdrawnAt)), { removeSignature: true });
+        saveActiveEventChanges({
+            consentLog: [...(eventConfig.consentLog || []), buildWithdrawalLogEntry(record, withdrawnAt)],
+        });
+        setConfirmWithdrawId(null);
+        setMessage(WITHDRAW_SUCCESS_MESSAGE);
+        refreshRecords([id]);
+        runBackgroundSync(); // Replaces the server's copy as well
+    } catch (error) {
+        setMessage(error.message || 'Error withdrawing consent.');
+    }
+  };
 
-    const startDrawing = (e) => {
-        if (!isDBReady) return; 
-        e.preventDefault();
-        isDrawingRef.current = true;
-        const { x, y } = getCoords(e);
-        [lastX, lastY] = [x, y];
-        setSignatureCaptured(true);
-    };
+  /**
+   * Saves an edited record in place, keeping its signature, and appends what
+   * changed to its revision history. Errors are shown by the editor.
+   */
+  const handleSaveEdit = async (record, values, editorName) => {
+    const changes = diffRecordValues(record, values, formFields);
+    saveEditorName(editorName);
+    if (changes.length === 0) {
+        setEditingRecordId(null);
+        return;
+    }
+    await updateRecord(await sealRecordData(applyRecordEdit(record, values, changes, editorName)));
+    setEditingRecordId(null);
+    setMessage(EDIT_SUCCESS_MESSAGE);
+    refreshRecords([record.id]);
+    runBackgroundSync(); // Replaces the server's copy as well
+  };
 
-    const draw = (e) => {
-        if (!isDrawingRef.current) return;
-        e.preventDefault();
-        
-        const { x, y } = getCoords(e);
-        
-        ctx.beginPath();
-        ctx.moveTo(lastX, lastY);
-        ctx.lineTo(x, y);
-        ctx.stroke();
-        [lastX, lastY] = [x, y];
-    };
+  /**
+   * Handles the multi-click confirmation for clearing all records.
+   */
+  const handleClearAll = async () => {
+    if (!isDBReady) return;
 
-    const stopDrawing = () => {
-        isDrawingRef.current = false;
-    };
-    
-    // Add event listeners for both mouse and touch
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', draw);
-    canvas.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
+    if (confirmClear) {
+        // Second click: Move every record to the Trash
+        try {
+            const ids = (await getAllRecords()).records.map(record => record.id);
+            await trashRecords(ids);
+            setMessage('');
+            setUndoAction({ label: `${ids.length} record(s) moved to the Trash.`, ids });
+            setConfirmClear(false);
+            setConfirmDeleteId(null); // Reset individual confirmation
+            refreshRecords(ids);
+        } catch (error) {
+            setMessage(error.message || 'Error clearing all records.');
+        }
+    } else {
+        // First click: Ask for confirmation
+        setMessage('ARE YOU SURE? Click this button again to CONFIRM moving ALL records of this event to the Trash.');
+        setConfirmClear(true);
+        setConfirmDeleteId(null); // Reset individual confirmation
+    }
+  };
+
+  /**
+   * Locks the device to the Entry Form until the organiser PIN is entered.
+   */
+  const handleStartKiosk = async (pin) => {
+    // Requested before hashing, while the click still counts as a user gesture
+    enterFullscreen();
+    let lock;
+    try {
+        lock = await createKioskLock(pin);
+    } catch (error) {
+        console.error("Kiosk PIN Hashing Failed:", error);
+        exitFullscreen();
+        setMessage(error.message);
+        return;
+    }
+    saveKioskLock(lock);
+    setKioskLock(lock);
+    setCurrentPage('form');
+    setMessage('');
+    setConfirmClear(false);
+    setConfirmDeleteId(null);
+  };
 
-    canvas.addEventListener('touchstart', startDrawing);
-    canvas.addEventListener('touchmove', draw);
-    canvas.addEventListener('touchend', stopDrawing);
-    canvas.addEventListener('touchcancel', stopDrawing);
+  /**
+   * Leaves kiosk mode if the PIN matches the saved hash. Resolves to whether it did.
+   */
+  const handleExitKiosk = async (pin) => {
+    if (!kioskLock || !(await verifyKioskPin(pin, kioskLock))) return false;
+    saveKioskLock(null);
+    setKioskLock(null);
+    setShowKioskExit(false);
+    setCurrentPage('setup');
+    exitFullscreen();
+    return true;
+  };
 
+  const handleDismissThankYou = useCallback(() => {
+    setThankYouName(null);
+    setMessage('');
+  }, []);
 
-    return () => {
-        // Cleanup function runs when component unmounts or dependencies change
-        canvas.removeEventListener('mousedown', startDrawing);
-        canvas.removeEventListener('mousemove', draw);
-        canvas.removeEventListener('mouseup', stopDrawing);
-        canvas.removeEventListener('mouseout', stopDrawing);
-
-        canvas.removeEventListener('touchstart', startDrawing);
-        canvas.removeEventListener('touchmove', draw);
-        canvas.removeEventListener('touchend', stopDrawing);
-        canvas.removeEventListener('touchcancel', stopDrawing);
-    };
-  }, [isDBReady, currentPage]); // Dependency on currentPage ensures listeners are correct
+  const handleDismissUndo = useCallback(() => setUndoAction(null), []);
 
+  /**
+   * Unlocks encrypted records for this session. Errors (e.g. a wrong
+   * passphrase) are shown by the prompt that called it.
+   */
+  const handleUnlock = async (passphrase) => {
+    await unlockEncryption(passphrase);
+    await refreshEncryptionStatus();
+    runBackgroundSync(); // Encrypted records could not be synced while locked
+  };
 
-  // Clear signature function
-  const handleClearSignature = () => {
-      const canvas = canvasRef.current;
-      if (canvas) {
-          const ctx = canvas.getContext('2d');
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          setSignatureCaptured(false);
-      }
+  const handleLockEncryption = () => {
+    lockEncryption();
+    setStoredRecords([]);
+    setTrashedRecords([]);
+    refreshEncryptionStatus();
   };
 
   /**
-   * General handler for text and radio inputs.
+   * Turns on encryption at rest and encrypts every record already stored.
    */
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
-    setConfirmClear(false); // Reset confirmation on any form interaction
-    setConfirmDeleteId(null); // Reset individual confirmation
+  const handleEnableEncryption = async (passphrase) => {
+    await enableEncryption(passphrase);
+    await refreshEncryptionStatus();
+    setMessage(ENCRYPTION_ENABLED_MESSAGE);
   };
-  
+
   /**
-   * Handler for event configuration changes and saving to localStorage.
+   * Re-keys the database with a new passphrase.
    */
-  const handleConfigChange = (e) => {
-    const { name, value } = e.target;
-    const newConfig = { ...eventConfig, [name]: value };
-    setEventConfig(newConfig);
-    // Persist configuration to localStorage immediately
-    localStorage.setItem(EVENT_CONFIG_KEY, JSON.stringify(newConfig));
+  const handleChangePassphrase = async (currentPassphrase, newPassphrase) => {
+    await changePassphrase(currentPassphrase, newPassphrase);
+    await refreshEncryptionStatus();
+    setMessage(REKEY_SUCCESS_MESSAGE);
   };
 
+  /**
+   * Asks the browser again to keep this device's data, e.g. after it declined on load.
+   */
+  const handleRequestPersistence = async () => {
+    try {
+        const persisted = await requestPersistentStorage();
+        setMessage(persisted ? PERSIST_GRANTED_MESSAGE : PERSIST_DENIED_MESSAGE);
+    } catch (error) {
+        setMessage(error.message || PERSIST_DENIED_MESSAGE);
+    }
+    refreshStorageUsage();
+  };
 
   /**
-   * Handler for the status checkboxes.
+   * Saves the token the sync server expects and pushes pending records right away.
    */
-  const handleStatusChange = (e) => {
-    const { name, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      status: {
-        ...prev.status,
-        [name]: checked,
-      }
-    }));
-    setConfirmClear(false); // Reset confirmation on any form interaction
-    setConfirmDeleteId(null); // Reset individual confirmation
+  const handleSaveSyncToken = async (token) => {
+    try {
+        await saveSyncToken(token);
+        setSyncStatus({ hasToken: true, error: null });
+        setMessage(SYNC_TOKEN_SAVED_MESSAGE);
+        runBackgroundSync();
+    } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
+    }
   };
 
   /**
-   * Handles the form submission to save the record.
+   * Forgets the sync token; records then stay on this device only.
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!formData.completeName.trim() || !formData.designation.trim() || !formData.division.trim()) {
-      setMessage('Please fill in all required fields (indicated by *).');
-      return;
+  const handleRemoveSyncToken = async () => {
+    try {
+        await saveSyncToken('');
+        setSyncStatus({ hasToken: false, error: null });
+        setMessage(SYNC_TOKEN_REMOVED_MESSAGE);
+    } catch (error) {
+        setMessage(error.message || IDB_ERROR_MESSAGE);
     }
+  };
 
-    if (!signatureCaptured) {
-        setMessage('Please provide a signature in section 6.');
-        return;
+  /**
+   * Downloads a backup file of the whole local database.
+   */
+  const handleDownloadBackup = async () => {
+    try {
+        const counts = await downloadBackup();
+        setMessage(`${BACKUP_SUCCESS_MESSAGE} (${counts.events} events, ${counts.records} records)`);
+    } catch (error) {
+        setMessage(error.message || 'Error creating backup.');
     }
-    
-    const canvas = canvasRef.current;
-    if (!canvas) {
-        setMessage('Error: Signature canvas not found.');
+  };
+
+  /**
+   * Reads and validates a backup file chosen by the user, then waits for merge/replace.
+   */
+  const handleBackupFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    try {
+        setPendingBackup(parseBackup(await file.text()));
+        setConfirmReplace(false);
+        setMessage('');
+    } catch (error) {
+        setPendingBackup(null);
+        setMessage(error.message);
+    }
+  };
+
+  /**
+   * Restores the pending backup. Replacing requires a second click to confirm.
+   */
+  const handleRestoreBackup = async (mode) => {
+    if (!pendingBackup) return;
+    if (mode === RESTORE_MODES.REPLACE && !confirmReplace) {
+        setMessage('ARE YOU SURE? Click Replace again to CONFIRM overwriting ALL local events and records with the backup.');
+        setConfirmReplace(true);
         return;
     }
-    
-    // Capture the signature as a PNG Data URL string for IndexedDB storage
-    const signatureData = canvas.toDataURL('image/png');
+    try {
+        const summary = await restoreBackup(pendingBackup, mode);
+        setPendingBackup(null);
+        setConfirmReplace(false);
+        await loadEvents();
+        await refreshEncryptionStatus();
+        fetchRecords();
+        setMessage(`Backup restored successfully: ${summary.eventsAdded} events and ${summary.recordsAdded} records added, ${summary.recordsSkipped} duplicate records skipped.`);
+    } catch (error) {
+        setMessage(error.message || 'Error restoring backup.');
+    }
+  };
 
+  const handleCancelRestore = () => {
+    setPendingBackup(null);
+    setConfirmReplace(false);
+    setMessage('');
+  };
 
-    if (!isDBReady) {
-        setMessage('Database not ready. Cannot save.');
-        return;
+  /**
+   * Exports the active event's records as a CSV file, an Excel workbook or a printable PDF.
+   */
+  const handleExport = async (format) => {
+    if (storedRecords.length === 0) return;
+    try {
+        const { records } = await getAllRecords();
+        if (format === 'pdf') {
+            await exportRecordsToPDF(records, eventConfig);
+            setMessage(PDF_SUCCESS_MESSAGE);
+            return;
+        }
+        if (format === 'xlsx') {
+            await exportRecordsToXLSX(records, eventConfig);
+        } else {
+            exportRecordsToCSV(records, eventConfig);
+        }
+        setMessage(EXPORT_SUCCESS_MESSAGE);
+    } catch (error) {
+        console.error("Export failed:", error);
+        setMessage('Error exporting attendance sheet.');
     }
+  };
 
+  /**
+   * Exports who attended which sessions, with each participant's completion percentage.
+   */
+  const handleExportMatrix = () => {
     try {
-      const newRecord = { 
-          ...formData, 
-          signature: signatureData // Save the captured signature data URL
-      };
-      
-      await addRecord(newRecord); // This function now adds the timestamp
-      
-      setFormData(initialFormData); // Clear form data
-      handleClearSignature(); // Clear the canvas after successful save
-      setMessage(IDB_SUCCESS_MESSAGE);
-      fetchRecords(); 
-      setConfirmClear(false);
-      setConfirmDeleteId(null); // Reset individual confirmation
+        exportAttendanceMatrixToCSV(storedRecords, eventConfig);
+        setMessage(MATRIX_EXPORT_SUCCESS_MESSAGE);
     } catch (error) {
-      setMessage(error.message || IDB_ERROR_MESSAGE);
+        console.error("Export failed:", error);
+        setMessage('Error exporting the attendance matrix.');
     }
   };
 
   /**
-   * Handles individual record deletion with confirmation logic.
+   * Saves the certificate template edited below the saved records.
    */
-  const handleDelete = async (id) => {
-    if (!isDBReady) return;
+  const handleCertificateTemplateChange = (template) => {
+    saveActiveEventChanges({ certificateTemplate: template });
+  };
 
-    if (confirmDeleteId === id) {
-        // Second click: Perform actual deletion
-        try {
-            await deleteRecord(id);
-            setMessage(IDB_DELETE_MESSAGE);
-            setConfirmDeleteId(null);
-            fetchRecords();
-        } catch (error) {
-            setMessage(error.message || 'Error deleting record.');
-        }
-    } else {
-        // First click: Request confirmation
-        const recordName = storedRecords.find(r => r.id === id)?.completeName;
-        setMessage(`Click the icon again next to "${recordName}" to CONFIRM deletion. This action is irreversible.`);
-        setConfirmDeleteId(id);
-        setConfirmClear(false); // Clear bulk delete confirmation
+  /**
+   * Reads an uploaded certificate background into the template.
+   */
+  const handleCertificateBackgroundChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    try {
+        handleCertificateTemplateChange({ ...certificateTemplate, background: await readCertificateBackground(file) });
+    } catch (error) {
+        setMessage(error.message);
     }
   };
 
   /**
-   * Handles the multi-click confirmation for clearing all records.
+   * Generates the certificates of every eligible attendee, combined or one file each.
    */
-  const handleClearAll = async () => {
-    if (!isDBReady) return;
+  const handleGenerateCertificates = async (separate) => {
+    if (certificateRecipients.length === 0) {
+        setMessage(CERTIFICATES_NONE_ELIGIBLE_MESSAGE);
+        return;
+    }
+    try {
+        await exportCertificatesToPDF(certificateRecipients, eventConfig, certificateTemplate, { separate });
+        setMessage(CERTIFICATES_SUCCESS_MESSAGE);
+    } catch (error) {
+        console.error("Certificate generation failed:", error);
+        setMessage('Error generating certificates.');
+    }
+  };
 
-    if (confirmClear) {
-        // Second click: Perform deletion
-        try {
-            await deleteAllRecords();
-            setMessage(IDB_CLEAR_ALL_MESSAGE);
-            setConfirmClear(false);
-            setConfirmDeleteId(null); // Reset individual confirmation
-            fetchRecords();
-        } catch (error) {
-            setMessage(error.message || 'Error clearing all records.');
+  /**
+   * Copies the statistics as a tab-separated table, ready to paste into a report.
+   */
+  const handleCopyStatistics = async () => {
+    try {
+        await navigator.clipboard.writeText(rowsToTSV(buildStatisticsSheetRows(storedRecords, eventConfig)));
+        setMessage(STATS_COPY_SUCCESS_MESSAGE);
+    } catch (error) {
+        console.error("Copy failed:", error);
+        setMessage('Could not copy to the clipboard. Use the CSV export instead.');
+    }
+  };
+
+  /**
+   * Exports the statistics on their own (CSV) or next to the attendance sheet (Excel).
+   */
+  const handleExportStatistics = async (format) => {
+    if (storedRecords.length === 0) return;
+    try {
+        const { records } = await getAllRecords();
+        if (format === 'xlsx') {
+            await exportRecordsToXLSX(records, eventConfig);
+        } else {
+            exportStatisticsToCSV(records, eventConfig);
         }
-    } else {
-        // First click: Ask for confirmation
-        setMessage('ARE YOU SURE? Click this button again to CONFIRM deleting ALL records.');
-        setConfirmClear(true);
-        setConfirmDeleteId(null); // Reset individual confirmation
+        setMessage(STATS_EXPORT_SUCCESS_MESSAGE);
+    } catch (error) {
+        console.error("Export failed:", error);
+        setMessage('Error exporting statistics.');
     }
   };
 
   return (
     <div className="min-h-screen bg-gray-100 p-4 sm:p-8 flex items-start justify-center font-sans">
       <div className="w-full max-w-2xl bg-white shadow-2xl rounded-xl p-6 sm:p-10 my-8">
-        <h1 className="text-3xl font-extrabold text-indigo-700 mb-6 border-b pb-3">
-          Attendance - Internal
-        </h1>
+        <div className="flex justify-between items-center mb-6 border-b pb-3">
+          <h1 className="text-3xl font-extrabold text-indigo-700">
+            Attendance - Internal
+          </h1>
+          <span
+            className={`text-xs px-2 py-1 rounded-full font-medium ${isOnline ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'}`}
+            title={isOnline ? 'Connected' : 'Records are still saved on this device and will sync later.'}
+          >
+            {isOnline ? 'Online' : 'Offline'}
+          </span>
+        </div>
 
-        {/* Navigation Tabs */}
-        <div className="flex mb-6 border-b border-gray-200">
-            <button
-                onClick={() => setCurrentPage('setup')}
-                className={`py-2 px-4 text-lg font-medium transition duration-150 ${
-                    currentPage === 'setup' 
-                        ? 'border-b-4 border-indigo-600 text-indigo-700' 
-                        : 'text-gray-500 hover:text-indigo-500'
-                }`}
-            >
-                Event Setup
-            </button>
+        {/* New Version Prompt */}
+        {waitingRegistration && !isKiosk && (
+          <div className="mb-6 p-3 rounded-lg bg-indigo-50 border border-indigo-200 flex justify-between items-center text-sm text-indigo-800">
+            <span>A new version of the app is available.</span>
             <button
-                onClick={() => setCurrentPage('form')}
-                className={`py-2 px-4 text-lg font-medium transition duration-150 ${
-                    currentPage === 'form' 
-                        ? 'border-b-4 border-indigo-600 text-indigo-700' 
-                        : 'text-gray-500 hover:text-indigo-500'
-                }`}
+              type="button"
+              onClick={() => activateWaitingWorker(waitingRegistration)}
+              className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition"
             >
-                Entry Form
+              Reload
             </button>
-            <button
-                onClick={() => { setCurrentPage('records'); setConfirmClear(false); setConfirmDeleteId(null); }}
-                className={`py-2 px-4 text-lg font-medium transition duration-150 ${
-                    currentPage === 'records' 
-                        ? 'border-b-4 border-indigo-600 text-indigo-700' 
-                        : 'text-gray-500 hover:text-indigo-500'
-                }`}
-            >
-                Saved Records
-            </button>
-        </div>
+          </div>
+        )}
+
+        {/* Navigation Tabs (hidden in kiosk mode) */}
+        {!isKiosk && (
+            <div className="flex mb-6 border-b border-gray-200">
+                <button
+                    onClick={() => setCurrentPage('setup')}
+                    className={`py-2 px-4 text-lg font-medium transition duration-150 ${
+                        currentPage === 'setup' 
+                            ? 'border-b-4 border-indigo-600 text-indigo-700' 
+                            : 'text-gray-500 hover:text-indigo-500'
+                    }`}
+                >
+                    Event Setup
+                </button>
+                <button
+                    onClick={() => setCurrentPage('form')}
+                    className={`py-2 px-4 text-lg font-medium transition duration-150 ${
+                        currentPage === 'form' 
+                            ? 'border-b-4 border-indigo-600 text-indigo-700' 
+                            : 'text-gray-500 hover:text-indigo-500'
+                    }`}
+                >
+                    Entry Form
+                </button>
+                <button
+                    onClick={() => { setCurrentPage('records'); setConfirmClear(false); setConfirmDeleteId(null); }}
+                    className={`py-2 px-4 text-lg font-medium transition duration-150 ${
+                        currentPage === 'records' 
+                            ? 'border-b-4 border-indigo-600 text-indigo-700' 
+                            : 'text-gray-500 hover:text-indigo-500'
+                    }`}
+                >
+                    Saved Records
+                </button>
+                <button
+                    onClick={() => setCurrentPage('statistics')}
+                    className={`py-2 px-4 text-lg font-medium transition duration-150 ${
+                        currentPage === 'statistics' 
+                            ? 'border-b-4 border-indigo-600 text-indigo-700' 
+                            : 'text-gray-500 hover:text-indigo-500'
+                    }`}
+                >
+                    Statistics
+                </button>
+            </div>
+        )}
+
+        {isLocked && currentPage !== 'setup' && <UnlockPrompt handleUnlock={handleUnlock} />}
 
         {/* Conditional View Rendering */}
         {currentPage === 'setup' && (
             <ConfigView 
                 eventConfig={eventConfig}
                 handleConfigChange={handleConfigChange}
+                events={events}
+                activeEventId={activeEventId}
+                handleSelectEvent={selectEvent}
+                handleCreateEvent={handleCreateEvent}
+                handleToggleArchiveEvent={handleToggleArchiveEvent}
+                handleDeleteEvent={handleDeleteEvent}
+                confirmDeleteEventId={confirmDeleteEventId}
+                backupSummary={pendingBackup && summarizeBackup(pendingBackup)}
+                handleDownloadBackup={handleDownloadBackup}
+                handleBackupFileChange={handleBackupFileChange}
+                handleRestoreBackup={handleRestoreBackup}
+                handleCancelRestore={handleCancelRestore}
+                confirmReplace={confirmReplace}
+                formFields={formFields}
+                handleFormFieldsChange={handleFormFieldsChange}
+                handleStartKiosk={handleStartKiosk}
+                encryptionStatus={encryptionStatus}
+                handleEnableEncryption={handleEnableEncryption}
+                handleChangePassphrase={handleChangePassphrase}
+                handleLockEncryption={handleLockEncryption}
+                handleUnlock={handleUnlock}
+                handleRosterFileChange={handleRosterFileChange}
+                handleClearRoster={handleClearRoster}
+                handleDownloadBadges={handleDownloadBadges}
+                handleSessionsChange={handleSessionsChange}
+                handleSignatureChecksChange={handleSignatureChecksChange}
+                storageUsage={storageUsage}
+                handleRequestPersistence={handleRequestPersistence}
+                syncStatus={syncStatus}
+                handleSaveSyncToken={handleSaveSyncToken}
+                handleRemoveSyncToken={handleRemoveSyncToken}
             />
         )}
         
@@ -954,36 +2509,126 @@ const App = () => {
             <FormView 
                 formData={formData}
                 handleInputChange={handleInputChange}
-                handleStatusChange={handleStatusChange}
+                formFields={formFields}
+                handleCheckboxGroupChange={handleCheckboxGroupChange}
                 handleSubmit={handleSubmit}
                 isDBReady={isDBReady}
-                signatureCaptured={signatureCaptured}
+                signatureStrokes={signatureStrokes}
                 canvasRef={canvasRef}
-                handleClearSignature={handleClearSignature}
+                handleSignatureStrokesChange={handleSignatureStrokesChange}
                 message={message}
                 eventConfig={eventConfig} // Pass config to display header
+                consent={consent}
+                handleConsentChange={handleConsentChange}
+                duplicateMatches={duplicateMatches}
+                handleConfirmDuplicate={handleConfirmDuplicate}
+                handleCancelDuplicate={handleCancelDuplicate}
+                rosterAttendance={rosterAttendance}
+                selectedRosterEntry={selectedRosterEntry}
+                handleSelectRosterEntry={handleSelectRosterEntry}
+                handleClearRosterEntry={handleClearRosterEntry}
+                isScanning={isScanning}
+                handleToggleScanning={() => setIsScanning(prev => !prev)}
+                handleCheckInCode={handleCheckInCode}
+                sessions={sessions}
+                currentSession={currentSession}
+                sessionOverrideId={sessionOverrideId}
+                handleSessionOverrideChange={setSessionOverrideId}
+                isKiosk={isKiosk}
+                signatureIssues={signatureIssues}
+                handleConfirmSignature={handleConfirmSignature}
+                handleCancelSignature={handleClearSignature}
             />
         )}
 
         {currentPage === 'records' && (
             <RecordsView
                 storedRecords={storedRecords}
+                hasMoreRecords={hasMoreRecords}
+                handleLoadMoreRecords={loadMoreRecords}
+                handleLoadAllRecords={handleLoadAllRecords}
+                formFields={formFields}
                 isDBReady={isDBReady}
                 handleDelete={handleDelete}
                 handleClearAll={handleClearAll}
                 confirmClear={confirmClear}
                 confirmDeleteId={confirmDeleteId} 
                 eventConfig={eventConfig} // Pass config to display header
+                handleExport={handleExport}
+                handleWithdrawConsent={handleWithdrawConsent}
+                confirmWithdrawId={confirmWithdrawId}
+                recordQuery={recordQuery}
+                handleRecordQueryChange={setRecordQuery}
+                recordViewMode={recordViewMode}
+                handleRecordViewModeChange={setRecordViewMode}
+                handleMergeDuplicates={handleMergeDuplicates}
+                confirmMergeKey={confirmMergeKey}
+                editingRecordId={editingRecordId}
+                handleEditRecord={setEditingRecordId}
+                handleSaveEdit={handleSaveEdit}
+                trashedRecords={trashedRecords}
+                trashRetentionDays={trashRetentionDays}
+                handleTrashRetentionChange={handleTrashRetentionChange}
+                handleRestoreRecords={handleRestoreRecords}
+                handlePurgeRecord={handlePurgeRecord}
+                confirmPurgeId={confirmPurgeId}
+                handleEmptyTrash={handleEmptyTrash}
+                confirmEmptyTrash={confirmEmptyTrash}
+                rosterAttendance={rosterAttendance}
+                sessions={sessions}
+                handleExportMatrix={handleExportMatrix}
+                certificateTemplate={certificateTemplate}
+                certificateRecipients={certificateRecipients}
+                handleCertificateTemplateChange={handleCertificateTemplateChange}
+                handleCertificateBackgroundChange={handleCertificateBackgroundChange}
+                handleGenerateCertificates={handleGenerateCertificates}
+            />
+        )}
+
+        {currentPage === 'statistics' && (
+            <StatisticsView
+                records={storedRecords}
+                isLoading={hasMoreRecords}
+                fields={formFields}
+                eventConfig={eventConfig}
+                handleCopyStatistics={handleCopyStatistics}
+                handleExportStatistics={handleExportStatistics}
             />
         )}
 
         {/* Global Status Message for Records View */}
-        {(currentPage === 'records' || currentPage === 'setup') && message && (
+        {(currentPage === 'records' || currentPage === 'setup' || currentPage === 'statistics') && message && (
             <div className={`mt-6 p-3 rounded-lg text-sm font-medium ${message.includes('success') ? 'bg-green-100 text-green-700' : message.includes('SURE') || message.includes('confirm') ? 'bg-red-100 text-red-700 font-extrabold' : 'bg-red-100 text-red-700'}`}>
                 {message}
             </div>
         )}
+
+        {isKiosk && (
+            <div className="mt-8 flex justify-end">
+                <button
+                    type="button"
+                    onClick={() => setShowKioskExit(true)}
+                    className="text-xs text-gray-300 hover:text-gray-500 transition"
+                >
+                    Exit kiosk
+                </button>
+            </div>
+        )}
       </div>
+
+      {thankYouName !== null && (
+          <KioskThankYou name={thankYouName} handleDismiss={handleDismissThankYou} />
+      )}
+      {undoAction && (
+          <UndoToast
+              label={undoAction.label}
+              handleUndo={() => handleRestoreRecords(undoAction.ids)}
+              handleDismiss={handleDismissUndo}
+          />
+      )}
+      {showKioskExit && (
+          <KioskExitDialog handleExitKiosk={handleExitKiosk} handleCancel={() => setShowKioskExit(false)} />
+      )}
     </div>
   );
 };